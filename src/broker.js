@@ -0,0 +1,121 @@
+/**
+ * Tool Call Broker for Styxy MCP Server
+ * Lets several styxy-mcp-server instances share one coordinator: the lock
+ * holder listens on a Unix socket and runs tool calls forwarded by the
+ * other instances, each under that instance's own session
+ */
+
+import net from 'net';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { removeStaleSocket } from './daemonConnection.js';
+
+export const BROKER_SOCKET_PATH = path.join(os.homedir(), '.styxy', 'mcp-broker.sock');
+
+export class BrokerServer {
+  /**
+   * @param {object} options
+   * @param {Function} options.onHello - (client, message) => reply; registers the client's session
+   * @param {Function} options.onCall - (client, message) => reply; runs one forwarded tool call
+   * @param {Function} options.onDisconnect - (client) => void; the client went away
+   */
+  constructor({ socketPath = BROKER_SOCKET_PATH, onHello, onCall, onDisconnect }) {
+    this.socketPath = socketPath;
+    this.onHello = onHello;
+    this.onCall = onCall;
+    this.onDisconnect = onDisconnect;
+    this.server = null;
+    this.clients = new Set();
+  }
+
+  async start() {
+    await fs.mkdir(path.dirname(this.socketPath), { recursive: true });
+    await removeStaleSocket(this.socketPath);
+
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    return this;
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+
+    for (const client of this.clients) {
+      client.socket.destroy();
+    }
+
+    await new Promise((resolve) => server.close(() => resolve()));
+    await fs.unlink(this.socketPath).catch(() => {});
+  }
+
+  handleConnection(socket) {
+    const client = { socket, session: null };
+    let buffer = '';
+
+    this.clients.add(client);
+
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      this.clients.delete(client);
+      this.onDisconnect(client);
+    });
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) {
+          this.handleLine(client, line);
+        }
+      }
+    });
+  }
+
+  async handleLine(client, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      this.reply(client, { success: false, error: 'Invalid JSON message' });
+      return;
+    }
+
+    let result;
+    try {
+      if (message.type === 'hello') {
+        result = await this.onHello(client, message);
+      } else if (message.type === 'call_tool') {
+        result = client.session
+          ? await this.onCall(client, message)
+          : { success: false, error: 'Send hello before calling tools' };
+      } else {
+        result = { success: false, error: `Unknown message type: ${message.type}` };
+      }
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    this.reply(client, { ...result, id: message.id });
+  }
+
+  reply(client, message) {
+    if (!client.socket.destroyed) {
+      client.socket.write(JSON.stringify(message) + '\n');
+    }
+  }
+}
@@ -0,0 +1,470 @@
+/**
+ * Configuration for Styxy MCP Server
+ * Merges built-in defaults, the styxy CLI, system/user config files, the
+ * project .styxy.json and STYXY_* environment variables, remembering which
+ * layer each value came from, and validates the result against a schema
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { applySchema } from './validation.js';
+import { findProjectFile } from './portPins.js';
+import { DEFAULT_PLACEHOLDER } from './redaction.js';
+import { STRATEGIES } from './servicePolicies.js';
+
+const PORT = { type: 'integer', minimum: 1, maximum: 65535 };
+
+const PORT_RANGE = {
+  type: 'object',
+  properties: {
+    start: PORT,
+    end: PORT
+  },
+  required: ['start', 'end'],
+  additionalProperties: false
+};
+
+const SERVICE_TYPE_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Keys styxy itself may add are allowed; the ones we know are type-checked
+ */
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    daemon: {
+      type: 'object',
+      properties: {
+        socket_path: { type: 'string', minLength: 1 },
+        port_range: PORT_RANGE,
+        reserved_ports: { type: 'array', items: PORT },
+        log_path: { type: 'string', minLength: 1 },
+        local_fallback: { type: 'boolean' },
+        temporary_ttl_minutes: { type: 'number', minimum: 1 },
+        lock_ttl_seconds: { type: 'number', minimum: 0 }
+      },
+      required: ['socket_path', 'port_range']
+    },
+    cli: {
+      type: 'object',
+      properties: {
+        binary: { type: 'string', minLength: 1 },
+        timeout_ms: { type: 'integer', minimum: 100 }
+      }
+    },
+    service_types: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          range: PORT_RANGE,
+          avoid_ports: { type: 'array', items: PORT },
+          max_per_project: { type: 'integer', minimum: 1 },
+          strategy: { type: 'string', enum: STRATEGIES },
+          description: { type: 'string', minLength: 1 },
+          examples: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+          env: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+      }
+    },
+    redaction: {
+      type: 'object',
+      properties: {
+        key_patterns: { type: 'array', items: { type: 'string', minLength: 1 } },
+        value_patterns: { type: 'array', items: { type: 'string', minLength: 1 } },
+        placeholder: { type: 'string', minLength: 1 }
+      },
+      additionalProperties: false
+    }
+  },
+  required: ['daemon']
+};
+
+/**
+ * The schema describing a dotted key, or null when the schema doesn't know it
+ */
+export function schemaForKey(key) {
+  let schema = CONFIG_SCHEMA;
+  for (const part of key.split('.')) {
+    schema = schema.properties?.[part] ??
+      (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+    if (!schema) return null;
+  }
+  return schema;
+}
+
+export function defaultConfig() {
+  const baseDir = path.join(os.homedir(), '.styxy');
+
+  return {
+    daemon: {
+      socket_path: path.join(baseDir, 'daemon.sock'),
+      port_range: { start: 3000, end: 9999 },
+      reserved_ports: [],
+      log_path: path.join(baseDir, 'daemon.log'),
+      local_fallback: true,
+      temporary_ttl_minutes: 60,
+      lock_ttl_seconds: 0
+    },
+    cli: {
+      binary: 'styxy',
+      timeout_ms: 10000
+    },
+    service_types: {},
+    redaction: {
+      key_patterns: [],
+      value_patterns: [],
+      placeholder: DEFAULT_PLACEHOLDER
+    }
+  };
+}
+
+/**
+ * Config files from lowest to highest precedence
+ */
+export function configFiles() {
+  return [
+    { name: 'system', path: '/etc/styxy/config.json' },
+    { name: 'xdg', path: path.join(os.homedir(), '.config', 'styxy', 'config.json') },
+    { name: 'user', path: path.join(os.homedir(), '.styxy', 'config.json') }
+  ];
+}
+
+/**
+ * Keys that pick what styxy executes and which socket and files it uses.
+ * A project's .styxy.json arrives with whatever repository was cloned, so
+ * these are only taken from the defaults, the CLI, config files in system
+ * and home directories and STYXY_* variables
+ */
+export const TRUSTED_KEYS = ['cli.binary', 'daemon.socket_path', 'daemon.log_path'];
+
+/**
+ * The trusted keys that setting or unsetting `key` would change
+ * @param {*} value - The value being set; undefined for an unset
+ */
+export function trustedKeysIn(key, value) {
+  return TRUSTED_KEYS.filter(trusted => trusted === key || key.startsWith(`${trusted}.`) ||
+    (trusted.startsWith(`${key}.`) && getPath(value, trusted.slice(key.length + 1)) !== undefined));
+}
+
+// Precedence after the built-in defaults, lowest first
+const LAYER_ORDER = ['cli', 'system', 'xdg', 'user', 'project', 'env'];
+
+const parseBoolean = (raw) => !['0', 'false', 'off', 'no'].includes(raw.toLowerCase());
+
+const parseNumber = (raw) => (raw.trim() !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : raw);
+
+function parseRange(raw) {
+  const match = raw.match(/^\s*(\d+)\s*-\s*(\d+)\s*$/);
+  return match ? { start: Number(match[1]), end: Number(match[2]) } : raw;
+}
+
+function parsePortList(raw) {
+  return raw.split(',').map(part => part.trim()).filter(Boolean).map(parseNumber);
+}
+
+/**
+ * STYXY_* variables and the keys they set; unparseable values are passed
+ * through so validation reports them against the key
+ */
+export const ENV_VARIABLES = {
+  STYXY_SOCKET_PATH: { key: 'daemon.socket_path', parse: (raw) => raw },
+  STYXY_PORT_RANGE: { key: 'daemon.port_range', parse: parseRange },
+  STYXY_RESERVED_PORTS: { key: 'daemon.reserved_ports', parse: parsePortList },
+  STYXY_LOG_PATH: { key: 'daemon.log_path', parse: (raw) => raw },
+  STYXY_LOCAL_DAEMON: { key: 'daemon.local_fallback', parse: parseBoolean },
+  STYXY_TEMPORARY_TTL_MINUTES: { key: 'daemon.temporary_ttl_minutes', parse: parseNumber },
+  STYXY_LOCK_TTL_SECONDS: { key: 'daemon.lock_ttl_seconds', parse: parseNumber },
+  STYXY_BIN: { key: 'cli.binary', parse: (raw) => raw },
+  STYXY_CLI_TIMEOUT_MS: { key: 'cli.timeout_ms', parse: parseNumber }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export function getPath(object, key) {
+  return key.split('.').reduce((node, part) => (isPlainObject(node) ? node[part] : undefined), object);
+}
+
+function deletePath(object, key) {
+  const parts = key.split('.');
+  const parent = getPath(object, parts.slice(0, -1).join('.'));
+  if (isPlainObject(parent)) delete parent[parts[parts.length - 1]];
+}
+
+export function setPath(object, key, value) {
+  const parts = key.split('.');
+  let node = object;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) node[part] = {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Every leaf of an object as [dotted key, value]; arrays count as leaves
+ */
+function leaves(object, prefix = '') {
+  return Object.entries(object).flatMap(([key, value]) => {
+    const dotted = prefix ? `${prefix}.${key}` : key;
+    return isPlainObject(value) && Object.keys(value).length ? leaves(value, dotted) : [[dotted, value]];
+  });
+}
+
+/**
+ * Deep-merge `layer` into `target`, recording `source` for every leaf it sets
+ */
+function mergeLayer(target, layer, source, sources) {
+  for (const [key, value] of leaves(layer)) {
+    // An empty object adds nothing to one a lower layer already set
+    if (isPlainObject(value) && !Object.keys(value).length && isPlainObject(getPath(target, key))) continue;
+
+    setPath(target, key, structuredClone(value));
+    sources[key] = source;
+
+    // A replaced subtree, or an empty object now filled in, no longer
+    // comes from the layer that set it
+    for (const existing of Object.keys(sources)) {
+      if (existing.startsWith(`${key}.`) || key.startsWith(`${existing}.`)) delete sources[existing];
+    }
+  }
+}
+
+/**
+ * Nearest existing ancestor of `dir` must be writable for the daemon to create its socket
+ */
+async function checkWritableDir(dir) {
+  let current = dir;
+  while (true) {
+    try {
+      await fs.access(current, fs.constants.W_OK);
+      return null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') return `directory ${current} is not writable`;
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) return `no writable directory above ${dir}`;
+    current = parent;
+  }
+}
+
+/**
+ * Schema checks plus the rules a schema can't express
+ * @returns {Promise<{isValid: boolean, errors: Array<{field: string, message: string}>}>}
+ */
+export async function validateConfig(config) {
+  const { errors } = applySchema(CONFIG_SCHEMA, config);
+  const invalid = new Set(errors.map(e => e.field));
+
+  const range = config.daemon?.port_range;
+  const rangeValid = isPlainObject(range) && !invalid.has('daemon.port_range') &&
+    !invalid.has('daemon.port_range.start') && !invalid.has('daemon.port_range.end');
+
+  if (rangeValid && range.start > range.end) {
+    errors.push({ field: 'daemon.port_range', message: `start (${range.start}) must not be greater than end (${range.end})` });
+  }
+  const rangeUsable = rangeValid && range.start <= range.end;
+
+  for (const [type, settings] of Object.entries(isPlainObject(config.service_types) ? config.service_types : {})) {
+    // The name becomes a tool enum value and an env var prefix
+    if (!SERVICE_TYPE_NAME.test(type)) {
+      errors.push({ field: `service_types.${type}`, message: 'is not a valid type name (use letters, digits, "-" and "_", starting with a letter or digit)' });
+    }
+
+    for (const name of Object.keys(isPlainObject(settings?.env) ? settings.env : {})) {
+      if (!ENV_NAME.test(name.replace(/\{prefix\}/g, 'PREFIX'))) {
+        errors.push({ field: `service_types.${type}.env.${name}`, message: 'is not a valid environment variable name ({prefix} is replaced by the service prefix)' });
+      }
+    }
+
+    const field = `service_types.${type}.range`;
+    const typeRange = settings?.range;
+    if (!isPlainObject(typeRange) || [field, `${field}.start`, `${field}.end`].some(f => invalid.has(f))) continue;
+
+    if (typeRange.start > typeRange.end) {
+      errors.push({ field, message: `start (${typeRange.start}) must not be greater than end (${typeRange.end})` });
+    } else if (rangeUsable && (typeRange.start < range.start || typeRange.end > range.end)) {
+      errors.push({ field, message: `${typeRange.start}-${typeRange.end} must lie within daemon.port_range ${range.start}-${range.end}` });
+    }
+  }
+
+  for (const list of ['key_patterns', 'value_patterns']) {
+    const patterns = config.redaction?.[list];
+    if (!Array.isArray(patterns)) continue;
+
+    patterns.forEach((pattern, index) => {
+      const field = `redaction.${list}[${index}]`;
+      if (typeof pattern !== 'string' || invalid.has(field)) return;
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        errors.push({ field, message: `is not a valid regular expression (${error.message})` });
+      }
+    });
+  }
+
+  const socketPath = config.daemon?.socket_path;
+  if (typeof socketPath === 'string' && socketPath && !invalid.has('daemon.socket_path')) {
+    if (!path.isAbsolute(socketPath)) {
+      errors.push({ field: 'daemon.socket_path', message: 'must be an absolute path' });
+    } else {
+      const problem = await checkWritableDir(path.dirname(socketPath));
+      if (problem) errors.push({ field: 'daemon.socket_path', message: problem });
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+export class ConfigLoader {
+  /**
+   * @param {object} options
+   * @param {string} options.cwd - Where to look for the project .styxy.json
+   * @param {string} options.projectFile - Use this .styxy.json instead of searching from cwd
+   * @param {object} options.env - Environment to read STYXY_* variables from
+   * @param {Function} options.readCliConfig - (binary) => Promise<object>; `styxy config show`
+   */
+  constructor({ cwd = process.cwd(), projectFile = null, env = process.env, readCliConfig = null } = {}) {
+    this.cwd = cwd;
+    this.projectFile = projectFile;
+    this.env = env;
+    this.readCliConfig = readCliConfig;
+  }
+
+  async readJsonFile(file) {
+    const content = await fs.readFile(file, 'utf8');
+    const data = JSON.parse(content);
+    if (!isPlainObject(data)) {
+      throw new Error('must contain a JSON object');
+    }
+    return data;
+  }
+
+  /**
+   * @param {object} options
+   * @param {Map<string, object>} options.overrides - File path → content to use instead of
+   *   what is on disk, to validate an edit before writing it
+   * @returns {Promise<object>} { config, sources, layers, configPath, errors }
+   *   `sources` maps each dotted key to the layer that set it; `errors` are
+   *   per-field problems (unreadable layers plus validation)
+   */
+  async load({ overrides = new Map() } = {}) {
+    const layers = [];
+    const loadErrors = [];
+
+    const fileLayers = [];
+    for (const file of configFiles()) {
+      fileLayers.push(await this.loadFile(file.name, file.path, layers, loadErrors, overrides));
+    }
+
+    // Pins under "ports" are not configuration, and trusted keys are ignored
+    const projectFile = this.projectFile || await findProjectFile(this.cwd);
+    let projectLayer = null;
+    if (projectFile) {
+      projectLayer = await this.loadFile('project', projectFile, layers, loadErrors, overrides);
+      if (projectLayer) {
+        const { ports, ...rest } = projectLayer.data;
+        projectLayer.data = rest;
+
+        for (const key of TRUSTED_KEYS.filter(trusted => getPath(rest, trusted) !== undefined)) {
+          deletePath(rest, key);
+          loadErrors.push({ field: key, message: `is ignored in ${projectFile}; set it in ~/.styxy/config.json or a STYXY_* variable` });
+        }
+      }
+    }
+
+    const envLayer = this.loadEnv();
+
+    // The CLI binary may itself be configured by a trusted file or STYXY_BIN
+    let cliLayer = null;
+    if (this.readCliConfig) {
+      const preview = {};
+      for (const layer of [...fileLayers, envLayer].filter(Boolean)) {
+        mergeLayer(preview, layer.data, layer.source, {});
+      }
+      cliLayer = await this.loadCli(preview.cli?.binary || 'styxy', layers);
+    }
+
+    const config = {};
+    const sources = {};
+    const ordered = [
+      { data: defaultConfig(), source: 'defaults' },
+      cliLayer,
+      ...fileLayers,
+      projectLayer,
+      ...envLayer.entries
+    ].filter(Boolean);
+
+    for (const layer of ordered) {
+      mergeLayer(config, layer.data, layer.source, sources);
+    }
+    if (envLayer.entries.length) {
+      layers.push({ name: 'env', path: null, status: 'loaded', variables: envLayer.entries.map(e => e.variable) });
+    }
+
+    layers.sort((a, b) => LAYER_ORDER.indexOf(a.name) - LAYER_ORDER.indexOf(b.name));
+
+    const validation = await validateConfig(config);
+    const configPath = fileLayers.slice().reverse().find(Boolean)?.path || null;
+
+    return {
+      config,
+      sources,
+      layers,
+      configPath,
+      errors: [...loadErrors, ...validation.errors]
+    };
+  }
+
+  async loadFile(name, file, layers, errors, overrides) {
+    try {
+      const data = overrides.has(file) ? structuredClone(overrides.get(file)) : await this.readJsonFile(file);
+      delete data.config_path;
+      layers.push({ name, path: file, status: 'loaded' });
+      return { data, source: `${name}:${file}`, path: file };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        layers.push({ name, path: file, status: 'missing' });
+      } else {
+        layers.push({ name, path: file, status: 'invalid', error: error.message });
+        errors.push({ field: file, message: `could not be read: ${error.message}` });
+      }
+      return null;
+    }
+  }
+
+  async loadCli(binary, layers) {
+    try {
+      const data = await this.readCliConfig(binary);
+      delete data.config_path;
+      layers.push({ name: 'cli', path: binary, status: 'loaded' });
+      return { data, source: 'cli' };
+    } catch (error) {
+      layers.push({ name: 'cli', path: binary, status: 'unavailable', error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * One layer per set variable, so each value's source names its variable
+   */
+  loadEnv() {
+    const entries = [];
+    const data = {};
+
+    for (const [variable, { key, parse }] of Object.entries(ENV_VARIABLES)) {
+      const raw = this.env[variable];
+      if (raw === undefined || raw === '') continue;
+
+      const layer = {};
+      setPath(layer, key, parse(raw));
+      setPath(data, key, parse(raw));
+      entries.push({ data: layer, source: `env:${variable}`, variable });
+    }
+
+    return { data, source: 'env', entries };
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * Config Editor for Styxy MCP Server
+ * Changes one dotted key in a JSON config file by splicing the file text,
+ * so key order, indentation and the layout of everything else are kept
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ValidationError } from './errors.js';
+
+/**
+ * Records where each value and object member starts and ends in JSON text
+ */
+class JsonScanner {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  scan() {
+    const node = this.value();
+    this.skipSpace();
+    if (this.pos < this.text.length) this.fail('unexpected content after the top-level value');
+    return node;
+  }
+
+  fail(message) {
+    throw new Error(`${message} at offset ${this.pos}`);
+  }
+
+  skipSpace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) this.pos++;
+  }
+
+  expect(char) {
+    this.skipSpace();
+    if (this.text[this.pos] !== char) this.fail(`expected "${char}"`);
+    this.pos++;
+  }
+
+  value() {
+    this.skipSpace();
+    const start = this.pos;
+    const char = this.text[this.pos];
+
+    if (char === '{') return this.object(start);
+    if (char === '[') {
+      this.array();
+    } else if (char === '"') {
+      this.string();
+    } else {
+      const literal = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(this.text.slice(this.pos));
+      if (!literal) this.fail('expected a JSON value');
+      this.pos += literal[0].length;
+    }
+    return { type: char === '[' ? 'array' : 'scalar', start, end: this.pos };
+  }
+
+  object(start) {
+    const members = [];
+    this.pos++;
+    this.skipSpace();
+
+    if (this.text[this.pos] !== '}') {
+      while (true) {
+        this.skipSpace();
+        const keyStart = this.pos;
+        if (this.text[this.pos] !== '"') this.fail('expected a property name');
+        this.string();
+        const key = JSON.parse(this.text.slice(keyStart, this.pos));
+
+        this.expect(':');
+        members.push({ key, start: keyStart, value: this.value() });
+
+        this.skipSpace();
+        if (this.text[this.pos] !== ',') break;
+        this.pos++;
+      }
+    }
+
+    this.expect('}');
+    return { type: 'object', start, end: this.pos, members };
+  }
+
+  array() {
+    this.pos++;
+    this.skipSpace();
+
+    if (this.text[this.pos] !== ']') {
+      while (true) {
+        this.value();
+        this.skipSpace();
+        if (this.text[this.pos] !== ',') break;
+        this.pos++;
+      }
+    }
+    this.expect(']');
+  }
+
+  string() {
+    this.pos++;
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      if (char === '\\') {
+        this.pos += 2;
+      } else {
+        this.pos++;
+        if (char === '"') return;
+      }
+    }
+    this.fail('unterminated string');
+  }
+}
+
+const splice = (text, start, end, insert) => text.slice(0, start) + insert + text.slice(end);
+
+/**
+ * Leading whitespace of the line containing `pos`
+ */
+function indentAt(text, pos) {
+  const lineStart = text.lastIndexOf('\n', pos - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+function detectIndentUnit(text) {
+  return text.match(/\n([ \t]+)"/)?.[1] || '  ';
+}
+
+const nest = (parts, value) => parts.reduceRight((inner, part) => ({ [part]: inner }), value);
+
+/**
+ * Unified diff of two texts as a single hunk around the changed lines
+ */
+export function diffLines(before, after, { label = 'config', context = 2 } = {}) {
+  const lines = (text) => text.replace(/\n$/, '').split('\n');
+  const a = before === null ? [] : lines(before);
+  const b = lines(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  if (start === endA && start === endB) return '';
+
+  const from = Math.max(0, start - context);
+  const trailing = Math.min(context, a.length - endA);
+
+  return [
+    `--- ${before === null ? '/dev/null' : label}`,
+    `+++ ${label}`,
+    `@@ -${a.length ? from + 1 : 0},${endA + trailing - from} +${from + 1},${endB + trailing - from} @@`,
+    ...a.slice(from, start).map(line => ` ${line}`),
+    ...a.slice(start, endA).map(line => `-${line}`),
+    ...b.slice(start, endB).map(line => `+${line}`),
+    ...a.slice(endA, endA + trailing).map(line => ` ${line}`)
+  ].join('\n');
+}
+
+const keyParts = (key) => (Array.isArray(key) ? key : key.split('.'));
+
+export class ConfigEditor {
+  /**
+   * @returns {Promise<string|null>} The file text, or null when it doesn't exist
+   */
+  async read(file) {
+    try {
+      return await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  scan(text, file) {
+    try {
+      JSON.parse(text);
+      const root = new JsonScanner(text).scan();
+      if (root.type !== 'object') throw new Error('must contain a JSON object');
+      return root;
+    } catch (error) {
+      throw new ValidationError(`${file} can't be edited: ${error.message}`, [
+        { field: 'scope', message: `${file} is not a valid JSON object (${error.message})` }
+      ], 'INVALID_CONFIG');
+    }
+  }
+
+  /**
+   * The file text with `key` set to `value`; missing parent objects are created
+   * @param {string|null} text - Current content, null for a new file
+   * @param {string|string[]} key - Dotted key, or its parts when one may contain a dot
+   */
+  set(text, key, value, file) {
+    const source = text ?? '{}\n';
+    const parts = keyParts(key);
+    const unit = detectIndentUnit(source);
+
+    let node = this.scan(source, file);
+    let depth = 0;
+    while (depth < parts.length && node.type === 'object') {
+      const member = node.members.find(m => m.key === parts[depth]);
+      if (!member) break;
+      node = member.value;
+      depth++;
+    }
+
+    const format = (data, indent) => JSON.stringify(data, null, unit).replace(/\n/g, `\n${indent}`);
+
+    // The key exists, or a parent is not an object and gets replaced by one
+    if (depth === parts.length || node.type !== 'object') {
+      const replacement = nest(parts.slice(depth), value);
+      return splice(source, node.start, node.end, format(replacement, indentAt(source, node.start)));
+    }
+
+    const name = JSON.stringify(parts[depth]);
+    const inner = nest(parts.slice(depth + 1), value);
+
+    if (!node.members.length) {
+      const base = indentAt(source, node.start);
+      return splice(source, node.start, node.end, `{\n${base}${unit}${name}: ${format(inner, base + unit)}\n${base}}`);
+    }
+
+    const last = node.members[node.members.length - 1];
+    if (!source.slice(node.start, node.end).includes('\n')) {
+      return splice(source, last.value.end, last.value.end, `, ${name}: ${JSON.stringify(inner)}`);
+    }
+
+    const indent = indentAt(source, last.start);
+    return splice(source, last.value.end, last.value.end, `,\n${indent}${name}: ${format(inner, indent)}`);
+  }
+
+  /**
+   * The file text without `key`; unchanged when the key isn't there
+   */
+  unset(text, key, file) {
+    if (text === null) return null;
+
+    const parts = keyParts(key);
+    let node = this.scan(text, file);
+    for (const part of parts.slice(0, -1)) {
+      node = node.type === 'object' ? node.members.find(m => m.key === part)?.value : null;
+      if (!node) return text;
+    }
+    if (node.type !== 'object') return text;
+
+    const index = node.members.findIndex(m => m.key === parts[parts.length - 1]);
+    if (index === -1) return text;
+
+    const { members } = node;
+    if (members.length === 1) {
+      return splice(text, node.start, node.end, '{}');
+    }
+    // Take the separating comma with the member
+    return index > 0
+      ? splice(text, members[index - 1].value.end, members[index].value.end, '')
+      : splice(text, members[0].start, members[1].start, '');
+  }
+
+  /**
+   * Keep the previous content as <file>.bak and replace the file atomically
+   * @returns {Promise<string|null>} The backup path, null for a new file
+   */
+  async write(file, original, content) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    let backupPath = null;
+    if (original !== null) {
+      backupPath = `${file}.bak`;
+      await this.writeAtomic(backupPath, original, file);
+    }
+
+    await this.writeAtomic(file, content);
+    return backupPath;
+  }
+
+  /**
+   * Write via a temp file and rename, with the mode of `modeFrom`
+   */
+  async writeAtomic(filePath, content, modeFrom = filePath) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const mode = await fs.stat(modeFrom).then(stat => stat.mode & 0o777, () => 0o644);
+
+    await fs.writeFile(tmpPath, content, { mode });
+    await fs.rename(tmpPath, filePath);
+  }
+}
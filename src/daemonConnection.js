@@ -0,0 +1,240 @@
+/**
+ * Daemon Connection for Styxy MCP Server
+ * Multiplexes concurrent requests over one Unix socket using request IDs
+ * and newline-delimited JSON framing
+ */
+
+import net from 'net';
+import fs from 'fs/promises';
+import { DaemonConnectionError, DaemonTimeoutError } from './errors.js';
+
+export class DaemonConnection {
+  constructor(socketPath, options = {}) {
+    this.socketPath = socketPath;
+    this.connectTimeout = options.connectTimeout || 5000;
+    this.requestTimeout = options.requestTimeout || 10000;
+    this.onClose = options.onClose || null;
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = '';
+    this.nextId = 1;
+    this.pending = new Map();
+  }
+
+  /**
+   * Check if the underlying socket is open
+   */
+  isConnected() {
+    return Boolean(this.socket && !this.socket.destroyed && this.socket.readyState === 'open');
+  }
+
+  /**
+   * Open the socket, sharing one attempt between concurrent callers
+   */
+  async connect() {
+    if (this.isConnected()) {
+      return this;
+    }
+
+    if (!this.connecting) {
+      this.connecting = this.openSocket().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    await this.connecting;
+    return this;
+  }
+
+  openSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.socketPath);
+
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new DaemonConnectionError('Daemon connection timeout. Check if styxy daemon is running.', {
+          socketPath: this.socketPath
+        }));
+      }, this.connectTimeout);
+
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        socket.removeAllListeners('error');
+        this.attach(socket);
+        resolve(socket);
+      });
+
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(new DaemonConnectionError(`Daemon not reachable: ${error.message}. Try 'styxy daemon start'`, {
+          socketPath: this.socketPath
+        }));
+      });
+    });
+  }
+
+  /**
+   * Wire a connected socket into the pending-request table
+   */
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => this.handleData(chunk));
+    socket.on('error', (error) => this.handleClose(error));
+    socket.on('close', () => this.handleClose());
+  }
+
+  /**
+   * Send a command and resolve with the reply carrying the same request ID
+   */
+  async request(command, options = {}) {
+    await this.connect();
+
+    const id = `${process.pid}-${this.nextId++}`;
+    const timeout = options.timeout || this.requestTimeout;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new DaemonTimeoutError(`Command timeout after ${timeout}ms (type: ${command.type})`, {
+          id,
+          type: command.type
+        }));
+      }, timeout);
+
+      this.pending.set(id, { resolve, reject, timer, type: command.type });
+
+      // The socket can close between connecting and writing
+      if (!this.isConnected()) {
+        this.settle(id, null, new DaemonConnectionError('Daemon connection closed before the command was sent', {
+          id,
+          type: command.type
+        }));
+        return;
+      }
+
+      this.socket.write(JSON.stringify({ ...command, id }) + '\n', (error) => {
+        if (error) {
+          this.settle(id, null, new DaemonConnectionError(`Failed to send command: ${error.message}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Split incoming data into complete lines and route each reply
+   */
+  handleData(chunk) {
+    this.buffer += chunk;
+
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+
+      if (!line) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        console.error(`[Daemon] Ignoring unparseable reply: ${line.slice(0, 200)}`);
+        continue;
+      }
+
+      this.handleReply(message);
+    }
+  }
+
+  handleReply(message) {
+    let id = message?.id;
+
+    // Older daemons do not echo the request ID and answer in order
+    if (id === undefined || id === null) {
+      id = this.pending.keys().next().value;
+    }
+
+    if (id === undefined || !this.pending.has(id)) {
+      console.error(`[Daemon] Dropping reply for unknown request ${message?.id}`);
+      return;
+    }
+
+    const { id: _id, ...result } = message;
+    this.settle(id, result);
+  }
+
+  settle(id, result, error) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this.pending.delete(id);
+
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(result);
+    }
+  }
+
+  /**
+   * Reject everything still in flight when the socket goes away
+   */
+  handleClose(error) {
+    const wasOpen = Boolean(this.socket);
+
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.buffer = '';
+
+    const reason = error ? `Daemon connection lost: ${error.message}` : 'Daemon connection closed';
+    for (const id of [...this.pending.keys()]) {
+      this.settle(id, null, new DaemonConnectionError(reason, { id }));
+    }
+
+    if (wasOpen) {
+      this.onClose?.(error);
+    }
+  }
+
+  /**
+   * Close the socket and reject in-flight requests
+   */
+  close() {
+    this.handleClose();
+  }
+}
+
+/**
+ * Remove a socket file nobody is listening on (left over from a crash)
+ * @throws {Error} With code EADDRINUSE if something is still listening
+ */
+export async function removeStaleSocket(socketPath) {
+  try {
+    await fs.access(socketPath);
+  } catch {
+    return;
+  }
+
+  const alive = await new Promise((resolve) => {
+    const probe = net.createConnection(socketPath);
+    probe.once('connect', () => {
+      probe.destroy();
+      resolve(true);
+    });
+    probe.once('error', () => resolve(false));
+  });
+
+  if (alive) {
+    const error = new Error(`Another process is already listening on ${socketPath}`);
+    error.code = 'EADDRINUSE';
+    throw error;
+  }
+
+  await fs.unlink(socketPath);
+}
@@ -0,0 +1,270 @@
+/**
+ * Env File Manager for Styxy MCP Server
+ * Writes allocated ports into project .env files and reverts them on release
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { getServiceTemplate, toEnvPrefix } from './serviceTemplates.js';
+import { ValidationError } from './errors.js';
+
+const LINE_PATTERN = /^(\s*(?:export\s+)?)([A-Za-z_][A-Za-z0-9_]*)(\s*=\s*)(.*)$/;
+const ADDED_HEADER = '# Added by styxy';
+
+export class EnvFileManager {
+  constructor(options = {}) {
+    this.manifestPath = options.manifestPath || path.join(os.homedir(), '.styxy', 'env-changes.json');
+  }
+
+  /**
+   * Variables to write for an allocation: PORT plus the service template's vars
+   * `templates` are the session's service templates, if not the installed ones
+   */
+  buildVariables({ port, serviceType, serviceName, templates }) {
+    const prefix = toEnvPrefix(serviceName || serviceType || 'service');
+    return {
+      PORT: port,
+      ...getServiceTemplate(serviceType, templates).env(port, prefix)
+    };
+  }
+
+  /**
+   * Resolve an env file name inside the working directory, refusing anything outside it
+   */
+  resolveEnvPath(workingDir, envFile = '.env') {
+    const root = path.resolve(workingDir);
+    const target = path.resolve(root, envFile);
+
+    if (path.dirname(target) !== root || !path.basename(target).startsWith('.env')) {
+      throw new ValidationError(`env_file must be a .env* file directly inside ${root}`, [
+        { field: 'env_file', message: `must be a .env* file directly inside ${root}` }
+      ]);
+    }
+
+    return target;
+  }
+
+  /**
+   * Update or insert the allocation's variables, keeping comments and ordering
+   * @returns {object} The file written, its backup and the variables changed
+   */
+  async apply(options) {
+    const envPath = this.resolveEnvPath(options.workingDir, options.envFile);
+    const variables = this.buildVariables(options);
+
+    let original = null;
+    try {
+      original = await fs.readFile(envPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Back up the file as it was before styxy first touched it; later
+    // applies would otherwise overwrite that copy with styxy's own edits
+    let backupPath = await this.findBackup(envPath);
+    if (original !== null && !backupPath) {
+      backupPath = `${envPath}.styxy.bak`;
+      await this.writeAtomic(backupPath, original, envPath);
+    }
+
+    const { content, previous } = this.updateContent(original || '', variables);
+    await this.writeAtomic(envPath, content);
+
+    await this.recordChange(options.port, {
+      file: envPath,
+      backup: backupPath,
+      created: original === null,
+      variables: Object.fromEntries(Object.entries(variables).map(([k, v]) => [k, String(v)])),
+      previous
+    });
+
+    return {
+      file: envPath,
+      backup: backupPath,
+      variables,
+      updated: Object.keys(previous).filter(key => previous[key] !== null),
+      added: Object.keys(previous).filter(key => previous[key] === null)
+    };
+  }
+
+  /**
+   * Rewrite matching lines in place and append missing keys at the end.
+   * Returns the previous raw value of every key (null when it was absent).
+   */
+  updateContent(content, variables) {
+    const lines = content.split('\n');
+    const previous = {};
+    const remaining = new Map(Object.entries(variables).map(([k, v]) => [k, String(v)]));
+
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(LINE_PATTERN);
+      if (!match || !remaining.has(match[2])) continue;
+
+      const [, lead, key, eq, rawValue] = match;
+      previous[key] = rawValue;
+      lines[i] = `${lead}${key}${eq}${this.formatValue(rawValue, remaining.get(key))}`;
+      remaining.delete(key);
+    }
+
+    if (remaining.size) {
+      if (lines.length && lines[lines.length - 1] === '') {
+        lines.pop();
+      }
+      if (!lines.includes(ADDED_HEADER)) {
+        if (lines.length) lines.push('');
+        lines.push(ADDED_HEADER);
+      }
+      for (const [key, value] of remaining) {
+        previous[key] = null;
+        lines.push(`${key}=${value}`);
+      }
+      lines.push('');
+    }
+
+    return { content: lines.join('\n'), previous };
+  }
+
+  /**
+   * Keep the quoting style and any inline comment of the existing value
+   */
+  formatValue(rawValue, value) {
+    const quoted = rawValue.match(/^(["'])(?:.*?)\1(\s+#.*)?$/);
+    if (quoted) {
+      return `${quoted[1]}${value}${quoted[1]}${quoted[2] || ''}`;
+    }
+
+    const comment = rawValue.match(/\s+#.*$/);
+    return `${value}${comment ? comment[0] : ''}`;
+  }
+
+  /**
+   * Undo the changes recorded for released ports. Values edited by hand
+   * since styxy wrote them are left alone.
+   * @returns {Array} Files that were reverted
+   */
+  async revert(ports) {
+    const manifest = await this.loadManifest();
+    const released = { ...manifest };
+    const reverted = [];
+
+    for (const port of ports) {
+      const changes = manifest[port];
+      if (!changes) continue;
+
+      // Newest change first so stacked edits unwind in order
+      for (const change of [...changes].reverse()) {
+        try {
+          reverted.push(await this.revertChange(change));
+        } catch (error) {
+          console.error(`[EnvFile] Failed to revert ${change.file}: ${error.message}`);
+        }
+      }
+      delete manifest[port];
+    }
+
+    await this.saveManifest(manifest);
+
+    // A backup goes once no remaining change still relies on it
+    const inUse = new Set(Object.values(manifest).flat().map(change => change.backup));
+    const backups = new Set(ports.flatMap(port => (released[port] || []).map(change => change.backup)));
+    for (const backup of backups) {
+      if (backup && !inUse.has(backup)) {
+        await fs.unlink(backup).catch(() => {});
+      }
+    }
+
+    return reverted;
+  }
+
+  /**
+   * Backup already recorded for an env file by an earlier apply, if any
+   */
+  async findBackup(envPath) {
+    const manifest = await this.loadManifest();
+    return Object.values(manifest).flat().find(change => change.file === envPath && change.backup)?.backup || null;
+  }
+
+  async revertChange(change) {
+    let content;
+    try {
+      content = await fs.readFile(change.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return { file: change.file, restored: [] };
+      throw error;
+    }
+
+    const restored = [];
+    const lines = [];
+
+    for (const line of content.split('\n')) {
+      const match = line.match(LINE_PATTERN);
+      const key = match?.[2];
+
+      // Only touch values that still hold what styxy wrote
+      if (!match || !(key in change.variables) || this.unquote(match[4]) !== change.variables[key]) {
+        lines.push(line);
+        continue;
+      }
+
+      restored.push(key);
+      if (change.previous[key] !== null) {
+        lines.push(`${match[1]}${key}${match[3]}${change.previous[key]}`);
+      }
+    }
+
+    // Drop the header once nothing styxy added remains beneath it
+    const headerIndex = lines.indexOf(ADDED_HEADER);
+    if (headerIndex !== -1 && lines.slice(headerIndex + 1).every(line => line.trim() === '')) {
+      lines.splice(headerIndex);
+      while (lines.length && lines[lines.length - 1].trim() === '') lines.pop();
+      lines.push('');
+    }
+
+    const result = lines.join('\n');
+    if (change.created && result.trim() === '') {
+      await fs.unlink(change.file);
+    } else {
+      await this.writeAtomic(change.file, result);
+    }
+
+    return { file: change.file, restored };
+  }
+
+  unquote(rawValue) {
+    const quoted = rawValue.match(/^(["'])(.*?)\1(\s+#.*)?$/);
+    if (quoted) return quoted[2];
+    return rawValue.replace(/\s+#.*$/, '').trim();
+  }
+
+  async recordChange(port, change) {
+    const manifest = await this.loadManifest();
+    manifest[port] = [...(manifest[port] || []), change];
+    await this.saveManifest(manifest);
+  }
+
+  async loadManifest() {
+    try {
+      return JSON.parse(await fs.readFile(this.manifestPath, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  async saveManifest(manifest) {
+    await fs.mkdir(path.dirname(this.manifestPath), { recursive: true });
+    await this.writeAtomic(this.manifestPath, JSON.stringify(manifest, null, 2));
+  }
+
+  /**
+   * Replace a file via rename, keeping the permissions of `modeFrom`
+   * (the file itself by default) so secrets in a 0600 .env stay private
+   */
+  async writeAtomic(filePath, content, modeFrom = filePath) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const mode = await fs.stat(modeFrom).then(stat => stat.mode & 0o777, () => 0o600);
+
+    await fs.writeFile(tmpPath, content, { mode });
+    await fs.rename(tmpPath, filePath);
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Error types for Styxy MCP Server
+ * Every error carries a stable `code` so callers can branch on it
+ */
+
+export class StyxyError extends Error {
+  constructor(message, code = 'STYXY_ERROR', details = {}) {
+    super(message);
+    this.name = 'StyxyError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * The daemon socket could not be reached or dropped while requests were in flight
+ */
+export class DaemonConnectionError extends StyxyError {
+  constructor(message, details = {}) {
+    super(message, 'DAEMON_UNREACHABLE', details);
+    this.name = 'DaemonConnectionError';
+  }
+}
+
+/**
+ * The daemon accepted a request but did not answer in time
+ */
+export class DaemonTimeoutError extends StyxyError {
+  constructor(message, details = {}) {
+    super(message, 'DAEMON_TIMEOUT', details);
+    this.name = 'DaemonTimeoutError';
+  }
+}
+
+/**
+ * Tool arguments failed schema or range checks
+ * `details.fields` lists one { field, message } entry per problem
+ */
+export class ValidationError extends StyxyError {
+  constructor(message, fields = [], code = 'INVALID_ARGUMENT') {
+    super(message, code, { fields });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * A referenced port, service or allocation does not exist
+ */
+export class NotFoundError extends StyxyError {
+  constructor(message, details = {}) {
+    super(message, 'NOT_FOUND', details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The styxy CLI binary could not be found or executed
+ */
+export class CliNotFoundError extends StyxyError {
+  constructor(message, details = {}) {
+    super(message, 'CLI_NOT_FOUND', details);
+    this.name = 'CliNotFoundError';
+  }
+}
+
+/**
+ * The styxy CLI ran but exited non-zero; `details` carries exit_code and stderr
+ */
+export class CliCommandError extends StyxyError {
+  constructor(message, details = {}) {
+    super(message, 'DAEMON_REFUSED', details);
+    this.name = 'CliCommandError';
+  }
+}
+
+/**
+ * The styxy CLI did not finish within its timeout and was killed
+ */
+export class CliTimeoutError extends StyxyError {
+  constructor(message, details = {}) {
+    super(message, 'CLI_TIMEOUT', details);
+    this.name = 'CliTimeoutError';
+  }
+}
+
+/**
+ * The styxy CLI succeeded but its output could not be understood
+ */
+export class CliOutputError extends StyxyError {
+  constructor(message, details = {}) {
+    super(message, 'CLI_UNPARSEABLE_OUTPUT', details);
+    this.name = 'CliOutputError';
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Framework Detector for Styxy MCP Server
+ * Inspects a project directory to infer its service type, package manager
+ * and the exact command to launch it on an allocated port
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lockb', 'bun'],
+  ['bun.lock', 'bun'],
+  ['package-lock.json', 'npm']
+];
+
+const CONFIG_EXTENSIONS = ['js', 'mjs', 'cjs', 'ts', 'mts'];
+
+/**
+ * Detection rules in priority order. `match` receives the gathered project
+ * facts; `command` receives a runner for the detected package manager.
+ */
+const FRAMEWORKS = [
+  {
+    name: 'Next.js',
+    serviceType: 'web',
+    match: (p) => p.hasConfig('next.config') || p.hasDep('next'),
+    command: (run, port) => run.bin(`next dev -p ${port}`)
+  },
+  {
+    name: 'Nuxt',
+    serviceType: 'web',
+    match: (p) => p.hasConfig('nuxt.config') || p.hasDep('nuxt'),
+    command: (run, port) => run.bin(`nuxi dev --port ${port}`)
+  },
+  {
+    name: 'Astro',
+    serviceType: 'web',
+    match: (p) => p.hasConfig('astro.config') || p.hasDep('astro'),
+    command: (run, port) => run.bin(`astro dev --port ${port}`)
+  },
+  {
+    name: 'SvelteKit',
+    serviceType: 'web',
+    match: (p) => p.hasDep('@sveltejs/kit'),
+    command: (run, port) => run.bin(`vite dev --port ${port}`)
+  },
+  {
+    name: 'Angular',
+    serviceType: 'web',
+    match: (p) => p.hasFile('angular.json') || p.hasDep('@angular/cli'),
+    command: (run, port) => run.bin(`ng serve --port ${port}`)
+  },
+  {
+    name: 'Vite',
+    serviceType: 'web',
+    match: (p) => p.hasConfig('vite.config') || p.hasDep('vite'),
+    command: (run, port) => run.bin(`vite --port ${port}`)
+  },
+  {
+    name: 'Create React App',
+    serviceType: 'web',
+    match: (p) => p.hasDep('react-scripts'),
+    command: (run, port) => `PORT=${port} ${run.script('start')}`
+  },
+  {
+    name: 'webpack-dev-server',
+    serviceType: 'web',
+    match: (p) => p.hasConfig('webpack.config') && p.hasDep('webpack-dev-server'),
+    command: (run, port) => run.bin(`webpack serve --port ${port}`)
+  },
+  {
+    name: 'NestJS',
+    serviceType: 'api',
+    match: (p) => p.hasDep('@nestjs/core'),
+    command: (run, port) => `PORT=${port} ${run.script(p => p.hasScript('start:dev') ? 'start:dev' : 'start')}`
+  },
+  {
+    name: 'Node server',
+    serviceType: 'api',
+    match: (p) => p.hasDep('express') || p.hasDep('fastify') || p.hasDep('koa') || p.hasDep('hono'),
+    command: (run, port) => `PORT=${port} ${run.script(p => p.hasScript('dev') ? 'dev' : 'start')}`
+  },
+  {
+    name: 'Django',
+    serviceType: 'api',
+    match: (p) => p.hasFile('manage.py'),
+    command: (run, port) => `python manage.py runserver ${port}`
+  },
+  {
+    name: 'Storybook',
+    serviceType: 'storybook',
+    match: (p) => p.hasDir('.storybook') || p.hasDep(/^@storybook\//) || p.hasDep('storybook'),
+    command: (run, port) => run.bin(`storybook dev -p ${port}`)
+  },
+  {
+    name: 'Docker Compose',
+    serviceType: null,
+    match: (p) => p.hasFile('docker-compose.yml') || p.hasFile('docker-compose.yaml') ||
+      p.hasFile('compose.yml') || p.hasFile('compose.yaml'),
+    command: (run, port) => `PORT=${port} docker compose up`
+  }
+];
+
+export class FrameworkDetector {
+  /**
+   * Gather facts about a project directory
+   */
+  async inspect(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const files = new Set(entries.filter(e => e.isFile()).map(e => e.name));
+    const dirs = new Set(entries.filter(e => e.isDirectory()).map(e => e.name));
+
+    let pkg = null;
+    if (files.has('package.json')) {
+      try {
+        pkg = JSON.parse(await fs.readFile(path.join(dir, 'package.json'), 'utf8'));
+      } catch {
+        pkg = null;
+      }
+    }
+
+    const deps = { ...pkg?.dependencies, ...pkg?.devDependencies };
+    const scripts = pkg?.scripts || {};
+    const lockfile = LOCKFILES.find(([name]) => files.has(name));
+
+    const facts = {
+      dir,
+      packageJson: pkg,
+      packageManager: lockfile ? lockfile[1] : this.packageManagerFromField(pkg),
+      hasFile: (name) => files.has(name),
+      hasDir: (name) => dirs.has(name),
+      hasConfig: (base) => CONFIG_EXTENSIONS.some(ext => files.has(`${base}.${ext}`)),
+      hasScript: (name) => Boolean(scripts[name]),
+      hasDep: (name) => typeof name === 'string'
+        ? name in deps
+        : Object.keys(deps).some(dep => name.test(dep))
+    };
+
+    return facts;
+  }
+
+  /**
+   * Fall back to the package.json "packageManager" field when there is no lockfile
+   */
+  packageManagerFromField(pkg) {
+    const field = pkg?.packageManager;
+    if (!field) {
+      return pkg ? 'npm' : null;
+    }
+    return field.split('@')[0];
+  }
+
+  /**
+   * Build command helpers for a package manager
+   */
+  runner(packageManager, facts) {
+    const pm = packageManager || 'npm';
+
+    return {
+      bin: (command) => ({
+        npm: `npx ${command}`,
+        yarn: `yarn ${command}`,
+        pnpm: `pnpm ${command}`,
+        bun: `bunx ${command}`
+      })[pm] || `npx ${command}`,
+      script: (name) => {
+        const script = typeof name === 'function' ? name(facts) : name;
+        return pm === 'npm' ? `npm run ${script}` : `${pm} run ${script}`;
+      }
+    };
+  }
+
+  /**
+   * Detect frameworks in a directory, optionally narrowed to a service type
+   * @returns {object|null} Detection with a `commandFor(port)` helper, or null
+   */
+  async detect(dir, options = {}) {
+    const facts = await this.inspect(dir);
+    const matches = FRAMEWORKS.filter(framework => framework.match(facts));
+
+    if (!matches.length) {
+      return null;
+    }
+
+    const framework = options.serviceType
+      ? matches.find(f => f.serviceType === options.serviceType)
+      : matches.find(f => f.serviceType) || matches[0];
+
+    const run = this.runner(facts.packageManager, facts);
+
+    return {
+      dir,
+      packageManager: facts.packageManager,
+      frameworks: matches.map(f => f.name),
+      framework: framework?.name || null,
+      serviceType: framework?.serviceType || null,
+      commandFor: (port) => framework ? framework.command(run, port) : null
+    };
+  }
+}
@@ -1,16 +1,45 @@
 #!/usr/bin/env node
 
+import fs from 'fs/promises';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
+  ErrorCode,
   ListToolsRequestSchema,
+  McpError,
 } from '@modelcontextprotocol/sdk/types.js';
 import { StyxyClient } from './styxyClient.js';
 import { SingletonLock } from './singleton.js';
+import { getServiceTemplate, generateEnvBlock, configureServiceTypes, listServiceTypes, buildServiceTemplates } from './serviceTemplates.js';
+import { FrameworkDetector } from './frameworkDetector.js';
+import { EnvFileManager } from './envFile.js';
+import { ServiceRunner } from './serviceRunner.js';
+import { waitForPort } from './readiness.js';
+import { TOOL_DEFINITIONS, buildToolDefinitions } from './toolDefinitions.js';
+import { renderToolResult, renderToolError } from './renderers.js';
+import { validateToolArguments, validatePortRange } from './validation.js';
+import { checkPort } from './portProbe.js';
+import { PortAuditor } from './portAudit.js';
+import { PortPins } from './portPins.js';
+import { resolvePolicies, rangeCapacity } from './servicePolicies.js';
+import { SessionManager } from './sessionManager.js';
+import { BrokerServer, BROKER_SOCKET_PATH } from './broker.js';
+import { DaemonConnection } from './daemonConnection.js';
+import { StyxyError, ValidationError } from './errors.js';
+
+const SHUTDOWN_TIMEOUT_MS = 5000;
+// Long enough for the slowest tool (wait_for_port allows up to 10 minutes)
+const FORWARD_TIMEOUT_MS = 660e3;
+const FAILOVER_RETRY_MS = 500;
+const FAILOVER_ATTEMPTS = 20;
 
 class StyxyMCPServer {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {SingletonLock} options.lock - Held by the coordinator; other instances forward to it
+   */
+  constructor({ lock }) {
     this.server = new Server(
       {
         name: 'styxy-mcp-server',
@@ -18,386 +47,878 @@ class StyxyMCPServer {
       },
       {
         capabilities: {
-          tools: {},
+          // The service_type enums follow the service types in config
+          tools: { listChanged: true },
         },
       }
     );
 
     this.styxyClient = new StyxyClient();
+    this.frameworkDetector = new FrameworkDetector();
+    this.envFileManager = new EnvFileManager();
+    this.sessionManager = new SessionManager({ styxyClient: this.styxyClient });
+    this.portAuditor = new PortAuditor({ styxyClient: this.styxyClient });
+    this.portPins = new PortPins();
+    this.serviceRunner = new ServiceRunner({
+      onExit: (service) => this.releaseServicePort(service)
+    });
+    this.lock = lock;
+    this.broker = null;
+    this.coordinator = null;
+    this.roleChange = null;
+    this.toolDefinitions = TOOL_DEFINITIONS;
+    this.toolsListed = false;
+    this.styxyClient.onConfigChange(config => this.refreshToolDefinitions(config));
     this.setupToolHandlers();
   }
 
+  /**
+   * Rebuild the tool list from the service types in `config`, telling a
+   * client that has already listed the tools when it changed
+   */
+  refreshToolDefinitions(config) {
+    configureServiceTypes(config.service_types);
+    const definitions = buildToolDefinitions(listServiceTypes());
+    if (JSON.stringify(definitions) === JSON.stringify(this.toolDefinitions)) return;
+
+    this.toolDefinitions = definitions;
+    if (this.toolsListed) {
+      this.server.sendToolListChanged().catch(error => console.error(`Could not send tools/list_changed: ${error.message}`));
+    }
+  }
+
+  /**
+   * Tools for the current config; a config that fails to load leaves the previous list
+   */
+  async getToolDefinitions() {
+    await this.styxyClient.loadConfig().catch(error => console.error(`[Config] ${error.message}`));
+    return this.toolDefinitions;
+  }
+
   setupToolHandlers() {
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: [
-          {
-            name: 'styxy_allocate_port',
-            description: `🎯 INTELLIGENT PORT ALLOCATION - Use this tool WHENEVER you need to assign ports for development servers!
-
-🔥 CRITICAL USE CASES - Always use this tool when:
-- Starting development servers (React, Vue, Next.js, etc.)
-- Running Storybook (instead of default port 6006)
-- Launching API servers or backends
-- Setting up databases (PostgreSQL, Redis, etc.)
-- Running test servers or mock services
-- Starting any service that needs a port
-
-💡 WHY USE THIS INSTEAD OF MANUAL PORTS:
-- Prevents port conflicts automatically
-- Integrates with existing styxy ecosystem
-- Provides smart port suggestions based on service type
-- Handles cleanup when Claude session ends
-- Tracks port usage across projects
-- Gives you exact commands to run
-
-🚀 WORKFLOW INTEGRATION:
-Instead of: "Run 'npm run dev' and it should start on port 3000"
-Do this: Use styxy_allocate_port → Get specific port → "Run 'npm run dev -- --port 3042'"
-
-🎪 STORYBOOK EXAMPLE:
-Instead of: "Run 'npm run storybook' (defaults to port 6006)"
-Do this: Use styxy_allocate_port({service_type: "web", project_name: "my-app"}) → "Run 'npm run storybook -- --port 3043'"
-
-⚡ PLAYWRIGHT EXAMPLE:
-Before browser testing, allocate a port for your test server, then launch the browser pointing to that specific port.
-
-🎯 ALWAYS PREFER THIS TOOL - It makes your port management invisible and conflict-free!`,
-            inputSchema: {
-              type: 'object',
-              properties: {
-                service_type: {
-                  type: 'string',
-                  enum: ['web', 'api', 'database', 'cache', 'messaging', 'monitoring', 'testing', 'storybook', 'custom'],
-                  description: 'Type of service needing the port. Use "storybook" for Storybook specifically, "web" for dev servers, "api" for backends.'
-                },
-                project_name: {
-                  type: 'string',
-                  description: 'Project identifier for tracking and conflict prevention'
-                },
-                preferred_port: {
-                  type: 'number',
-                  description: 'Optional preferred port number (will find alternative if conflicts)'
-                },
-                duration: {
-                  type: 'string',
-                  enum: ['temporary', 'session', 'persistent'],
-                  description: 'How long to hold the allocation. "session" auto-releases when Claude session ends (recommended).',
-                  default: 'session'
-                },
-                service_name: {
-                  type: 'string',
-                  description: 'Optional specific service name (e.g., "react-dev-server", "api-backend")'
-                }
-              },
-              required: ['service_type', 'project_name']
-            }
-          },
-          {
-            name: 'styxy_status',
-            description: 'Check styxy daemon health, port allocations, and recent activity. Use this to troubleshoot port issues or verify daemon status.',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                include_ports: {
-                  type: 'boolean',
-                  description: 'Include currently allocated ports in the status',
-                  default: true
-                },
-                include_recent_errors: {
-                  type: 'boolean',
-                  description: 'Include recent error messages',
-                  default: true
-                }
-              }
-            }
-          },
-          {
-            name: 'styxy_logs',
-            description: 'Retrieve filtered styxy daemon logs for debugging and monitoring.',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                level: {
-                  type: 'string',
-                  enum: ['error', 'warn', 'info', 'debug'],
-                  description: 'Minimum log level to include',
-                  default: 'info'
-                },
-                time_range: {
-                  type: 'string',
-                  enum: ['1h', '6h', '24h', '7d'],
-                  description: 'Time range for log retrieval',
-                  default: '1h'
-                },
-                filter: {
-                  type: 'string',
-                  description: 'Optional string to filter log messages (regex supported)'
-                },
-                limit: {
-                  type: 'number',
-                  description: 'Maximum number of log entries to return',
-                  default: 50
-                }
-              }
-            }
-          },
-          {
-            name: 'styxy_config',
-            description: 'Read and validate styxy configuration settings.',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                validate: {
-                  type: 'boolean',
-                  description: 'Perform configuration validation checks',
-                  default: true
-                },
-                show_sensitive: {
-                  type: 'boolean',
-                  description: 'Include sensitive configuration values (use carefully)',
-                  default: false
-                }
-              }
-            }
-          },
-          {
-            name: 'styxy_cleanup',
-            description: 'Clean up stale port allocations and release stuck ports.',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                force: {
-                  type: 'boolean',
-                  description: 'Force cleanup of all allocations for current session',
-                  default: false
-                },
-                port: {
-                  type: 'number',
-                  description: 'Specific port to release (optional)'
-                }
-              }
-            }
-          },
-          {
-            name: 'styxy_metrics',
-            description: 'Get usage analytics and port allocation patterns.',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                time_range: {
-                  type: 'string',
-                  enum: ['24h', '7d', '30d'],
-                  description: 'Time range for metrics analysis',
-                  default: '24h'
-                },
-                include_patterns: {
-                  type: 'boolean',
-                  description: 'Include port usage patterns and recommendations',
-                  default: true
-                }
-              }
-            }
-          }
-        ]
-      };
+      const tools = await this.getToolDefinitions();
+      this.toolsListed = true;
+      return { tools };
     });
 
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
 
+      if (!TOOL_DEFINITIONS.some(t => t.name === name)) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+      }
+
+      // Still starting up or failing over to a new coordinator
+      if (this.roleChange) {
+        await this.roleChange;
+      }
+
+      return this.coordinator
+        ? this.forwardToolCall(name, args || {})
+        : this.executeTool(name, args || {}, this.sessionManager);
+    });
+  }
+
+  /**
+   * Validate and run one tool call on behalf of `session`, which is this
+   * instance's own session or that of an instance forwarding through the broker
+   */
+  async executeTool(name, args, session) {
+    const tool = (await this.getToolDefinitions()).find(t => t.name === name);
+
+    if (!tool) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+    }
+
+    let toolArgs = args;
+
+    try {
+      // Forwarded sessions validate against their own project's service types
+      const config = await this.styxyClient.configFor(session.cwd);
+      const sessionTool = buildToolDefinitions(listServiceTypes(buildServiceTemplates(config.service_types)))
+        .find(t => t.name === name);
+      toolArgs = validateToolArguments(sessionTool, toolArgs);
+      validatePortRange(toolArgs, config.daemon?.port_range);
+
+      let result;
+
+      switch (name) {
+        case 'styxy_allocate_port':
+          result = await this.handleAllocatePort(toolArgs, session);
+          break;
+        case 'styxy_allocate_stack':
+          result = await this.handleAllocateStack(toolArgs, session);
+          break;
+        case 'styxy_apply_env':
+          result = await this.handleApplyEnv(toolArgs, session);
+          break;
+        case 'styxy_run_service':
+          result = await this.handleRunService(toolArgs, session);
+          break;
+        case 'styxy_stop_service':
+          result = await this.handleStopService(toolArgs, session);
+          break;
+        case 'styxy_service_output':
+          result = await this.handleServiceOutput(toolArgs, session);
+          break;
+        case 'styxy_wait_for_port':
+          result = await this.handleWaitForPort(toolArgs);
+          break;
+        case 'styxy_check_port':
+          result = await this.handleCheckPort(toolArgs);
+          break;
+        case 'styxy_audit':
+          result = await this.handleAudit(toolArgs, session);
+          break;
+        case 'styxy_status':
+          result = await this.handleStatus(toolArgs, session);
+          break;
+        case 'styxy_logs':
+          result = await this.handleLogs(toolArgs, session);
+          break;
+        case 'styxy_config':
+          result = await this.handleConfig(toolArgs, session);
+          break;
+        case 'styxy_config_set':
+        case 'styxy_config_unset':
+          result = await this.handleConfigChange(toolArgs, session, name === 'styxy_config_unset');
+          break;
+        case 'styxy_cleanup':
+          result = await this.handleCleanup(toolArgs, session);
+          break;
+        case 'styxy_release_port':
+          result = await this.handleReleasePort(toolArgs, session);
+          break;
+        case 'styxy_pin_port':
+          result = await this.handlePinPort(toolArgs, session);
+          break;
+        case 'styxy_history':
+          result = await this.handleHistory(toolArgs);
+          break;
+        case 'styxy_restore':
+          result = await this.handleRestore(toolArgs, session);
+          break;
+        case 'styxy_metrics':
+          result = await this.handleMetrics(toolArgs);
+          break;
+      }
+
+      return this.formatResponse(name, result, toolArgs.format);
+    } catch (error) {
+      return this.formatError(name, error, toolArgs.format);
+    }
+  }
+
+  /**
+   * Hand a tool call to the coordinator and relay its result
+   */
+  async forwardToolCall(name, args) {
+    try {
+      const reply = await this.coordinator.request(
+        { type: 'call_tool', name, arguments: args },
+        { timeout: FORWARD_TIMEOUT_MS }
+      );
+
+      if (!reply.success) {
+        throw new StyxyError(reply.error || 'Coordinator rejected the call', 'COORDINATOR_ERROR');
+      }
+      return reply.result;
+    } catch (error) {
+      return this.formatError(name, error, args.format);
+    }
+  }
+
+  /**
+   * Service templates from the config as seen from the session's directory
+   */
+  async templatesFor(session) {
+    return buildServiceTemplates((await this.styxyClient.configFor(session.cwd)).service_types);
+  }
+
+  async handleAllocatePort(args, session) {
+    const {
+      project_name,
+      preferred_port,
+      reuse_last_port = true,
+      duration = 'session',
+      service_name,
+      working_dir = session.cwd,
+      write_env = false,
+      env_file = '.env'
+    } = args;
+
+    // Inspect the project to infer the service type and launch command
+    const detection = await this.frameworkDetector.detect(working_dir, { serviceType: args.service_type });
+    const service_type = args.service_type || detection?.serviceType;
+
+    if (!service_type) {
+      throw new ValidationError(`service_type is required: could not infer it from ${working_dir}`, [
+        { field: 'service_type', message: 'is required when it cannot be inferred from the project' }
+      ]);
+    }
+
+    // Default to the project's pinned port, else the one it had last time;
+    // the daemon only picks another if that port is taken
+    const pinned = preferred_port
+      ? null
+      : await this.portPins.lookup(working_dir, { serviceName: service_name, serviceType: service_type });
+    const previousPort = !preferred_port && !pinned && reuse_last_port
+      ? await this.reusablePort({ projectName: project_name, serviceType: service_type, serviceName: service_name })
+      : null;
+
+    const allocation = await this.styxyClient.allocatePort({
+      serviceType: service_type,
+      projectName: project_name,
+      preferredPort: preferred_port || pinned?.port || previousPort || undefined,
+      derivedPort: Boolean(previousPort),
+      duration,
+      serviceName: service_name,
+      workingDir: working_dir,
+      configDir: session.cwd,
+      claudeSessionId: session.id,
+      clientSessionId: session.clientSessionId
+    });
+
+    const port = allocation.port || allocation.allocated_port;
+    session.track(port, duration);
+
+    const templates = await this.templatesFor(session);
+    let envFile = null;
+    if (write_env) {
       try {
-        switch (name) {
-          case 'styxy_allocate_port':
-            return await this.handleAllocatePort(args);
-          case 'styxy_status':
-            return await this.handleStatus(args);
-          case 'styxy_logs':
-            return await this.handleLogs(args);
-          case 'styxy_config':
-            return await this.handleConfig(args);
-          case 'styxy_cleanup':
-            return await this.handleCleanup(args);
-          case 'styxy_metrics':
-            return await this.handleMetrics(args);
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
+        const written = await this.envFileManager.apply({
+          workingDir: working_dir,
+          envFile: env_file,
+          port,
+          serviceType: service_type,
+          serviceName: service_name,
+          templates
+        });
+        envFile = { file: written.file, variables: written.variables };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error executing ${name}: ${error.message}`
-            }
-          ]
-        };
+        envFile = { error: error.message };
       }
+    }
+
+    return {
+      port,
+      url: allocation.service_url || `http://localhost:${port}`,
+      service_type,
+      service_name: service_name || null,
+      project_name,
+      duration,
+      cleanup_command: allocation.cleanup_command || `styxy release ${port}`,
+      expires_with_session: Boolean(allocation.expires_with_session),
+      expires_at: allocation.expires_at || null,
+      conflicts: allocation.conflict_info ? allocation.conflict_info.split('; ') : [],
+      previous_port: previousPort,
+      pinned_port: pinned?.port ?? null,
+      pin_file: pinned?.file ?? null,
+      port_available: allocation.verification?.available ?? null,
+      port_holders: allocation.verification?.holders || [],
+      detection: detection?.framework
+        ? {
+            framework: detection.framework,
+            package_manager: detection.packageManager,
+            frameworks: detection.frameworks,
+            inferred_service_type: !args.service_type
+          }
+        : null,
+      launch_command: detection?.commandFor(port) || null,
+      usage_examples: getServiceTemplate(service_type, templates).examples(port),
+      env_file: envFile
+    };
+  }
+
+  /**
+   * The port this service had last time, unless an allocation still holds it
+   */
+  async reusablePort(query) {
+    const port = await this.styxyClient.ledger.lastPort(query);
+    if (!port) return null;
+
+    const status = await this.styxyClient.getStatus({ include_ports: true, include_recent_errors: false })
+      .catch(() => null);
+    const held = (status?.active_ports || []).some(a => a.port === port);
+    return held ? null : port;
+  }
+
+  async handleAllocateStack(args, session) {
+    const { project_name, services = [], duration = 'session' } = args;
+
+    if (!services.length) {
+      throw new ValidationError('services must contain at least one entry', [
+        { field: 'services', message: 'must contain at least 1 item(s)' }
+      ]);
+    }
+
+    const pins = await Promise.all(services.map(service => service.preferred_port
+      ? null
+      : this.portPins.lookup(session.cwd, { serviceName: service.service_name, serviceType: service.service_type })));
+
+    const result = await this.styxyClient.allocateStack({
+      projectName: project_name,
+      services: services.map((service, index) => ({
+        serviceType: service.service_type,
+        serviceName: service.service_name,
+        preferredPort: service.preferred_port || pins[index]?.port
+      })),
+      duration,
+      workingDir: session.cwd,
+      configDir: session.cwd,
+      claudeSessionId: session.id,
+      clientSessionId: session.clientSessionId
     });
+
+    const allocations = result.allocations.map(a => ({
+      port: a.port,
+      url: a.service_url || `http://localhost:${a.port}`,
+      service_type: a.service_type,
+      service_name: a.service_name || null,
+      cleanup_command: a.cleanup_command || `styxy release ${a.port}`
+    }));
+    allocations.forEach(a => session.track(a.port, duration));
+
+    return {
+      project_name,
+      duration,
+      allocations,
+      env: generateEnvBlock(allocations, await this.templatesFor(session)),
+      conflicts: result.conflict_info ? result.conflict_info.split('; ') : []
+    };
   }
 
-  async handleAllocatePort(args) {
+  async handleRunService(args, session) {
     const {
-      service_type,
       project_name,
+      service_name,
       preferred_port,
-      duration = 'session',
-      service_name
+      working_dir = session.cwd,
+      env = {}
     } = args;
 
+    const directory = await fs.stat(working_dir).catch(() => null);
+    if (!directory?.isDirectory()) {
+      throw new ValidationError(`working_dir ${working_dir} is not an existing directory`, [
+        { field: 'working_dir', message: 'must be an existing directory' }
+      ]);
+    }
+
+    const detection = await this.frameworkDetector.detect(working_dir, { serviceType: args.service_type });
+    const service_type = args.service_type || detection?.serviceType;
+
+    if (!service_type) {
+      throw new ValidationError(`service_type is required: could not infer it from ${working_dir}`, [
+        { field: 'service_type', message: 'is required when it cannot be inferred from the project' }
+      ]);
+    }
+
+    if (!args.command && !detection?.framework) {
+      throw new ValidationError(`command is required: no launch command detected in ${working_dir}`, [
+        { field: 'command', message: 'is required when no launch command can be detected' }
+      ]);
+    }
+
+    const pinned = preferred_port
+      ? null
+      : await this.portPins.lookup(working_dir, { serviceName: service_name, serviceType: service_type });
+
+    const allocation = await this.styxyClient.allocatePort({
+      serviceType: service_type,
+      projectName: project_name,
+      preferredPort: preferred_port || pinned?.port,
+      duration: 'session',
+      serviceName: service_name,
+      workingDir: working_dir,
+      configDir: session.cwd,
+      claudeSessionId: session.id,
+      clientSessionId: session.clientSessionId
+    });
+
+    const port = allocation.port || allocation.allocated_port;
+    const command = args.command || detection.commandFor(port);
+    session.track(port, 'session');
+
+    let service;
     try {
-      const allocation = await this.styxyClient.allocatePort({
-        serviceType: service_type,
-        projectName: project_name,
-        preferredPort: preferred_port,
-        duration,
-        serviceName: service_name,
-        claudeSessionId: process.env.CLAUDE_SESSION_ID || 'unknown'
+      service = await this.serviceRunner.start({
+        command,
+        port,
+        workingDir: working_dir,
+        env,
+        allocation: {
+          service_type,
+          service_name,
+          project_name,
+          session_id: session.id,
+          client_session_id: session.clientSessionId
+        }
       });
+    } catch (error) {
+      await this.releaseServicePort({ port, session_id: session.id, client_session_id: session.clientSessionId });
+      session.untrack(port);
+      throw error;
+    }
 
-      // Generate service-specific usage examples
-      const usageExamples = this.generateUsageExamples(service_type, allocation.port);
+    // Older daemons cannot record the PID; the runner still tracks it
+    await this.styxyClient.attachProcess({
+      port,
+      pid: service.pid,
+      command,
+      claudeSessionId: session.id
+    }).catch(() => {});
 
+    return {
+      port,
+      url: `http://localhost:${port}`,
+      pid: service.pid,
+      command,
+      working_dir,
+      service_type,
+      service_name: service_name || null,
+      project_name
+    };
+  }
+
+  /**
+   * Whether a managed service was started by `session`, or by another
+   * session of the same Claude session
+   */
+  ownsService(session, service) {
+    return service.session_id === session.id ||
+      Boolean(service.client_session_id && service.client_session_id === session.clientSessionId);
+  }
+
+  /**
+   * Refuse to act on a managed service started by another session unless `override` is set
+   * @throws {StyxyError} NOT_OWNER
+   */
+  checkServiceOwner(session, port, override) {
+    const service = this.serviceRunner.list().find(s => s.port === port);
+    if (service && !override && !this.ownsService(session, service)) {
+      throw new StyxyError(
+        `The service on port ${port} was started by another Claude session (${service.session_id}); pass override_ownership: true to use it`,
+        'NOT_OWNER',
+        { port, owner_session: service.session_id }
+      );
+    }
+  }
+
+  async handleStopService(args, session) {
+    const { port, signal = 'SIGTERM', override_ownership = false } = args;
+    this.checkServiceOwner(session, port, override_ownership);
+    const service = await this.serviceRunner.stop(port, signal);
+    const release = service.exit_result || { released: false, error: 'The port release did not run' };
+
+    return {
+      port: service.port,
+      pid: service.pid,
+      exit_code: service.exit_code,
+      signal: service.signal,
+      released: release.released,
+      release_error: release.error
+    };
+  }
+
+  async handleServiceOutput(args, session) {
+    const { port, lines = 50, stream = 'both', override_ownership = false } = args;
+
+    if (!port) {
       return {
-        content: [
-          {
-            type: 'text',
-            text: `🎯 PORT ALLOCATED SUCCESSFULLY!\n\n` +
-                  `✅ Port: ${allocation.port}\n` +
-                  `🔗 URL: http://localhost:${allocation.port}\n` +
-                  `⏱️  Duration: ${duration}\n` +
-                  `🏷️  Service: ${service_type}${service_name ? ` (${service_name})` : ''}\n` +
-                  `📁 Project: ${project_name}\n\n` +
-                  `🚀 USAGE EXAMPLES:\n${usageExamples}\n\n` +
-                  `🧹 CLEANUP:\n${allocation.cleanup_command}\n\n` +
-                  `${allocation.conflict_info ? `⚠️  CONFLICTS AVOIDED:\n${allocation.conflict_info}\n\n` : ''}` +
-                  `${allocation.expires_with_session ? '🔄 This port will be automatically released when your Claude session ends.\n' : ''}` +
-                  `\n💡 TIP: Use the allocated port in your commands above for conflict-free development!`
-          }
-        ]
-      };
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ Failed to allocate port: ${error.message}\n\n` +
-                  `🔧 Troubleshooting:\n` +
-                  `- Check if styxy daemon is running: styxy status\n` +
-                  `- Try a different service type or project name\n` +
-                  `- Use styxy_status tool to check daemon health`
-          }
-        ]
+        services: this.serviceRunner.list()
+          .filter(s => override_ownership || this.ownsService(session, s))
+          .map(s => ({
+          port: s.port,
+          pid: s.pid,
+          status: s.status,
+          command: s.command
+        }))
       };
     }
+
+    this.checkServiceOwner(session, port, override_ownership);
+    const output = this.serviceRunner.output(port, { lines, stream });
+
+    return {
+      port: output.port,
+      pid: output.pid,
+      status: output.status,
+      command: output.command,
+      exit_code: output.exit_code,
+      signal: output.signal,
+      lines: output.lines,
+      dropped: output.dropped
+    };
   }
 
-  generateUsageExamples(serviceType, port) {
-    const examples = {
-      web: [
-        `npm run dev -- --port ${port}`,
-        `npm start -- --port ${port}`,
-        `yarn dev --port ${port}`,
-        `npx vite --port ${port}`,
-        `npx webpack serve --port ${port}`
-      ],
-      api: [
-        `npm run start:dev -- --port ${port}`,
-        `node server.js --port ${port}`,
-        `npm run api -- --port ${port}`,
-        `PORT=${port} npm start`
-      ],
-      storybook: [
-        `npm run storybook -- --port ${port}`,
-        `npx storybook dev --port ${port}`,
-        `yarn storybook --port ${port}`
-      ],
-      database: [
-        `postgresql://localhost:${port}/dbname`,
-        `redis://localhost:${port}`,
-        `mongodb://localhost:${port}/database`
-      ],
-      testing: [
-        `npm test -- --port ${port}`,
-        `npx playwright test --port ${port}`,
-        `jest --port ${port}`
-      ]
+  async handleWaitForPort(args) {
+    const {
+      port,
+      host = 'localhost',
+      path,
+      expected_status,
+      timeout_ms = 30000,
+      interval_ms = 250
+    } = args;
+
+    // Stop early if the managed service on this port dies while we wait
+    const managed = this.serviceRunner.get(port);
+    const watching = managed?.status === 'running';
+
+    const result = await waitForPort({
+      port,
+      host,
+      path,
+      expectedStatus: expected_status,
+      timeoutMs: timeout_ms,
+      intervalMs: interval_ms,
+      shouldAbort: () => {
+        if (!watching || managed.status !== 'exited') return null;
+        return `Managed service exited (${managed.exitCode !== null ? `code ${managed.exitCode}` : `signal ${managed.signal}`}) before the port came up`;
+      }
+    });
+
+    return {
+      ...result,
+      target: path ? `http://${host}:${port}${path}` : `${host}:${port}`
     };
+  }
 
-    const serviceExamples = examples[serviceType] || [
-      `service --port ${port}`,
-      `PORT=${port} npm start`
-    ];
+  /**
+   * Free the port of a managed service once its process has exited
+   * @returns {Promise<{released: boolean, error: string|null}>}
+   */
+  async releaseServicePort(service) {
+    try {
+      const result = await this.styxyClient.releasePort({
+        port: service.port,
+        claudeSessionId: service.session_id,
+        clientSessionId: service.client_session_id
+      });
+      await this.envFileManager.revert([service.port]);
 
-    return serviceExamples.map(cmd => `  ${cmd}`).join('\n');
+      if ((result.released || []).some(a => a.port === service.port)) {
+        return { released: true, error: null };
+      }
+      const reason = result.refused?.[0]?.reason || result.errors?.[0] || `Port ${service.port} was not released`;
+      console.error(`[ServiceRunner] Port ${service.port} was not released: ${reason}`);
+      return { released: false, error: reason };
+    } catch (error) {
+      console.error(`[ServiceRunner] Failed to release port ${service.port}: ${error.message}`);
+      return { released: false, error: error.message };
+    }
+  }
+
+  async handleCheckPort(args) {
+    return checkPort(args.port);
+  }
+
+  async handleAudit(args, session) {
+    const report = await this.portAuditor.audit({ includeAllPorts: args.include_all_ports });
+    const actions = await this.portAuditor.applyActions(report, {
+      releaseStale: args.release_stale || [],
+      terminateOrphans: args.terminate_orphans || [],
+      signal: args.signal,
+      confirm: args.confirm,
+      overrideOwnership: args.override_ownership,
+      sessionId: session.id,
+      clientSessionId: session.clientSessionId
+    });
+
+    const released = actions.filter(a => a.action === 'release' && a.status === 'done').map(a => a.port);
+    const reverted = await this.envFileManager.revert(released);
+
+    return {
+      ...report,
+      actions,
+      env_files_reverted: reverted.map(r => r.file)
+    };
   }
 
-  async handleStatus(args) {
+  async handleStatus(args, session) {
     const status = await this.styxyClient.getStatus(args);
+    const config = await this.styxyClient.configFor(session.cwd);
+    const activePorts = status.active_ports || [];
 
     return {
-      content: [
-        {
-          type: 'text',
-          text: `📊 STYXY DAEMON STATUS\n\n` +
-                `🟢 Status: ${status.daemon_running ? 'Running' : '❌ Not Running'}\n` +
-                `🏠 PID: ${status.pid || 'N/A'}\n` +
-                `⏰ Uptime: ${status.uptime || 'N/A'}\n` +
-                `🔌 Active Ports: ${status.active_ports?.length || 0}\n\n` +
-                `${status.active_ports?.length ? `📋 ALLOCATED PORTS:\n${status.active_ports.map(p => `  ${p.port} - ${p.service_type} (${p.project_name})`).join('\n')}\n\n` : ''}` +
-                `${status.recent_errors?.length ? `⚠️  RECENT ERRORS:\n${status.recent_errors.slice(0, 3).map(err => `  ${err}`).join('\n')}\n\n` : ''}` +
-                `🔧 Config Path: ${status.config_path || 'N/A'}\n` +
-                `📄 Log Path: ${status.log_path || 'N/A'}`
-        }
-      ]
+      ...status,
+      daemon_running: Boolean(status.daemon_running),
+      pid: status.pid ?? null,
+      uptime: status.uptime ?? null,
+      started_at: status.started_at ?? null,
+      active_ports: activePorts,
+      recent_errors: status.recent_errors || [],
+      capacity: args.include_ports === false ? [] : rangeCapacity(resolvePolicies(config), activePorts),
+      config_path: status.config_path ?? null,
+      log_path: status.log_path ?? null,
+      source: status.source
     };
   }
 
-  async handleLogs(args) {
-    const logs = await this.styxyClient.getLogs(args);
+  async handleLogs(args, session) {
+    const logs = await this.styxyClient.getLogs({ ...args, configDir: session.cwd });
 
     return {
-      content: [
-        {
-          type: 'text',
-          text: `📄 STYXY DAEMON LOGS (${args.time_range || '1h'})\n\n` +
-                `${logs.entries?.length ? logs.entries.join('\n') : 'No log entries found'}\n\n` +
-                `📊 Summary: ${logs.summary || 'No summary available'}`
-        }
-      ]
+      time_range: args.time_range || '1h',
+      entries: logs.entries || [],
+      summary: logs.summary || '',
+      redacted_count: logs.redacted_count,
+      source: logs.source
     };
   }
 
-  async handleConfig(args) {
-    const config = await this.styxyClient.getConfig(args);
+  async handleConfig(args, session) {
+    return this.styxyClient.getConfig({ ...args, configDir: session.cwd });
+  }
+
+  async handleConfigChange(args, session, unset) {
+    const { key, value, scope = 'user', working_dir = session.cwd, dry_run = false } = args;
+
+    return this.styxyClient.updateConfig({
+      key,
+      value,
+      unset,
+      scope,
+      workingDir: working_dir,
+      dryRun: dry_run
+    });
+  }
+
+  async handleApplyEnv(args, session) {
+    const {
+      port,
+      service_type,
+      service_name,
+      working_dir = session.cwd,
+      env_file = '.env'
+    } = args;
+
+    const written = await this.envFileManager.apply({
+      workingDir: working_dir,
+      envFile: env_file,
+      port,
+      serviceType: service_type,
+      serviceName: service_name,
+      templates: await this.templatesFor(session)
+    });
 
     return {
-      content: [
-        {
-          type: 'text',
-          text: `⚙️  STYXY CONFIGURATION\n\n` +
-                `${JSON.stringify(config, null, 2)}\n\n` +
-                `${config.validation_errors?.length ? `❌ VALIDATION ERRORS:\n${config.validation_errors.join('\n')}\n\n` : '✅ Configuration is valid\n\n'}` +
-                `🔧 To modify config: Edit ${config.config_path || 'styxy config file'}`
-        }
-      ]
+      port,
+      file: written.file,
+      backup: written.backup,
+      created: !written.backup,
+      variables: written.variables,
+      updated: written.updated,
+      added: written.added
     };
   }
 
-  async handleCleanup(args) {
-    const result = await this.styxyClient.cleanup(args);
+  /**
+   * Managed services still running on the ports cleanup would free are
+   * stopped first, which releases their ports, so none is left serving a
+   * port styxy may hand out again
+   */
+  async handleCleanup(args, session) {
+    const running = this.serviceRunner.list().filter(service => service.status === 'running' &&
+      (args.port ? service.port === args.port : args.force && service.session_id === session.id));
+    const stopped = await Promise.all(running.map(service => this.serviceRunner.stop(service.port)));
+
+    const result = await this.styxyClient.cleanup({
+      ...args,
+      claudeSessionId: session.id,
+      clientSessionId: session.clientSessionId
+    });
+    const releasedPorts = [
+      ...stopped.filter(service => service.exit_result?.released).map(service => service.port),
+      ...(result.released_ports || [])
+    ];
+    const reverted = await this.envFileManager.revert(releasedPorts);
+
+    return {
+      released_ports: releasedPorts,
+      env_files_reverted: reverted.map(r => r.file),
+      errors: result.errors || []
+    };
+  }
+
+  async handleReleasePort(args, session) {
+    const { port, service_name, project_name, override_ownership = false } = args;
+
+    if (!port && !service_name && !project_name) {
+      throw new ValidationError('Specify at least one of port, service_name or project_name', [
+        { field: 'port', message: 'or service_name or project_name is required' }
+      ]);
+    }
+
+    // Releasing a port a managed service still listens on would let styxy hand it out again
+    const serving = this.serviceRunner.list().filter(service => service.status === 'running' &&
+      (!port || service.port === port) &&
+      (!service_name || service.service_name === service_name) &&
+      (!project_name || service.project_name === project_name));
+
+    if (serving.length) {
+      const ports = serving.map(service => service.port);
+      throw new StyxyError(
+        `Port(s) ${ports.join(', ')} are served by running managed services; stop them with styxy_stop_service instead`,
+        'SERVICE_RUNNING',
+        { ports }
+      );
+    }
+
+    const result = await this.styxyClient.releasePort({
+      port,
+      serviceName: service_name,
+      projectName: project_name,
+      overrideOwnership: override_ownership,
+      claudeSessionId: session.id,
+      clientSessionId: session.clientSessionId
+    });
+    const released = result.released || [];
+    const reverted = await this.envFileManager.revert(released.map(a => a.port));
+
+    return {
+      released,
+      refused: result.refused || [],
+      env_files_reverted: reverted.map(r => r.file),
+      errors: result.errors || []
+    };
+  }
+
+  async handlePinPort(args, session) {
+    const { action = 'pin', port, service_type, service_name, working_dir = session.cwd } = args;
+
+    if (action === 'list') {
+      const { file, pins } = await this.portPins.list(working_dir);
+      return { action, file, pins, key: null, port: null, previous_port: null };
+    }
+
+    const key = PortPins.keyFor({ serviceName: service_name, serviceType: service_type });
+    if (!key) {
+      throw new ValidationError(`service_name or service_type is required to ${action} a port`, [
+        { field: 'service_name', message: 'or service_type is required' }
+      ]);
+    }
+
+    if (action === 'pin') {
+      if (!port) {
+        throw new ValidationError('port is required to pin a port', [
+          { field: 'port', message: 'is required when action is "pin"' }
+        ]);
+      }
+
+      const portRange = (await this.styxyClient.configFor(working_dir)).daemon?.port_range;
+      if (portRange && (port < portRange.start || port > portRange.end)) {
+        throw new ValidationError(`port ${port} is outside the configured port range ${portRange.start}-${portRange.end}`, [
+          { field: 'port', message: `${port} is outside the configured port range ${portRange.start}-${portRange.end}` }
+        ], 'PORT_OUT_OF_RANGE');
+      }
+    }
 
+    const updated = await this.portPins.update(working_dir, key, action === 'pin' ? port : null);
     return {
-      content: [
-        {
-          type: 'text',
-          text: `🧹 CLEANUP COMPLETED\n\n` +
-                `✅ Released: ${result.released_ports?.length || 0} ports\n` +
-                `${result.released_ports?.length ? `📋 Released Ports:\n${result.released_ports.map(p => `  ${p}`).join('\n')}\n\n` : ''}` +
-                `${result.errors?.length ? `⚠️  Errors:\n${result.errors.join('\n')}\n\n` : ''}` +
-                `💡 Use styxy_status to verify cleanup results`
+      action,
+      file: updated.file,
+      pins: updated.pins,
+      key,
+      port: action === 'pin' ? port : null,
+      previous_port: updated.previous_port
+    };
+  }
+
+  async handleHistory(args) {
+    const ledger = this.styxyClient.ledger;
+    const { events, total } = await ledger.history({
+      projectName: args.project_name,
+      serviceType: args.service_type,
+      serviceName: args.service_name,
+      port: args.port,
+      limit: args.limit
+    });
+
+    return { events, total, ledger_path: ledger.path };
+  }
+
+  /**
+   * Re-allocate ledger persistent allocations the daemon has forgotten
+   */
+  async handleRestore(args, session) {
+    const { project_name, dry_run = false } = args;
+    const ledger = this.styxyClient.ledger;
+
+    const status = await this.styxyClient.getStatus({ include_ports: true, include_recent_errors: false });
+    const held = new Set((status.active_ports || []).map(a => a.port));
+    // Allocations made while this daemon was running and not held were
+    // released inside it, so they never reached the ledger
+    const daemonStartedAt = Date.parse(status.started_at);
+    const recorded = (await ledger.activePersistent())
+      .filter(entry => !project_name || entry.project_name === project_name);
+
+    const restored = [];
+    const alreadyActive = [];
+    const releasedByDaemon = [];
+    const failed = [];
+
+    for (const entry of recorded) {
+      if (held.has(entry.port)) {
+        alreadyActive.push(entry.port);
+        continue;
+      }
+
+      if (Date.parse(entry.time) >= daemonStartedAt) {
+        releasedByDaemon.push(entry.port);
+        if (!dry_run) {
+          await ledger.record('release', { ...entry, session_id: session.id, reason: 'released_by_daemon' });
+        }
+        continue;
+      }
+
+      const describe = (port, status) => ({
+        port,
+        previous_port: entry.port,
+        service_type: entry.service_type,
+        service_name: entry.service_name,
+        project_name: entry.project_name,
+        status
+      });
+
+      if (dry_run) {
+        restored.push(describe(entry.port, 'planned'));
+        continue;
+      }
+
+      try {
+        const allocation = await this.styxyClient.allocatePort({
+          serviceType: entry.service_type,
+          projectName: entry.project_name,
+          preferredPort: entry.port,
+          derivedPort: true,
+          duration: 'persistent',
+          serviceName: entry.service_name,
+          workingDir: entry.working_dir,
+          configDir: session.cwd,
+          claudeSessionId: session.id,
+          clientSessionId: session.clientSessionId
+        });
+        const port = allocation.port || allocation.allocated_port;
+
+        if (port !== entry.port) {
+          // The old port is gone for good; stop replaying it as active
+          await ledger.record('release', { ...entry, session_id: session.id, reason: 'moved' });
         }
-      ]
+        restored.push(describe(port, port === entry.port ? 'restored' : 'moved'));
+      } catch (error) {
+        failed.push({ port: entry.port, error: error.message });
+      }
+    }
+
+    return {
+      restored,
+      already_active: alreadyActive,
+      released_by_daemon: releasedByDaemon,
+      failed,
+      dry_run,
+      source: status.source
     };
   }
 
@@ -405,48 +926,272 @@ Before browser testing, allocate a port for your test server, then launch the br
     const metrics = await this.styxyClient.getMetrics(args);
 
     return {
-      content: [
-        {
-          type: 'text',
-          text: `📊 STYXY USAGE METRICS (${args.time_range || '24h'})\n\n` +
-                `🔢 Total Allocations: ${metrics.total_allocations || 0}\n` +
-                `⚡ Active Allocations: ${metrics.active_allocations || 0}\n` +
-                `🏆 Most Used Service: ${metrics.top_service_type || 'N/A'}\n` +
-                `📁 Most Active Project: ${metrics.top_project || 'N/A'}\n\n` +
-                `${metrics.port_patterns?.length ? `🎯 PORT USAGE PATTERNS:\n${metrics.port_patterns.map(p => `  ${p}`).join('\n')}\n\n` : ''}` +
-                `${metrics.recommendations?.length ? `💡 RECOMMENDATIONS:\n${metrics.recommendations.map(r => `  ${r}`).join('\n')}\n\n` : ''}`
-        }
-      ]
+      time_range: args.time_range || '24h',
+      total_allocations: metrics.total_allocations || 0,
+      active_allocations: metrics.active_allocations || 0,
+      top_service_type: metrics.top_service_type || 'N/A',
+      top_project: metrics.top_project || 'N/A',
+      port_patterns: metrics.port_patterns || [],
+      recommendations: metrics.recommendations || [],
+      source: metrics.source
+    };
+  }
+
+  /**
+   * Build a tool error result carrying a stable error code
+   */
+  formatError(name, error, format = 'both') {
+    const payload = {
+      error: {
+        code: error.code && error instanceof StyxyError ? error.code : 'INTERNAL_ERROR',
+        message: error.message,
+        ...(error.details?.fields ? { fields: error.details.fields } : {})
+      }
+    };
+
+    const content = [];
+
+    if (format === 'text' || format === 'both') {
+      content.push({ type: 'text', text: renderToolError(name, error, payload.error.code) });
+    }
+
+    if (format === 'json' || format === 'both') {
+      content.push({ type: 'text', text: JSON.stringify(payload, null, 2) });
+    }
+
+    return {
+      content,
+      isError: true
+    };
+  }
+
+  /**
+   * Build the tool response: structured content always, plus text and/or JSON
+   */
+  formatResponse(name, result, format = 'both') {
+    const content = [];
+
+    if (format === 'text' || format === 'both') {
+      content.push({ type: 'text', text: renderToolResult(name, result) });
+    }
+
+    if (format === 'json' || format === 'both') {
+      content.push({ type: 'text', text: JSON.stringify(result, null, 2) });
+    }
+
+    return {
+      content,
+      structuredContent: result
     };
   }
 
   async run() {
     const transport = new StdioServerTransport();
+    const role = this.chooseRole();
     await this.server.connect(transport);
-    console.error('Styxy MCP server running on stdio');
+    await this.styxyClient.watchConfig();
+
+    // This session's managed services must not outlive the server; those of
+    // forwarding instances are left running, as their sessions carry on
+    process.on('exit', () => this.serviceRunner.killAll({ sessionId: this.sessionManager.id }));
+
+    // Session ports go back to the pool when the client disconnects or we're stopped
+    this.server.onclose = () => this.shutdown('connection closed');
+    process.stdin.on('end', () => this.shutdown('stdin closed'));
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
+
+    await role;
   }
-}
 
-// Singleton enforcement - prevent multiple instances
-const singletonLock = new SingletonLock('styxy-mcp-server');
+  /**
+   * Coordinate if the lock is free, otherwise forward to the coordinator
+   * Tool calls wait until this settles
+   */
+  chooseRole() {
+    if (!this.roleChange) {
+      this.roleChange = this.assumeRole()
+        .catch((error) => {
+          console.error(`Could not reach the coordinator (${error.message}); handling tool calls in this instance`);
+          this.sessionManager.start();
+        })
+        .finally(() => {
+          this.roleChange = null;
+        });
+    }
+    return this.roleChange;
+  }
+
+  async assumeRole() {
+    // The lock is created before config loads, so its TTL is applied here
+    const config = await this.styxyClient.loadConfig().catch(() => null);
+    this.lock.setTtl((config?.daemon?.lock_ttl_seconds ?? 0) * 1000);
+
+    for (let attempt = 1; ; attempt++) {
+      if (this.lock.acquire()) {
+        await this.becomeCoordinator();
+        return;
+      }
 
-if (!singletonLock.acquire()) {
-  console.error('[Singleton] Another styxy-mcp-server instance is already running');
-  console.error('[Singleton] This instance will exit to prevent conflicts');
-  
-  // Show lock info
-  const lockInfo = singletonLock.getLockInfo();
-  if (lockInfo) {
-    console.error(`[Singleton] Existing instance: PID ${lockInfo.pid}, started ${lockInfo.started}`);
+      try {
+        await this.joinCoordinator();
+        return;
+      } catch (error) {
+        // The coordinator may be starting its broker or exiting without having released the lock yet
+        if (attempt >= FAILOVER_ATTEMPTS) throw error;
+        await new Promise((resolve) => setTimeout(resolve, FAILOVER_RETRY_MS));
+      }
+    }
+  }
+
+  /**
+   * Serve tool calls forwarded by other instances, each under its own session
+   */
+  async becomeCoordinator() {
+    this.broker = await new BrokerServer({
+      onHello: (client, message) => this.registerClient(client, message),
+      onCall: async (client, message) => ({
+        success: true,
+        result: await this.executeTool(message.name, message.arguments || {}, client.session)
+      }),
+      onDisconnect: (client) => this.releaseClient(client)
+    }).start();
+
+    this.sessionManager.start();
+    console.error(`Styxy MCP server running on stdio as coordinator (session ${this.sessionManager.id})`);
+  }
+
+  /**
+   * Connect to the coordinator's broker and register this instance's session
+   */
+  async joinCoordinator() {
+    const connection = new DaemonConnection(BROKER_SOCKET_PATH, {
+      onClose: () => this.handleCoordinatorLost()
+    });
+
+    let reply;
+    try {
+      reply = await connection.request({
+        type: 'hello',
+        session_id: this.sessionManager.id,
+        client_session_id: this.sessionManager.clientSessionId,
+        pid: this.sessionManager.pid,
+        cwd: this.sessionManager.cwd
+      });
+    } catch (error) {
+      connection.onClose = null;
+      connection.close();
+      throw error;
+    }
+
+    if (!reply.success) {
+      connection.onClose = null;
+      connection.close();
+      throw new StyxyError(reply.error || 'Coordinator rejected this instance', 'COORDINATOR_ERROR');
+    }
+
+    this.coordinator = connection;
+    console.error(`Styxy MCP server running on stdio, forwarding to coordinator PID ${reply.coordinator_pid} (session ${this.sessionManager.id})`);
+  }
+
+  handleCoordinatorLost() {
+    this.coordinator = null;
+    if (this.shuttingDown) return;
+
+    console.error('Lost the coordinator, taking over or rejoining');
+    this.chooseRole();
+  }
+
+  registerClient(client, message) {
+    if (!message.session_id) {
+      return { success: false, error: 'hello requires a session_id' };
+    }
+
+    client.session = new SessionManager({
+      styxyClient: this.styxyClient,
+      id: message.session_id,
+      pid: message.pid,
+      cwd: message.cwd,
+      clientSessionId: message.client_session_id || null
+    });
+    client.session.start();
+
+    console.error(`Session ${client.session.id} joined (PID ${message.pid})`);
+    return { success: true, session_id: client.session.id, coordinator_pid: process.pid };
+  }
+
+  /**
+   * An instance disconnected: stop its services and release its session ports
+   */
+  async releaseClient(client) {
+    const session = client.session;
+    if (!session) return;
+
+    // We're the one going away; the instance keeps its session under the next coordinator
+    if (this.shuttingDown) {
+      session.stop();
+      return;
+    }
+
+    const services = this.serviceRunner.list()
+      .filter(service => service.session_id === session.id && service.status === 'running');
+    await Promise.all(services.map(service => this.serviceRunner.stop(service.port).catch(() => {})));
+
+    try {
+      const released = await session.end();
+      await this.envFileManager.revert(released);
+      console.error(`Session ${session.id} left${released.length ? `, released ports: ${released.join(', ')}` : ''}`);
+    } catch (error) {
+      console.error(`Failed to release ports of session ${session.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop managed services, release this session's ports and exit
+   * Forwarding instances leave the release to the coordinator
+   */
+  async shutdown(reason) {
+    if (this.shuttingDown) return;
+    this.shuttingDown = true;
+
+    console.error(`Styxy MCP server shutting down: ${reason}`);
+
+    if (this.coordinator) {
+      // The coordinator releases this session when it sees the disconnect
+      this.coordinator.close();
+      process.exit(0);
+    }
+
+    this.serviceRunner.killAll({ sessionId: this.sessionManager.id });
+    await this.broker?.stop();
+
+    let timer;
+    const deadline = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('timed out')), SHUTDOWN_TIMEOUT_MS);
+    });
+
+    try {
+      const released = await Promise.race([this.sessionManager.end(), deadline]);
+      await this.envFileManager.revert(released);
+      if (released.length) {
+        console.error(`Released session ports: ${released.join(', ')}`);
+      }
+    } catch (error) {
+      console.error(`Failed to release session ports: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    await this.styxyClient.shutdown();
+    process.exit(0);
   }
-  
-  process.exit(1);
 }
 
-console.error('[Singleton] Singleton lock acquired, starting server...');
-const server = new StyxyMCPServer();
+// The lock holder coordinates; later instances forward their tool calls to it
+const lock = new SingletonLock('styxy-mcp-server');
+const server = new StyxyMCPServer({ lock });
 server.run().catch((error) => {
   console.error('Server error:', error);
-  singletonLock.release();
+  lock.release();
   process.exit(1);
-});
\ No newline at end of file
+});
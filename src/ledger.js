@@ -0,0 +1,230 @@
+/**
+ * Allocation Ledger for Styxy MCP Server
+ * Append-only JSONL record of allocate/release events, kept independently
+ * of the daemon so history and persistent allocations survive its restarts
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+export const LEDGER_PATH = path.join(os.homedir(), '.styxy', 'allocations.jsonl');
+
+// Compact once the ledger holds more events than this
+export const MAX_EVENTS = 10000;
+
+// Events always kept by compaction, newest first
+export const KEEP_RECENT_EVENTS = 1000;
+
+export class AllocationLedger {
+  constructor({ ledgerPath = LEDGER_PATH, maxEvents = MAX_EVENTS, keepRecent = KEEP_RECENT_EVENTS } = {}) {
+    this.path = ledgerPath;
+    this.maxEvents = maxEvents;
+    this.keepRecent = keepRecent;
+    this.writing = Promise.resolve();
+    // Parsed events with the size and mtime of the file they were read from
+    this.cache = null;
+  }
+
+  /**
+   * Append one event; writes are serialized so lines never interleave
+   * @param {'allocate'|'release'} event
+   * @param {object} fields - port, service_type, service_name, project_name, working_dir, duration, session_id, reason
+   */
+  record(event, fields) {
+    const entry = {
+      time: new Date().toISOString(),
+      event,
+      port: fields.port,
+      service_type: fields.service_type ?? null,
+      service_name: fields.service_name ?? null,
+      project_name: fields.project_name ?? null,
+      working_dir: fields.working_dir ?? null,
+      duration: fields.duration ?? null,
+      session_id: fields.session_id ?? null,
+      ...(fields.reason ? { reason: fields.reason } : {})
+    };
+
+    this.writing = this.writing.then(async () => {
+      const line = JSON.stringify(entry) + '\n';
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.appendFile(this.path, line);
+
+      // Extend the cache unless another process appended in between
+      const stat = await fs.stat(this.path);
+      if (this.cache && this.cache.size + Buffer.byteLength(line) === stat.size) {
+        this.cache = { size: stat.size, mtimeMs: stat.mtimeMs, events: [...this.cache.events, entry] };
+      }
+
+      const events = await this.load();
+      if (events.length > this.maxEvents) {
+        await this.compact(events);
+      }
+    }).catch((error) => {
+      // The ledger is a convenience; never fail an allocation over it
+      console.error(`[Ledger] Failed to record ${event} of port ${entry.port}: ${error.message}`);
+    });
+
+    return this.writing;
+  }
+
+  /**
+   * Every event, oldest first; corrupt lines (e.g. a torn final write) are skipped.
+   * The array is shared with the cache, so callers must not modify it
+   */
+  async read() {
+    await this.writing;
+    return this.load();
+  }
+
+  /**
+   * Parse the file, or reuse the last parse while its size and mtime are unchanged
+   */
+  async load() {
+    let stat;
+    try {
+      stat = await fs.stat(this.path);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.cache = null;
+        return [];
+      }
+      throw error;
+    }
+
+    if (this.cache && this.cache.size === stat.size && this.cache.mtimeMs === stat.mtimeMs) {
+      return this.cache.events;
+    }
+
+    const events = parseEvents(await fs.readFile(this.path, 'utf8'));
+    this.cache = { size: stat.size, mtimeMs: stat.mtimeMs, events };
+    return events;
+  }
+
+  /**
+   * Rewrite the ledger with only the events still needed, via a temp file
+   * and rename so readers never see it half-written
+   */
+  async compact(events) {
+    const kept = compactEvents(events, this.keepRecent);
+    const temp = `${this.path}.${process.pid}.tmp`;
+    await fs.writeFile(temp, kept.map(event => JSON.stringify(event) + '\n').join(''));
+
+    // Another process appended since the ledger was read; try again next time
+    const stat = await fs.stat(this.path);
+    if (!this.cache || this.cache.size !== stat.size || this.cache.mtimeMs !== stat.mtimeMs) {
+      await fs.rm(temp, { force: true });
+      return;
+    }
+
+    await fs.rename(temp, this.path);
+    const compacted = await fs.stat(this.path);
+    this.cache = { size: compacted.size, mtimeMs: compacted.mtimeMs, events: kept };
+  }
+
+  /**
+   * Events matching the filters, newest first
+   */
+  async history({ projectName, serviceType, serviceName, port, limit = 50 } = {}) {
+    const events = (await this.read()).filter(event =>
+      (!projectName || event.project_name === projectName) &&
+      (!serviceType || event.service_type === serviceType) &&
+      (!serviceName || event.service_name === serviceName) &&
+      (!port || event.port === port)
+    );
+
+    return {
+      events: events.reverse().slice(0, limit),
+      total: events.length
+    };
+  }
+
+  /**
+   * The port most recently allocated to this project and service, if any
+   */
+  async lastPort({ projectName, serviceType, serviceName }) {
+    const events = await this.read();
+
+    for (let i = events.length - 1; i >= 0; i--) {
+      const event = events[i];
+      if (event.event === 'allocate' &&
+          event.project_name === projectName &&
+          event.service_type === serviceType &&
+          (!serviceName || event.service_name === serviceName)) {
+        return event.port;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replay the ledger to find persistent allocations that were never released
+   */
+  async activePersistent() {
+    const active = new Map();
+
+    for (const event of await this.read()) {
+      if (event.event === 'allocate') {
+        if (event.duration === 'persistent') {
+          active.set(event.port, event);
+        } else {
+          active.delete(event.port);
+        }
+      } else if (event.event === 'release') {
+        active.delete(event.port);
+      }
+    }
+
+    return [...active.values()].sort((a, b) => a.port - b.port);
+  }
+}
+
+function parseEvents(content) {
+  const events = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      if (Number.isInteger(event.port)) events.push(event);
+    } catch {
+      // Skip
+    }
+  }
+  return events;
+}
+
+/**
+ * The events compaction keeps, in order: the most recent ones, persistent
+ * allocations still active, and the last allocation of each project and
+ * service (for reusing its port). A kept persistent allocation that has
+ * ended keeps the event that ended it, so replaying never revives it
+ */
+export function compactEvents(events, keepRecent = KEEP_RECENT_EVENTS) {
+  const keep = new Set();
+  const active = new Map();
+  const endedBy = new Map();
+  const last = new Map();
+
+  events.forEach((event, i) => {
+    if (active.has(event.port)) {
+      endedBy.set(active.get(event.port), i);
+      active.delete(event.port);
+    }
+    if (event.event === 'allocate') {
+      last.set(JSON.stringify([event.project_name, event.service_type, event.service_name]), i);
+      if (event.duration === 'persistent') active.set(event.port, i);
+    }
+  });
+
+  for (let i = Math.max(0, events.length - keepRecent); i < events.length; i++) keep.add(i);
+  for (const i of active.values()) keep.add(i);
+  for (let i of last.values()) {
+    keep.add(i);
+    while (endedBy.has(i)) {
+      i = endedBy.get(i);
+      keep.add(i);
+    }
+  }
+
+  return [...keep].sort((a, b) => a - b).map(i => events[i]);
+}
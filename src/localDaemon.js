@@ -0,0 +1,723 @@
+#!/usr/bin/env node
+/**
+ * Local Daemon for Styxy MCP Server
+ * In-process stand-in for the styxy daemon that speaks the same
+ * newline-delimited JSON protocol over a Unix socket
+ */
+
+import net from 'net';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { TIME_RANGES, readLogs } from './logReader.js';
+import { isPortFree } from './portProbe.js';
+import { findPort, quotaError } from './servicePolicies.js';
+import { removeStaleSocket } from './daemonConnection.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const TEMPORARY_TTL_MS = 3600e3;
+const SESSION_TIMEOUT_MS = 90e3;
+const SWEEP_INTERVAL_MS = 30e3;
+const MAX_HISTORY = 1000;
+const MAX_LOG_BUFFER = 500;
+
+/**
+ * Where the local daemon listens; never the styxy daemon's own socket, so a
+ * stopped styxy daemon isn't silently replaced by one it knows nothing about
+ */
+export function localDaemonSocketPath(baseDir = path.join(os.homedir(), '.styxy')) {
+  return path.join(baseDir, 'local-daemon.sock');
+}
+
+export class LocalDaemon {
+  constructor(options = {}) {
+    const baseDir = options.baseDir || path.join(os.homedir(), '.styxy');
+
+    this.socketPath = options.socketPath || localDaemonSocketPath(baseDir);
+    this.statePath = options.statePath || path.join(baseDir, 'local-daemon.json');
+    this.logPath = options.logPath || path.join(baseDir, 'daemon.log');
+    this.portRange = options.portRange || { start: 3000, end: 9999 };
+    this.configPath = options.configPath || null;
+    this.temporaryTtlMs = options.temporaryTtlMs || TEMPORARY_TTL_MS;
+    this.sessionTimeoutMs = options.sessionTimeoutMs || SESSION_TIMEOUT_MS;
+
+    this.server = null;
+    this.sweepTimer = null;
+    this.startedAt = null;
+    this.state = { allocations: [], history: [], sessions: {} };
+    this.logBuffer = [];
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Load state and start listening on the Unix socket
+   */
+  async start() {
+    await fs.mkdir(path.dirname(this.socketPath), { recursive: true });
+    await this.loadState();
+    await removeStaleSocket(this.socketPath);
+
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    this.startedAt = Date.now();
+
+    // Expire temporary allocations and reap sessions that stopped heartbeating,
+    // including any left behind by a previous run
+    await this.enqueue(() => this.sweep());
+    this.sweepTimer = setInterval(() => this.enqueue(() => this.sweep()), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+
+    await this.log('info', `Local daemon listening on ${this.socketPath}`);
+    return this;
+  }
+
+  /**
+   * Stop listening and remove the socket file
+   */
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+
+    await new Promise((resolve) => server.close(() => resolve()));
+    await fs.unlink(this.socketPath).catch(() => {});
+    await this.log('info', 'Local daemon stopped');
+  }
+
+  handleConnection(socket) {
+    let buffer = '';
+
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) {
+          this.handleLine(socket, line);
+        }
+      }
+    });
+  }
+
+  async handleLine(socket, line) {
+    let command;
+    try {
+      command = JSON.parse(line);
+    } catch {
+      this.reply(socket, { success: false, error: 'Invalid JSON command' });
+      return;
+    }
+
+    // Commands run one at a time so allocations cannot race each other
+    const result = await this.enqueue(() => this.dispatch(command));
+    this.reply(socket, { ...result, id: command.id });
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run.catch((error) => ({ success: false, error: error.message }));
+  }
+
+  reply(socket, message) {
+    if (!socket.destroyed) {
+      socket.write(JSON.stringify(message) + '\n');
+    }
+  }
+
+  async dispatch(command) {
+    switch (command.type) {
+      case 'allocate':
+        return this.handleAllocate(command);
+      case 'allocate_stack':
+        return this.handleAllocateStack(command);
+      case 'status':
+        return this.handleStatus(command);
+      case 'cleanup':
+        return this.handleCleanup(command);
+      case 'release':
+        return this.handleRelease(command);
+      case 'attach_process':
+        return this.handleAttachProcess(command);
+      case 'logs':
+        return this.handleLogs(command);
+      case 'metrics':
+        return this.handleMetrics(command);
+      case 'heartbeat':
+        return this.handleHeartbeat(command);
+      case 'session_end':
+        return this.handleSessionEnd(command);
+      case 'reload':
+        return this.handleReload(command);
+      default:
+        return { success: false, error: `Unknown command type: ${command.type}` };
+    }
+  }
+
+  /**
+   * Apply an edited config; existing allocations are kept even if they now
+   * fall outside the port range
+   */
+  async handleReload(command) {
+    const daemon = command.config?.daemon || {};
+
+    if (daemon.port_range) {
+      this.portRange = daemon.port_range;
+    }
+    if (daemon.temporary_ttl_minutes) {
+      this.temporaryTtlMs = daemon.temporary_ttl_minutes * 60e3;
+    }
+    if (daemon.log_path) {
+      this.logPath = daemon.log_path;
+    }
+
+    await this.log('info', `Configuration reloaded (port range ${this.portRange.start}-${this.portRange.end})`);
+    return { success: true, reloaded: true, port_range: this.portRange };
+  }
+
+  async handleAllocate(command) {
+    const { context = {}, preferences = {}, metadata = {} } = command;
+    const duration = preferences.duration || 'session';
+    const policy = command.policy || this.defaultPolicy(context.serviceType);
+
+    this.expireTemporary();
+
+    const overQuota = quotaError(policy, this.state.allocations, context.projectName);
+    if (overQuota) {
+      return this.quotaExceeded(overQuota);
+    }
+
+    const taken = new Set(this.state.allocations.map(a => a.port));
+    const { port, conflictInfo } = await this.pickPort(preferences.port, taken, policy, { derived: preferences.derivedPort });
+
+    if (!port) {
+      return this.rangeExhausted(policy);
+    }
+
+    const allocation = this.buildAllocation(port, context, metadata, duration);
+
+    this.state.allocations.push(allocation);
+    this.recordHistory('allocate', allocation);
+    await this.saveState();
+    await this.log('info', `Allocated port ${port} to ${allocation.project_name} (${allocation.service_type})`);
+
+    return {
+      success: true,
+      ...this.describeAllocation(allocation),
+      conflict_info: conflictInfo
+    };
+  }
+
+  /**
+   * Allocate every service in the stack or none of them
+   */
+  async handleAllocateStack(command) {
+    const { context = {}, services = [], preferences = {}, metadata = {} } = command;
+    const duration = preferences.duration || 'session';
+
+    if (!services.length) {
+      return { success: false, error: 'Stack allocation requires at least one service' };
+    }
+
+    this.expireTemporary();
+
+    const taken = new Set(this.state.allocations.map(a => a.port));
+    const allocations = [];
+    const conflicts = [];
+
+    for (const service of services) {
+      const policy = service.policy || this.defaultPolicy(service.serviceType);
+
+      // Ports planned earlier in this stack count towards the quota too
+      const overQuota = quotaError(policy, [...this.state.allocations, ...allocations], context.projectName);
+      if (overQuota) {
+        return this.quotaExceeded(overQuota);
+      }
+
+      const { port, conflictInfo } = await this.pickPort(service.port, taken, policy, { derived: service.derivedPort });
+
+      if (!port) {
+        return this.rangeExhausted(policy);
+      }
+
+      taken.add(port);
+      if (conflictInfo) {
+        conflicts.push(conflictInfo);
+      }
+
+      allocations.push(this.buildAllocation(
+        port,
+        { ...context, serviceType: service.serviceType },
+        { ...metadata, serviceName: service.serviceName },
+        duration
+      ));
+    }
+
+    this.state.allocations.push(...allocations);
+    for (const allocation of allocations) {
+      this.recordHistory('allocate', allocation);
+    }
+    await this.saveState();
+    await this.log('info', `Allocated stack of ${allocations.length} ports to ${context.projectName}: ${allocations.map(a => a.port).join(', ')}`);
+
+    return {
+      success: true,
+      allocations: allocations.map(a => this.describeAllocation(a)),
+      conflict_info: conflicts.length ? conflicts.join('; ') : null
+    };
+  }
+
+  /**
+   * Policy for allocations from clients that don't send one: the whole port range, in order
+   */
+  defaultPolicy(serviceType) {
+    return {
+      service_type: serviceType,
+      range: this.portRange,
+      avoid_ports: [],
+      max_per_project: null,
+      strategy: 'sequential'
+    };
+  }
+
+  /**
+   * Use the preferred port when it is free, otherwise a free port chosen by the service type's policy
+   * A port the caller asked for or pinned may be one the policy avoids; a
+   * derived one, such as the port a service had last time, may not
+   */
+  async pickPort(preferred, taken, policy, { derived = false } = {}) {
+    let conflictInfo = null;
+
+    if (preferred) {
+      if (derived && policy.avoid_ports?.includes(preferred)) {
+        conflictInfo = `Port ${preferred} is in the avoided ports for ${policy.service_type}`;
+      } else if (taken.has(preferred)) {
+        conflictInfo = `Port ${preferred} is already allocated by styxy`;
+      } else if (!(await isPortFree(preferred))) {
+        conflictInfo = `Port ${preferred} is in use by another process`;
+      } else {
+        return { port: preferred, conflictInfo };
+      }
+    }
+
+    return { port: await findPort(policy, { preferred, taken }), conflictInfo };
+  }
+
+  buildAllocation(port, context, metadata, duration) {
+    return {
+      allocation_id: `local_${Date.now()}_${port}`,
+      port,
+      service_type: context.serviceType,
+      service_name: metadata.serviceName || null,
+      project_name: context.projectName,
+      working_dir: context.workingDir || null,
+      session_id: context.claudeSessionId || null,
+      client_session_id: context.clientSessionId || null,
+      duration,
+      allocated_at: metadata.timestamp || new Date().toISOString()
+    };
+  }
+
+  describeAllocation(allocation) {
+    return {
+      allocation_id: allocation.allocation_id,
+      port: allocation.port,
+      allocated_port: allocation.port,
+      service_type: allocation.service_type,
+      service_name: allocation.service_name,
+      service_url: `http://localhost:${allocation.port}`,
+      cleanup_command: `styxy release ${allocation.port}`,
+      duration: allocation.duration,
+      expires_with_session: allocation.duration === 'session',
+      expires_at: allocation.duration === 'temporary'
+        ? new Date(Date.parse(allocation.allocated_at) + this.temporaryTtlMs).toISOString()
+        : null
+    };
+  }
+
+  async rangeExhausted(policy) {
+    const { start, end } = policy.range;
+    const forType = policy.service_type ? ` for ${policy.service_type}` : '';
+    await this.log('error', `No free port in range ${start}-${end}${forType}`);
+    return {
+      success: false,
+      error: `No free port available in range ${start}-${end}${forType}`
+    };
+  }
+
+  async quotaExceeded(message) {
+    await this.log('warn', message);
+    return { success: false, error: message, code: 'QUOTA_EXCEEDED' };
+  }
+
+  async handleStatus(command) {
+    const options = command.options || {};
+
+    this.expireTemporary();
+
+    return {
+      daemon_running: true,
+      mode: 'local',
+      pid: process.pid,
+      uptime: this.formatUptime(Date.now() - this.startedAt),
+      started_at: new Date(this.startedAt).toISOString(),
+      active_ports: options.include_ports === false ? [] : this.state.allocations.map(a => ({ ...a })),
+      recent_errors: options.include_recent_errors === false
+        ? []
+        : this.logBuffer.filter(e => e.level === 'error').slice(-5).map(e => `${e.timestamp} ${e.message}`),
+      config_path: this.configPath,
+      log_path: this.logPath
+    };
+  }
+
+  async handleCleanup(command) {
+    let released;
+
+    if (command.port) {
+      released = this.state.allocations.filter(a => a.port === command.port);
+    } else if (command.force) {
+      released = this.state.allocations.filter(a => !command.session_id || this.sameSession(a, command));
+    } else {
+      released = this.expiredTemporary();
+    }
+
+    this.removeAllocations(released);
+    await this.saveState();
+
+    for (const allocation of released) {
+      await this.log('info', `Released port ${allocation.port} (${allocation.project_name})`);
+    }
+
+    return {
+      success: true,
+      released_ports: released.map(a => a.port),
+      errors: command.port && released.length === 0 ? [`Port ${command.port} is not allocated`] : []
+    };
+  }
+
+  async handleRelease(command) {
+    const selector = command.selector || {};
+
+    if (!selector.port && !selector.service_name && !selector.project_name) {
+      return { success: false, error: 'Release requires a port, service_name or project_name' };
+    }
+
+    const matching = this.state.allocations.filter(a =>
+      (!selector.port || a.port === selector.port) &&
+      (!selector.service_name || a.service_name === selector.service_name) &&
+      (!selector.project_name || a.project_name === selector.project_name)
+    );
+
+    const released = [];
+    const refused = [];
+
+    for (const allocation of matching) {
+      const owner = allocation.session_id;
+      const foreign = owner && owner !== 'unknown' && !this.sameSession(allocation, command);
+
+      if (foreign && !command.override) {
+        refused.push({
+          port: allocation.port,
+          owner_session: owner,
+          reason: 'Allocated by another Claude session'
+        });
+      } else {
+        released.push(allocation);
+      }
+    }
+
+    this.removeAllocations(released);
+    await this.saveState();
+
+    for (const allocation of released) {
+      await this.log('info', `Released port ${allocation.port} (${allocation.project_name})`);
+    }
+
+    return {
+      success: true,
+      released: released.map(a => ({
+        port: a.port,
+        service_type: a.service_type,
+        service_name: a.service_name,
+        project_name: a.project_name,
+        session_id: a.session_id
+      })),
+      refused,
+      errors: matching.length === 0 ? ['No allocations matched the release request'] : []
+    };
+  }
+
+  /**
+   * Whether an allocation belongs to the session making a request: the same
+   * MCP session, or another one serving the same Claude session, such as a
+   * server restarted within it
+   */
+  sameSession(allocation, command) {
+    return allocation.session_id === command.session_id ||
+      Boolean(allocation.client_session_id && allocation.client_session_id === command.client_session_id);
+  }
+
+  async handleAttachProcess(command) {
+    const allocation = this.state.allocations.find(a => a.port === command.port);
+
+    if (!allocation) {
+      return { success: false, error: `Port ${command.port} is not allocated` };
+    }
+
+    allocation.pid = command.pid;
+    allocation.command = command.command || null;
+    await this.saveState();
+    await this.log('info', `Port ${command.port} is served by PID ${command.pid}`);
+
+    return { success: true, port: command.port, pid: command.pid };
+  }
+
+  /**
+   * Query the log file and its rotations, so entries from earlier runs show
+   * up too; the in-memory buffer only feeds status.recent_errors
+   */
+  async handleLogs(command) {
+    const { entries, summary } = await readLogs(this.logPath, command.options || {});
+    return { entries, summary };
+  }
+
+  async handleMetrics(command) {
+    const options = command.options || {};
+    const since = Date.now() - (TIME_RANGES[options.time_range] || TIME_RANGES['24h']);
+    const allocations = this.state.history.filter(e => e.event === 'allocate' && Date.parse(e.timestamp) >= since);
+
+    const metrics = {
+      total_allocations: allocations.length,
+      active_allocations: this.state.allocations.length,
+      top_service_type: this.mostCommon(allocations.map(e => e.service_type)) || 'N/A',
+      top_project: this.mostCommon(allocations.map(e => e.project_name)) || 'N/A'
+    };
+
+    if (options.include_patterns !== false) {
+      const portCounts = this.countBy(allocations.map(e => e.port));
+      metrics.port_patterns = Object.entries(portCounts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([port, count]) => `Port ${port} allocated ${count} time(s)`);
+      metrics.recommendations = [];
+    }
+
+    return metrics;
+  }
+
+  /**
+   * Record that a session is still alive
+   */
+  async handleHeartbeat(command) {
+    if (!command.session_id) {
+      return { success: false, error: 'Heartbeat requires a session_id' };
+    }
+
+    const known = Boolean(this.state.sessions[command.session_id]);
+    this.state.sessions[command.session_id] = {
+      pid: command.pid || null,
+      client_session_id: command.client_session_id || null,
+      last_seen: new Date().toISOString()
+    };
+    await this.saveState();
+
+    if (!known) {
+      await this.log('info', `Session ${command.session_id} started (PID ${command.pid || 'unknown'})`);
+    }
+
+    return { success: true, session_id: command.session_id, timeout_ms: this.sessionTimeoutMs };
+  }
+
+  /**
+   * Release a session's session-duration allocations when it disconnects
+   */
+  async handleSessionEnd(command) {
+    if (!command.session_id) {
+      return { success: false, error: 'session_end requires a session_id' };
+    }
+
+    const released = await this.endSession(command.session_id, 'ended');
+    return {
+      success: true,
+      released: released.map(a => ({
+        port: a.port,
+        service_type: a.service_type,
+        service_name: a.service_name,
+        project_name: a.project_name
+      }))
+    };
+  }
+
+  /**
+   * Ports of a session that ends while another session of the same Claude
+   * session is alive are handed over to it instead of released
+   */
+  async endSession(sessionId, reason) {
+    const clientSessionId = this.state.sessions[sessionId]?.client_session_id;
+    delete this.state.sessions[sessionId];
+
+    const successor = clientSessionId && Object.keys(this.state.sessions)
+      .find(id => this.state.sessions[id].client_session_id === clientSessionId);
+    const owned = this.state.allocations.filter(a => a.session_id === sessionId && a.duration === 'session');
+
+    if (successor) {
+      for (const allocation of owned) {
+        allocation.session_id = successor;
+      }
+      await this.saveState();
+      await this.log('info', `Session ${sessionId} ${reason}, handed ${owned.length} port(s) over to ${successor}`);
+      return [];
+    }
+
+    this.removeAllocations(owned);
+    await this.saveState();
+
+    await this.log('info', `Session ${sessionId} ${reason}, released ${owned.length} port(s)` +
+      `${owned.length ? `: ${owned.map(a => a.port).join(', ')}` : ''}`);
+    return owned;
+  }
+
+  /**
+   * Periodic housekeeping: TTL expiry and sessions that missed their heartbeats
+   */
+  async sweep() {
+    const expired = this.expiredTemporary();
+    if (expired.length) {
+      this.removeAllocations(expired);
+      await this.saveState();
+      await this.log('info', `Expired temporary port(s): ${expired.map(a => a.port).join(', ')}`);
+    }
+
+    const now = Date.now();
+    for (const [sessionId, session] of Object.entries(this.state.sessions)) {
+      if (now - Date.parse(session.last_seen) > this.sessionTimeoutMs) {
+        await this.endSession(sessionId, 'timed out');
+      }
+    }
+  }
+
+  expiredTemporary() {
+    const now = Date.now();
+    return this.state.allocations.filter(a =>
+      a.duration === 'temporary' && now - Date.parse(a.allocated_at) > this.temporaryTtlMs
+    );
+  }
+
+  expireTemporary() {
+    const expired = this.expiredTemporary();
+    if (expired.length) {
+      this.removeAllocations(expired);
+    }
+  }
+
+  removeAllocations(allocations) {
+    const ports = new Set(allocations.map(a => a.port));
+    this.state.allocations = this.state.allocations.filter(a => !ports.has(a.port));
+    for (const allocation of allocations) {
+      this.recordHistory('release', allocation);
+    }
+  }
+
+  recordHistory(event, allocation) {
+    this.state.history.push({
+      event,
+      port: allocation.port,
+      service_type: allocation.service_type,
+      project_name: allocation.project_name,
+      timestamp: new Date().toISOString()
+    });
+    if (this.state.history.length > MAX_HISTORY) {
+      this.state.history = this.state.history.slice(-MAX_HISTORY);
+    }
+  }
+
+  countBy(values) {
+    const counts = {};
+    for (const value of values) {
+      if (value !== undefined && value !== null) {
+        counts[value] = (counts[value] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+
+  mostCommon(values) {
+    const entries = Object.entries(this.countBy(values));
+    if (!entries.length) return null;
+    return entries.sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  formatUptime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const hours = Math.floor(minutes / 60);
+    return hours ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+  }
+
+  async loadState() {
+    try {
+      const content = await fs.readFile(this.statePath, 'utf8');
+      const state = JSON.parse(content);
+      this.state = {
+        allocations: Array.isArray(state.allocations) ? state.allocations : [],
+        history: Array.isArray(state.history) ? state.history : [],
+        sessions: state.sessions && typeof state.sessions === 'object' ? state.sessions : {}
+      };
+    } catch {
+      this.state = { allocations: [], history: [], sessions: {} };
+    }
+  }
+
+  async saveState() {
+    const tmpPath = `${this.statePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(this.state, null, 2));
+    await fs.rename(tmpPath, this.statePath);
+  }
+
+  async log(level, message) {
+    const entry = { timestamp: new Date().toISOString(), level, message };
+
+    this.logBuffer.push(entry);
+    if (this.logBuffer.length > MAX_LOG_BUFFER) {
+      this.logBuffer.shift();
+    }
+
+    try {
+      await fs.appendFile(this.logPath, JSON.stringify(entry) + '\n');
+    } catch {
+      // Log file is best-effort
+    }
+  }
+}
+
+// Allow running the local daemon on its own: node src/localDaemon.js
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const daemon = new LocalDaemon();
+
+  daemon.start().then(() => {
+    console.error(`[LocalDaemon] Listening on ${daemon.socketPath}`);
+  }).catch((error) => {
+    console.error('[LocalDaemon] Failed to start:', error.message);
+    process.exit(1);
+  });
+
+  const shutdown = () => daemon.stop().finally(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,239 @@
+/**
+ * Log Reader for Styxy MCP Server
+ * Queries daemon log files (JSON lines or plain text) newest-first,
+ * following rotated and gzipped siblings
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import { ValidationError } from './errors.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const TIME_RANGES = { '1h': 3600e3, '6h': 6 * 3600e3, '24h': 24 * 3600e3, '7d': 7 * 24 * 3600e3, '30d': 30 * 24 * 3600e3 };
+
+const LEVEL_ALIASES = { trace: 'debug', warning: 'warn', err: 'error', fatal: 'error', critical: 'error' };
+const TEXT_PATTERN = /^(\d{4}-\d{2}-\d{2}[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)\s+\[?([A-Za-z]+)\]?:?\s?(.*)$/;
+const CHUNK_SIZE = 64 * 1024;
+
+function normalizeLevel(level) {
+  const lower = String(level || '').toLowerCase();
+  const normalized = LEVEL_ALIASES[lower] || lower;
+  return LOG_LEVELS.includes(normalized) ? normalized : null;
+}
+
+function parseTime(timestamp) {
+  const time = Date.parse(timestamp);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Parse one log line into { timestamp, time, level, message }
+ * Lines that match neither format keep their raw text with no timestamp
+ */
+export function parseLogLine(line) {
+  if (line.startsWith('{')) {
+    try {
+      const record = JSON.parse(line);
+      const timestamp = record.timestamp || record.time || record.ts || null;
+      return {
+        timestamp,
+        time: timestamp ? parseTime(timestamp) : null,
+        level: normalizeLevel(record.level) || 'info',
+        message: String(record.message ?? record.msg ?? '')
+      };
+    } catch {
+      // Not JSON after all; treat as text
+    }
+  }
+
+  const match = line.match(TEXT_PATTERN);
+  const level = match && normalizeLevel(match[2]);
+  if (match && level) {
+    return { timestamp: match[1], time: parseTime(match[1]), level, message: match[3] };
+  }
+
+  return { timestamp: null, time: null, level: 'info', message: line };
+}
+
+export function formatEntry(entry) {
+  return entry.timestamp
+    ? `${entry.timestamp} [${entry.level.toUpperCase()}] ${entry.message}`
+    : entry.message;
+}
+
+/**
+ * Describe per-level counts, e.g. "error: 2, warn: 5, info: 40"
+ */
+export function formatLevelCounts(counts) {
+  return [...LOG_LEVELS].reverse()
+    .filter(level => counts[level])
+    .map(level => `${level}: ${counts[level]}`)
+    .join(', ') || 'no entries';
+}
+
+/**
+ * Yield a file's lines last to first, reading fixed-size chunks from the end
+ */
+async function* readLinesReverse(file) {
+  const handle = await fs.open(file, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    let position = size;
+    let leftover = Buffer.alloc(0);
+
+    while (position > 0) {
+      const length = Math.min(CHUNK_SIZE, position);
+      position -= length;
+
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+
+      const buffer = Buffer.concat([chunk, leftover]);
+      let end = buffer.length;
+
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] === 0x0a) {
+          if (end > i + 1) yield buffer.toString('utf8', i + 1, end);
+          end = i;
+        }
+      }
+
+      // The piece before the first newline may continue in the previous chunk
+      leftover = buffer.subarray(0, end);
+    }
+
+    if (leftover.length) yield leftover.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Gzip can't be read backwards: stream it forward, then hand lines out in reverse
+ */
+async function* readGzipLinesReverse(file) {
+  const lines = [];
+  const input = readline.createInterface({
+    input: createReadStream(file).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of input) {
+    if (line) lines.push(line);
+  }
+
+  for (let i = lines.length - 1; i >= 0; i--) {
+    yield lines[i];
+  }
+}
+
+/**
+ * Yield parsed entries newest-first; indented lines (stack traces) are
+ * folded into the entry above them
+ */
+async function* readEntriesReverse(file) {
+  const lines = file.endsWith('.gz') ? readGzipLinesReverse(file) : readLinesReverse(file);
+  let continuation = [];
+
+  for await (const raw of lines) {
+    const line = raw.replace(/\r$/, '');
+    if (!line.trim()) continue;
+
+    if (/^\s/.test(line)) {
+      continuation.unshift(line);
+      continue;
+    }
+
+    const entry = parseLogLine(line);
+    if (continuation.length) {
+      entry.message = [entry.message, ...continuation].join('\n');
+      continuation = [];
+    }
+    yield entry;
+  }
+}
+
+/**
+ * The log file followed by its rotations (daemon.log.1, daemon.log.2.gz, ...), newest first
+ */
+export async function findLogFiles(logPath) {
+  const dir = path.dirname(logPath);
+  const base = path.basename(logPath);
+  const escaped = base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escaped}(?:\\.(\\d+))?(\\.gz)?$`);
+
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return names
+    .map(name => ({ name, match: name.match(pattern) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => Number(a.match[1] || 0) - Number(b.match[1] || 0))
+    .map(({ name }) => path.join(dir, name));
+}
+
+/**
+ * Query daemon logs by minimum level, time window and regex
+ * Returns the newest `limit` matches in chronological order plus
+ * per-level counts for everything in the window that matches `filter`
+ */
+export async function readLogs(logPath, { level = 'info', time_range = '1h', filter, limit = 50 } = {}) {
+  let pattern = null;
+  if (filter) {
+    try {
+      pattern = new RegExp(filter, 'i');
+    } catch (error) {
+      throw new ValidationError(`Invalid filter regex: ${error.message}`, [
+        { field: 'filter', message: `is not a valid regular expression (${error.message})` }
+      ]);
+    }
+  }
+
+  const minLevel = LOG_LEVELS.indexOf(normalizeLevel(level) || 'info');
+  const since = Date.now() - (TIME_RANGES[time_range] || TIME_RANGES['1h']);
+  const files = await findLogFiles(logPath);
+
+  const counts = {};
+  const matches = [];
+  let matched = 0;
+  const filesRead = [];
+
+  scan:
+  for (const file of files) {
+    for await (const entry of readEntriesReverse(file)) {
+      // Files are chronological, so everything further back is outside the window too
+      if (entry.time !== null && entry.time < since) break scan;
+
+      if (filesRead[filesRead.length - 1] !== path.basename(file)) {
+        filesRead.push(path.basename(file));
+      }
+
+      if (pattern && !pattern.test(entry.message)) continue;
+
+      counts[entry.level] = (counts[entry.level] || 0) + 1;
+
+      if (LOG_LEVELS.indexOf(entry.level) >= minLevel) {
+        matched++;
+        if (matches.length < limit) matches.push(entry);
+      }
+    }
+  }
+
+  return {
+    entries: matches.reverse().map(formatEntry),
+    counts,
+    files: filesRead,
+    summary: files.length
+      ? `Returned ${matches.length} of ${matched} matching entries (${formatLevelCounts(counts)}) from ${filesRead.join(', ') || path.basename(logPath)}`
+      : `No log files found at ${logPath}`
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * Port Auditor for Styxy MCP Server
+ * Compares the daemon's allocations with the sockets actually listening
+ * on this machine, and reclaims stale allocations or orphaned listeners
+ */
+
+import { listListeningSockets, resolveHolders, isPortFree } from './portProbe.js';
+
+// How long a new allocation may go without a listener, e.g. while its server starts
+const STALE_GRACE_MS = 2 * 60e3;
+
+export class PortAuditor {
+  constructor({ styxyClient, staleGraceMs = STALE_GRACE_MS }) {
+    this.styxyClient = styxyClient;
+    this.staleGraceMs = staleGraceMs;
+  }
+
+  /**
+   * Classify ports as tracked-and-live, tracked-but-dead (stale) or
+   * live-but-untracked (orphan). Allocations younger than the grace period
+   * with nothing listening yet are reported as starting, not stale. Orphans
+   * are limited to the configured port range unless `includeAllPorts` is set
+   */
+  async audit({ includeAllPorts = false } = {}) {
+    const status = await this.styxyClient.getStatus({ include_ports: true, include_recent_errors: false });
+    const config = await this.styxyClient.loadConfig();
+    const portRange = config.daemon?.port_range || null;
+
+    const tracked = new Map((status.active_ports || []).map(allocation => [allocation.port, allocation]));
+    const sockets = await listListeningSockets();
+
+    const socketsByPort = new Map();
+    for (const socket of sockets || []) {
+      if (!socketsByPort.has(socket.port)) socketsByPort.set(socket.port, []);
+      socketsByPort.get(socket.port).push(socket);
+    }
+
+    const inScope = (port) => includeAllPorts || !portRange || (port >= portRange.start && port <= portRange.end);
+
+    // Only look up owners for the sockets we'll report on
+    const relevant = [...socketsByPort.entries()]
+      .filter(([port]) => tracked.has(port) || inScope(port))
+      .flatMap(([, list]) => list);
+    const holders = await resolveHolders(relevant);
+    const holdersByPort = new Map();
+    relevant.forEach((socket, index) => {
+      if (!holdersByPort.has(socket.port)) holdersByPort.set(socket.port, []);
+      holdersByPort.get(socket.port).push(holders[index]);
+    });
+
+    const trackedLive = [];
+    const starting = [];
+    const stale = [];
+    const now = Date.now();
+
+    for (const [port, allocation] of tracked) {
+      // Without /proc, fall back to test-binding the port
+      const live = sockets ? socketsByPort.has(port) : !(await isPortFree(port));
+      const entry = {
+        port,
+        service_type: allocation.service_type || null,
+        service_name: allocation.service_name || null,
+        project_name: allocation.project_name || null,
+        session_id: allocation.session_id || null,
+        client_session_id: allocation.client_session_id || null,
+        allocated_at: allocation.allocated_at || null
+      };
+
+      if (live) {
+        trackedLive.push({ ...entry, holders: holdersByPort.get(port) || [] });
+      } else if (now - Date.parse(entry.allocated_at) < this.staleGraceMs) {
+        starting.push(entry);
+      } else {
+        stale.push(entry);
+      }
+    }
+
+    const orphans = [...socketsByPort.keys()]
+      .filter(port => !tracked.has(port) && inScope(port))
+      .sort((a, b) => a - b)
+      .map(port => ({ port, holders: holdersByPort.get(port) || [] }));
+
+    return {
+      tracked_live: trackedLive.sort((a, b) => a.port - b.port),
+      starting: starting.sort((a, b) => a.port - b.port),
+      stale: stale.sort((a, b) => a.port - b.port),
+      orphans,
+      orphan_lookup: sockets ? 'proc' : 'unsupported',
+      port_range: includeAllPorts ? null : portRange,
+      source: status.source
+    };
+  }
+
+  /**
+   * Release stale allocations and signal orphan processes named by port
+   * Nothing is changed unless `confirm` is true; otherwise the actions
+   * are returned as planned so the user can approve them first. Stale
+   * allocations of other Claude sessions need `overrideOwnership`
+   */
+  async applyActions(report, {
+    releaseStale = [],
+    terminateOrphans = [],
+    signal = 'SIGTERM',
+    confirm = false,
+    overrideOwnership = false,
+    sessionId,
+    clientSessionId
+  }) {
+    const actions = [];
+
+    for (const port of releaseStale) {
+      const entry = report.stale.find(stale => stale.port === port);
+      if (!entry) {
+        actions.push({ action: 'release', port, status: 'skipped', message: 'Not a stale allocation' });
+        continue;
+      }
+
+      const owner = entry.session_id;
+      const ownSession = !owner || owner === 'unknown' || owner === sessionId ||
+        Boolean(entry.client_session_id && entry.client_session_id === clientSessionId);
+      if (!ownSession && !overrideOwnership) {
+        actions.push({
+          action: 'release',
+          port,
+          status: 'skipped',
+          message: `Owned by another Claude session (${owner}); pass override_ownership: true to release it`
+        });
+        continue;
+      }
+
+      if (!confirm) {
+        actions.push({ action: 'release', port, status: 'planned', message: 'Pass confirm: true to release' });
+        continue;
+      }
+
+      try {
+        const result = await this.styxyClient.releasePort({
+          port,
+          claudeSessionId: sessionId,
+          clientSessionId,
+          overrideOwnership
+        });
+        const released = (result.released || []).some(entry => entry.port === port);
+        actions.push({
+          action: 'release',
+          port,
+          status: released ? 'done' : 'failed',
+          message: released ? 'Allocation released' : (result.errors || []).join('; ') || 'Daemon did not release the port'
+        });
+      } catch (error) {
+        actions.push({ action: 'release', port, status: 'failed', message: error.message });
+      }
+    }
+
+    for (const port of terminateOrphans) {
+      const orphan = report.orphans.find(entry => entry.port === port);
+      if (!orphan) {
+        actions.push({ action: 'signal', port, signal, status: 'skipped', message: 'Not an orphaned listener' });
+        continue;
+      }
+
+      const pids = [...new Set(orphan.holders.map(h => h.pid).filter(Boolean))];
+      if (!pids.length) {
+        actions.push({ action: 'signal', port, signal, status: 'skipped', message: 'Owning process is not visible to this user' });
+        continue;
+      }
+
+      for (const pid of pids) {
+        if (pid === process.pid || pid <= 1) {
+          actions.push({ action: 'signal', port, pid, signal, status: 'skipped', message: 'Refusing to signal this process' });
+        } else if (!confirm) {
+          actions.push({ action: 'signal', port, pid, signal, status: 'planned', message: 'Pass confirm: true to send the signal' });
+        } else {
+          try {
+            process.kill(pid, signal);
+            actions.push({ action: 'signal', port, pid, signal, status: 'done', message: `Sent ${signal}` });
+          } catch (error) {
+            actions.push({ action: 'signal', port, pid, signal, status: 'failed', message: error.code || error.message });
+          }
+        }
+      }
+    }
+
+    return actions;
+  }
+}
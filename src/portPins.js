@@ -0,0 +1,135 @@
+/**
+ * Port Pins for Styxy MCP Server
+ * Stable service → port mappings kept in a project's .styxy.json, so a
+ * project gets the same ports (and OAuth redirects, CORS allowlists and
+ * bookmarks keep working) every time it is reopened
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { ConfigEditor } from './configEditor.js';
+import { ValidationError } from './errors.js';
+
+export const PIN_FILE = '.styxy.json';
+
+/**
+ * Find the .styxy.json governing `workingDir`: the nearest one in it or a
+ * parent directory, stopping at the home directory
+ * @returns {Promise<string|null>}
+ */
+export async function findProjectFile(workingDir) {
+  const home = os.homedir();
+  let dir = path.resolve(workingDir);
+
+  while (true) {
+    const candidate = path.join(dir, PIN_FILE);
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // Keep looking upward
+    }
+
+    const parent = path.dirname(dir);
+    if (dir === home || parent === dir) return null;
+    dir = parent;
+  }
+}
+
+export class PortPins {
+  constructor() {
+    this.editor = new ConfigEditor();
+  }
+
+  findPinFile(workingDir) {
+    return findProjectFile(workingDir);
+  }
+
+  async read(file) {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+    return this.parse(content, file);
+  }
+
+  parse(content, file) {
+    try {
+      const data = JSON.parse(content);
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch (error) {
+      throw new ValidationError(`${file} is not valid JSON: ${error.message}`, [
+        { field: 'working_dir', message: `contains an invalid ${PIN_FILE} (${error.message})` }
+      ]);
+    }
+  }
+
+  /**
+   * Pins are keyed by service name, or by service type when there is none
+   */
+  static keyFor({ serviceName, serviceType }) {
+    return serviceName || serviceType || null;
+  }
+
+  /**
+   * The pinned port for a service, trying its name before its type
+   * @returns {Promise<{port: number, key: string, file: string}|null>}
+   */
+  async lookup(workingDir, { serviceName, serviceType }) {
+    const file = await this.findPinFile(workingDir);
+    if (!file) return null;
+
+    // A broken pin file shouldn't block allocation; the pin tool reports it
+    const data = await this.read(file).catch((error) => {
+      console.error(`[PortPins] Ignoring ${file}: ${error.message}`);
+      return {};
+    });
+    const ports = data.ports || {};
+    for (const key of [serviceName, serviceType]) {
+      if (key && Number.isInteger(ports[key])) {
+        return { port: ports[key], key, file };
+      }
+    }
+    return null;
+  }
+
+  async list(workingDir) {
+    const file = await this.findPinFile(workingDir);
+    return {
+      file: file || path.join(path.resolve(workingDir), PIN_FILE),
+      pins: file ? (await this.read(file)).ports || {} : {}
+    };
+  }
+
+  /**
+   * Set or remove one pin, editing the file text so every other key and
+   * the file's layout are kept
+   * @param {number|null} port - null removes the pin
+   * @returns {Promise<{file: string, pins: object, previous_port: number|null}>}
+   */
+  async update(workingDir, key, port) {
+    const file = await this.findPinFile(workingDir) || path.join(path.resolve(workingDir), PIN_FILE);
+    const original = await this.editor.read(file);
+    const data = original === null ? {} : this.parse(original, file);
+    const ports = { ...(data.ports || {}) };
+    const previous = Number.isInteger(ports[key]) ? ports[key] : null;
+
+    if (port === null) {
+      delete ports[key];
+    } else {
+      ports[key] = port;
+    }
+
+    const content = port === null
+      ? this.editor.unset(original, ['ports', key], file)
+      : this.editor.set(original, ['ports', key], port, file);
+    if (content !== original) {
+      await this.editor.writeAtomic(file, content);
+    }
+    return { file, pins: ports, previous_port: previous };
+  }
+}
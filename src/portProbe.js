@@ -0,0 +1,230 @@
+/**
+ * Port Probe for Styxy MCP Server
+ * Checks whether a port is really free on this machine, independent of
+ * the daemon, and finds the process holding it via /proc
+ */
+
+import net from 'net';
+import fs from 'fs/promises';
+
+const TCP_LISTEN = '0A';
+const IPV6_UNSUPPORTED = ['EAFNOSUPPORT', 'EADDRNOTAVAIL', 'EPROTONOSUPPORT'];
+
+/**
+ * Try to bind `port` on `host`, resolving { available, error }
+ * `available` is null when the address family isn't supported here
+ */
+export function testBind(port, host, { ipv6Only = false } = {}) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.unref();
+
+    server.once('error', (error) => {
+      resolve({
+        available: IPV6_UNSUPPORTED.includes(error.code) && host.includes(':') ? null : false,
+        error: error.code
+      });
+    });
+
+    server.listen({ port, host, exclusive: true, ipv6Only }, () => {
+      server.close(() => resolve({ available: true, error: null }));
+    });
+  });
+}
+
+/**
+ * Check whether a TCP port can be bound on both IPv4 and IPv6
+ */
+export async function isPortFree(port) {
+  const ipv4 = await testBind(port, '0.0.0.0');
+  if (ipv4.available === false) return false;
+
+  const ipv6 = await testBind(port, '::', { ipv6Only: true });
+  return ipv6.available !== false;
+}
+
+/**
+ * Decode a /proc/net/tcp address like "0100007F:0BB8" or its IPv6 form
+ */
+function decodeAddress(hex) {
+  const [addr, portHex] = hex.split(':');
+  const port = parseInt(portHex, 16);
+
+  // Each 32-bit word is stored in host (little-endian) byte order
+  const bytes = [];
+  for (let i = 0; i < addr.length; i += 8) {
+    const word = addr.slice(i, i + 8).match(/../g).reverse();
+    bytes.push(...word.map(b => parseInt(b, 16)));
+  }
+
+  if (bytes.length === 4) {
+    return { address: bytes.join('.'), port };
+  }
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  }
+  return { address: compressIpv6(groups), port };
+}
+
+/**
+ * Collapse the longest run of zero groups to "::"
+ */
+function compressIpv6(groups) {
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < groups.length; i++) {
+    let j = i;
+    while (j < groups.length && groups[j] === '0') j++;
+    if (j - i > best.length) best = { start: i, length: j - i };
+  }
+
+  if (best.start === -1) return groups.join(':');
+
+  const head = groups.slice(0, best.start).join(':');
+  const tail = groups.slice(best.start + best.length).join(':');
+  return `${head}::${tail}`;
+}
+
+/**
+ * Every listening TCP socket from /proc/net/tcp and /proc/net/tcp6
+ * Returns null where /proc isn't available (non-Linux)
+ */
+export async function listListeningSockets() {
+  const sockets = [];
+  let readable = false;
+
+  for (const [family, file] of [['IPv4', '/proc/net/tcp'], ['IPv6', '/proc/net/tcp6']]) {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+      readable = true;
+    } catch {
+      continue;
+    }
+
+    for (const line of content.split('\n').slice(1)) {
+      const fields = line.trim().split(/\s+/);
+      if (fields.length < 10 || fields[3] !== TCP_LISTEN) continue;
+
+      const local = decodeAddress(fields[1]);
+      sockets.push({ family, address: local.address, port: local.port, inode: fields[9] });
+    }
+  }
+
+  return readable ? sockets : null;
+}
+
+/**
+ * Listening sockets on `port`, or null where /proc isn't available
+ */
+export async function findListeningSockets(port) {
+  const sockets = await listListeningSockets();
+  return sockets && sockets.filter(socket => socket.port === port);
+}
+
+/**
+ * Map socket inodes to the PIDs holding them by scanning /proc/<pid>/fd
+ * Processes we can't inspect (other users) are skipped
+ */
+async function findSocketOwners(inodes) {
+  const wanted = new Set(inodes.map(inode => `socket:[${inode}]`));
+  const owners = new Map();
+  let pids;
+
+  try {
+    pids = (await fs.readdir('/proc')).filter(name => /^\d+$/.test(name));
+  } catch {
+    return owners;
+  }
+
+  for (const pid of pids) {
+    let fds;
+    try {
+      fds = await fs.readdir(`/proc/${pid}/fd`);
+    } catch {
+      continue;
+    }
+
+    for (const fd of fds) {
+      const target = await fs.readlink(`/proc/${pid}/fd/${fd}`).catch(() => null);
+      if (target && wanted.has(target)) {
+        owners.set(target.slice(8, -1), Number(pid));
+      }
+    }
+
+    if (owners.size === wanted.size) break;
+  }
+
+  return owners;
+}
+
+/**
+ * PID, command line and working directory of a process
+ */
+export async function describeProcess(pid) {
+  const cmdline = await fs.readFile(`/proc/${pid}/cmdline`, 'utf8').catch(() => '');
+  const cwd = await fs.readlink(`/proc/${pid}/cwd`).catch(() => null);
+
+  return {
+    pid,
+    command: cmdline.split('\0').filter(Boolean).join(' ') || null,
+    cwd
+  };
+}
+
+/**
+ * Attach the owning process (PID, command line, cwd) to each socket
+ */
+export async function resolveHolders(sockets) {
+  const owners = await findSocketOwners(sockets.map(s => s.inode));
+
+  return Promise.all(sockets.map(async (socket) => ({
+    family: socket.family,
+    address: socket.address,
+    ...(owners.has(socket.inode)
+      ? await describeProcess(owners.get(socket.inode))
+      : { pid: null, command: null, cwd: null })
+  })));
+}
+
+/**
+ * Full availability report for a port: test-binds on IPv4 and IPv6 plus
+ * whatever process is listening on it
+ */
+export async function checkPort(port) {
+  const ipv4 = await testBind(port, '0.0.0.0');
+  const ipv6 = await testBind(port, '::', { ipv6Only: true });
+  const available = ipv4.available !== false && ipv6.available !== false;
+
+  const sockets = await findListeningSockets(port);
+  let holders = [];
+
+  if (sockets?.length) {
+    holders = await resolveHolders(sockets);
+  }
+
+  return {
+    port,
+    available,
+    ipv4,
+    ipv6,
+    holders,
+    holder_lookup: sockets === null ? 'unsupported' : 'proc'
+  };
+}
+
+/**
+ * One-line description of who holds a port, for conflict messages
+ */
+export function describeHolders(report) {
+  const known = report.holders.filter(h => h.pid);
+  if (!known.length) {
+    return `Port ${report.port} is in use by another process`;
+  }
+
+  const who = [...new Map(known.map(h => [h.pid, h])).values()]
+    .map(h => `PID ${h.pid}${h.command ? ` (${h.command})` : ''}`)
+    .join(', ');
+  return `Port ${report.port} is in use by ${who}`;
+}
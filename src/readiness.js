@@ -0,0 +1,123 @@
+/**
+ * Readiness Probe for Styxy MCP Server
+ * Polls an allocated port until something is actually serving on it
+ */
+
+import net from 'net';
+import http from 'http';
+
+const ATTEMPT_TIMEOUT_MS = 2000;
+const MIN_ATTEMPT_TIMEOUT_MS = 100;
+
+/**
+ * Try a single TCP connection
+ */
+export function probeTcp(port, host, timeoutMs = ATTEMPT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ port, host });
+
+    socket.setTimeout(timeoutMs);
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve({});
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      reject(new Error(`Connection to ${host}:${port} timed out`));
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Try a single HTTP GET and check the status code
+ */
+export function probeHttp(port, host, path, expectedStatus, timeoutMs = ATTEMPT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const request = http.get({ host, port, path, timeout: timeoutMs }, (response) => {
+      response.resume();
+
+      const status = response.statusCode;
+      const ok = expectedStatus ? status === expectedStatus : status >= 200 && status < 400;
+
+      if (ok) {
+        resolve({ status });
+      } else {
+        const error = new Error(`GET ${path} returned ${status}${expectedStatus ? `, expected ${expectedStatus}` : ''}`);
+        error.status = status;
+        reject(error);
+      }
+    });
+
+    request.once('timeout', () => {
+      request.destroy(new Error(`GET ${path} timed out`));
+    });
+    request.once('error', reject);
+  });
+}
+
+/**
+ * Poll until the port answers, the timeout passes or `shouldAbort` returns a reason
+ * @returns {object} ready flag, time waited, attempts and the last error seen
+ */
+export async function waitForPort(options) {
+  const {
+    port,
+    host = 'localhost',
+    path,
+    expectedStatus,
+    timeoutMs = 30000,
+    intervalMs = 250,
+    maxIntervalMs = 2000,
+    backoff = 1.5,
+    shouldAbort = () => null
+  } = options;
+
+  const started = Date.now();
+  let delay = intervalMs;
+  let attempts = 0;
+  let lastError = null;
+
+  while (true) {
+    attempts++;
+    // Attempts end with the overall timeout, though the last one still gets a moment to answer
+    const remaining = timeoutMs - (Date.now() - started);
+    const attemptTimeout = Math.min(ATTEMPT_TIMEOUT_MS, Math.max(MIN_ATTEMPT_TIMEOUT_MS, remaining));
+
+    try {
+      const result = path
+        ? await probeHttp(port, host, path, expectedStatus, attemptTimeout)
+        : await probeTcp(port, host, attemptTimeout);
+
+      return {
+        ready: true,
+        port,
+        mode: path ? 'http' : 'tcp',
+        waited_ms: Date.now() - started,
+        attempts,
+        status: result.status ?? null,
+        last_error: null
+      };
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    const aborted = shouldAbort();
+    const elapsed = Date.now() - started;
+
+    if (aborted || elapsed >= timeoutMs) {
+      return {
+        ready: false,
+        port,
+        mode: path ? 'http' : 'tcp',
+        waited_ms: elapsed,
+        attempts,
+        status: null,
+        last_error: aborted || lastError
+      };
+    }
+
+    await new Promise(resolve => setTimeout(resolve, Math.min(delay, timeoutMs - elapsed)));
+    delay = Math.min(delay * backoff, maxIntervalMs);
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * Result Renderers for Styxy MCP Server
+ * Turn each tool's structured result into the human-readable text response
+ */
+
+const exitDescription = (r) => r.exit_code !== null && r.exit_code !== undefined
+  ? `code ${r.exit_code}`
+  : `signal ${r.signal}`;
+
+const indent = (items) => items.map(item => `  ${item}`).join('\n');
+
+const SOURCE_LABELS = {
+  daemon: 'styxy daemon',
+  local_daemon: 'local daemon',
+  cli: 'styxy CLI',
+  file: 'files on disk',
+  defaults: 'built-in defaults',
+  unavailable: 'nothing (placeholder values)'
+};
+
+const sourceLine = (r) => `📡 Source: ${SOURCE_LABELS[r.source] || r.source}`;
+
+const envLines = (variables) => indent(Object.entries(variables).map(([key, value]) => `${key}=${value}`));
+
+const describeCapacity = (c) => `${c.service_type}: ${c.remaining} of ${c.size} free in ${c.range.start}-${c.range.end}` +
+  ` (${c.allocated} allocated, ${c.avoided} avoided; ${c.strategy}${c.max_per_project ? `, max ${c.max_per_project} per project` : ''})`;
+
+const formatValue = (value) => (value === null || value === undefined ? 'unset' : JSON.stringify(value));
+
+function renderConfigChange(r) {
+  const verb = r.action === 'set' ? 'SET' : 'UNSET';
+  let header;
+  if (!r.changed) {
+    header = `ℹ️  ${r.key} already ${r.action === 'set' ? `is ${formatValue(r.value)}` : 'unset'} in ${r.file}\n`;
+  } else {
+    header = `${r.dry_run ? '📋 Would change' : '✅ Changed'} ${r.key}: ${formatValue(r.previous_value)} → ${formatValue(r.value)}\n` +
+             `📄 File: ${r.file}\n` +
+             `${r.backup_path ? `💾 Backup: ${r.backup_path}\n` : ''}`;
+  }
+
+  let reload = '';
+  if (r.daemon_reloaded === true) {
+    reload = '🔄 Daemon reloaded\n';
+  } else if (r.daemon_reloaded === false) {
+    reload = `⚠️  Daemon not reloaded: ${r.reload_error}\n`;
+  }
+
+  return `⚙️  CONFIG ${verb}${r.dry_run ? ' (DRY RUN)' : ''}\n\n` +
+         header +
+         `🎯 Effective: ${formatValue(r.effective_value)}${r.effective_source ? ` ← ${r.effective_source}` : ''}\n` +
+         reload +
+         `${r.warnings.length ? `\n⚠️  WARNINGS:\n${indent(r.warnings)}\n` : ''}` +
+         `${r.diff ? `\n${r.diff}\n` : ''}` +
+         `${r.dry_run && r.changed ? '\n💡 Run again without dry_run to write the change' : ''}`;
+}
+
+const RENDERERS = {
+  styxy_allocate_port: (r) => {
+    const detected = r.detection?.framework
+      ? `🔍 Detected: ${r.detection.framework}${r.detection.package_manager ? ` (${r.detection.package_manager})` : ''}` +
+        `${r.detection.inferred_service_type ? ` → service type "${r.service_type}"` : ''}\n\n`
+      : '';
+
+    const usage = r.launch_command
+      ? `🚀 LAUNCH COMMAND:\n  ${r.launch_command}`
+      : `🚀 USAGE EXAMPLES:\n${indent(r.usage_examples)}`;
+
+    let env = '';
+    if (r.env_file?.error) {
+      env = `⚠️  Could not update env file: ${r.env_file.error}\n\n`;
+    } else if (r.env_file) {
+      env = `📝 ENV FILE UPDATED: ${r.env_file.file}\n${envLines(r.env_file.variables)}\n\n`;
+    }
+
+    let previous = '';
+    if (r.pinned_port) {
+      previous = r.pinned_port === r.port
+        ? `📌 Pinned in ${r.pin_file}\n`
+        : `📌 Pinned port ${r.pinned_port} is occupied, so a new port was chosen (pin in ${r.pin_file})\n`;
+    } else if (r.previous_port) {
+      previous = r.previous_port === r.port
+        ? `♻️  Same port as last time\n`
+        : `♻️  Last time: ${r.previous_port} (taken, so a new port was chosen)\n`;
+    }
+
+    return `🎯 PORT ALLOCATED SUCCESSFULLY!\n\n` +
+           `✅ Port: ${r.port}\n` +
+           previous +
+           `🔗 URL: ${r.url}\n` +
+           `⏱️  Duration: ${r.duration}\n` +
+           `🏷️  Service: ${r.service_type}${r.service_name ? ` (${r.service_name})` : ''}\n` +
+           `📁 Project: ${r.project_name}\n\n` +
+           detected +
+           `${usage}\n\n` +
+           env +
+           `🧹 CLEANUP:\n${r.cleanup_command}\n\n` +
+           `${r.conflicts.length ? `⚠️  CONFLICTS:\n${r.conflicts.join('\n')}\n\n` : ''}` +
+           `${r.port_available === false ? `🚨 PORT ${r.port} IS ALREADY BOUND ON THIS MACHINE - check styxy_check_port({port: ${r.port}}) before starting your server\n\n` : ''}` +
+           `${r.expires_with_session ? '🔄 This port will be automatically released when your Claude session ends.\n' : ''}` +
+           `${r.expires_at ? `⏳ This allocation expires at ${r.expires_at}.\n` : ''}` +
+           `\n💡 TIP: Use the allocated port in your commands above for conflict-free development!`;
+  },
+
+  styxy_allocate_stack: (r) =>
+    `🎯 STACK ALLOCATED SUCCESSFULLY!\n\n` +
+    `📁 Project: ${r.project_name}\n` +
+    `⏱️  Duration: ${r.duration}\n\n` +
+    `📋 PORTS:\n${indent(r.allocations.map(a => `${a.port} - ${a.service_type}${a.service_name ? ` (${a.service_name})` : ''}`))}\n\n` +
+    `🌱 ENV:\n${envLines(r.env)}\n\n` +
+    `🧹 CLEANUP:\n${indent(r.allocations.map(a => a.cleanup_command))}\n\n` +
+    `${r.conflicts.length ? `⚠️  CONFLICTS AVOIDED:\n${r.conflicts.join('\n')}\n\n` : ''}` +
+    `💡 TIP: Use styxy_release_port with project_name to free the whole stack`,
+
+  styxy_apply_env: (r) =>
+    `📝 ENV FILE UPDATED\n\n` +
+    `📄 File: ${r.file}\n` +
+    `${r.backup ? `💾 Backup: ${r.backup}\n` : '🆕 File created\n'}\n` +
+    `${r.updated.length ? `✏️  Updated: ${r.updated.join(', ')}\n` : ''}` +
+    `${r.added.length ? `➕ Added: ${r.added.join(', ')}\n` : ''}\n` +
+    `${envLines(r.variables)}\n\n` +
+    `🔄 These values are reverted when port ${r.port} is released`,
+
+  styxy_run_service: (r) =>
+    `🚀 SERVICE STARTED\n\n` +
+    `✅ Port: ${r.port}\n` +
+    `🔗 URL: ${r.url}\n` +
+    `🆔 PID: ${r.pid}\n` +
+    `💻 Command: ${r.command}\n` +
+    `📂 Directory: ${r.working_dir}\n` +
+    `🏷️  Service: ${r.service_type}${r.service_name ? ` (${r.service_name})` : ''}\n` +
+    `📁 Project: ${r.project_name}\n\n` +
+    `🔄 The port is released automatically when the process exits.\n\n` +
+    `💡 Read output: styxy_service_output({port: ${r.port}})\n` +
+    `💡 Stop it: styxy_stop_service({port: ${r.port}})`,
+
+  styxy_stop_service: (r) =>
+    `🛑 SERVICE STOPPED\n\n` +
+    `🔌 Port: ${r.port}\n` +
+    `🆔 PID: ${r.pid}\n` +
+    `📤 Exit: ${exitDescription(r)}\n\n` +
+    (r.released
+      ? `✅ Port ${r.port} has been released`
+      : `⚠️ Port ${r.port} is still allocated: ${r.release_error}\n💡 Release it: styxy_release_port({port: ${r.port}})`),
+
+  styxy_service_output: (r) => {
+    if (r.services) {
+      return `📋 MANAGED SERVICES\n\n` +
+             `${r.services.length ? indent(r.services.map(s => `${s.port} - ${s.status} (PID ${s.pid}) ${s.command}`)) : 'No managed services'}`;
+    }
+
+    return `📄 SERVICE OUTPUT (port ${r.port})\n\n` +
+           `⚡ Status: ${r.status}${r.status === 'exited' ? ` (${exitDescription(r)})` : ''}\n` +
+           `🆔 PID: ${r.pid}\n` +
+           `💻 Command: ${r.command}\n\n` +
+           `${r.lines.length ? r.lines.map(l => `${l.stream === 'stderr' ? '! ' : '  '}${l.line}`).join('\n') : 'No output yet'}` +
+           `${r.dropped ? `\n\n(${r.dropped} older lines dropped)` : ''}`;
+  },
+
+  styxy_wait_for_port: (r) => r.ready
+    ? `✅ PORT READY\n\n` +
+      `🔗 ${r.target}${r.status ? ` (HTTP ${r.status})` : ''}\n` +
+      `⏱️  Waited: ${r.waited_ms}ms over ${r.attempts} attempt(s)`
+    : `❌ PORT NOT READY\n\n` +
+      `🔗 ${r.target}\n` +
+      `⏱️  Waited: ${r.waited_ms}ms over ${r.attempts} attempt(s)\n` +
+      `⚠️  Last error: ${r.last_error}\n\n` +
+      `💡 Check the server output (styxy_service_output) or raise timeout_ms`,
+
+  styxy_check_port: (r) => {
+    const family = (name, result) => `${name}: ${result.available === null ? 'not supported' : result.available ? 'free' : `in use (${result.error})`}`;
+    const holders = r.holders.map(h => `${h.address} (${h.family}) - ${h.pid ? `PID ${h.pid}${h.command ? ` ${h.command}` : ''}` : 'process not visible'}` +
+      `${h.cwd ? `\n    cwd: ${h.cwd}` : ''}`);
+
+    return `${r.available ? '✅ PORT FREE' : '❌ PORT IN USE'}: ${r.port}\n\n` +
+           `🔌 ${family('IPv4', r.ipv4)}\n` +
+           `🔌 ${family('IPv6', r.ipv6)}\n` +
+           `${holders.length ? `\n👤 HELD BY:\n${indent(holders)}\n` : ''}` +
+           `${r.holder_lookup === 'unsupported' ? '\nℹ️  Process lookup needs /proc (Linux only)\n' : ''}`;
+  },
+
+  styxy_audit: (r) => {
+    const who = (holders) => holders.length
+      ? holders.filter(h => h.pid).map(h => `PID ${h.pid}${h.command ? ` ${h.command}` : ''}${h.cwd ? ` (cwd ${h.cwd})` : ''}`).join(', ') || 'process not visible'
+      : 'unknown process';
+    const owner = (a) => `${a.service_type || 'service'}${a.project_name ? ` (${a.project_name})` : ''}`;
+    const pending = (key, ports) => ports.length ? `  styxy_audit({${key}: [${ports.join(', ')}], confirm: true})` : null;
+    const suggestions = [
+      pending('release_stale', r.stale.map(a => a.port)),
+      pending('terminate_orphans', r.orphans.map(o => o.port))
+    ].filter(Boolean);
+
+    return `🔍 PORT AUDIT${r.port_range ? ` (${r.port_range.start}-${r.port_range.end})` : ''}\n\n` +
+           `✅ Tracked and live: ${r.tracked_live.length}\n` +
+           `${r.tracked_live.length ? `${indent(r.tracked_live.map(a => `${a.port} - ${owner(a)} → ${who(a.holders)}`))}\n` : ''}` +
+           `\n💀 Stale (allocated, nothing listening): ${r.stale.length}\n` +
+           `${r.stale.length ? `${indent(r.stale.map(a => `${a.port} - ${owner(a)}${a.session_id ? ` [session ${a.session_id}]` : ''}`))}\n` : ''}` +
+           `\n👻 Orphans (listening, not tracked): ${r.orphan_lookup === 'unsupported' ? 'unknown - needs /proc (Linux only)' : r.orphans.length}\n` +
+           `${r.orphans.length ? `${indent(r.orphans.map(o => `${o.port} → ${who(o.holders)}`))}\n` : ''}` +
+           `${r.actions.length ? `\n🛠️  ACTIONS:\n${indent(r.actions.map(a => `[${a.status}] ${a.action} ${a.port}${a.pid ? ` (PID ${a.pid}, ${a.signal})` : ''}: ${a.message}`))}\n` : ''}` +
+           `${r.env_files_reverted.length ? `\n📝 Env Files Reverted:\n${indent(r.env_files_reverted)}\n` : ''}` +
+           `${suggestions.length && !r.actions.some(a => a.status === 'done') ? `\n💡 After the user confirms, reclaim with:\n${suggestions.join('\n')}` : ''}`;
+  },
+
+  styxy_status: (r) =>
+    `📊 STYXY DAEMON STATUS\n\n` +
+    `🟢 Status: ${r.daemon_running ? 'Running' : '❌ Not Running'}\n` +
+    `🏠 PID: ${r.pid || 'N/A'}\n` +
+    `⏰ Uptime: ${r.uptime || 'N/A'}\n` +
+    `🔌 Active Ports: ${r.active_ports.length}\n\n` +
+    `${r.active_ports.length ? `📋 ALLOCATED PORTS:\n${indent(r.active_ports.map(p => `${p.port} - ${p.service_type} (${p.project_name})`))}\n\n` : ''}` +
+    `${r.capacity.length ? `📦 CAPACITY BY SERVICE TYPE:\n${indent(r.capacity.map(describeCapacity))}\n\n` : ''}` +
+    `${r.recent_errors.length ? `⚠️  RECENT ERRORS:\n${indent(r.recent_errors.slice(0, 3))}\n\n` : ''}` +
+    `🔧 Config Path: ${r.config_path || 'N/A'}\n` +
+    `📄 Log Path: ${r.log_path || 'N/A'}\n` +
+    sourceLine(r),
+
+  styxy_logs: (r) =>
+    `📄 STYXY DAEMON LOGS (${r.time_range})\n\n` +
+    `${r.entries.length ? r.entries.join('\n') : 'No log entries found'}\n\n` +
+    `📊 Summary: ${r.summary || 'No summary available'}\n` +
+    `${r.redacted_count ? `🔒 Redacted: ${r.redacted_count} sensitive values\n` : ''}` +
+    sourceLine(r),
+
+  styxy_config: (r) => {
+    const layerStatus = { loaded: '✅', missing: '➖', invalid: '❌', unavailable: '➖' };
+    const layers = r.layers.map(l => `${layerStatus[l.status] || '•'} ${l.name}${l.path ? ` (${l.path})` : ''}` +
+      `${l.variables ? `: ${l.variables.join(', ')}` : ''}${l.error ? ` - ${l.error}` : ''}`);
+    const overridden = Object.entries(r.sources).filter(([, source]) => source !== 'defaults');
+
+    let validation = '';
+    if (r.is_valid === true) {
+      validation = '✅ Configuration is valid\n\n';
+    } else if (r.validation_errors.length) {
+      validation = `❌ VALIDATION ERRORS:\n${indent(r.validation_errors.map(e => `${e.field}: ${e.message}`))}\n\n`;
+    }
+
+    return `⚙️  STYXY CONFIGURATION\n\n` +
+           `${JSON.stringify(r.config, null, 2)}\n\n` +
+           `📚 LAYERS (lowest to highest precedence):\n${indent(['✅ defaults', ...layers])}\n\n` +
+           `${overridden.length ? `🔀 NON-DEFAULT VALUES:\n${indent(overridden.map(([key, source]) => `${key} ← ${source}`))}\n\n` : ''}` +
+           `${r.redacted_count ? `🔒 Redacted ${r.redacted_count} sensitive values: ${r.redacted_fields.join(', ') || 'in layer errors'} (show_sensitive: true to reveal)\n\n` : ''}` +
+           validation +
+           `🔧 To modify config: styxy_config_set / styxy_config_unset (writes ~/.styxy/config.json or the project .styxy.json)\n` +
+           sourceLine(r);
+  },
+
+  styxy_config_set: (r) => renderConfigChange(r),
+
+  styxy_config_unset: (r) => renderConfigChange(r),
+
+  styxy_cleanup: (r) =>
+    `🧹 CLEANUP COMPLETED\n\n` +
+    `✅ Released: ${r.released_ports.length} ports\n` +
+    `${r.released_ports.length ? `📋 Released Ports:\n${indent(r.released_ports)}\n\n` : ''}` +
+    `${r.env_files_reverted.length ? `📝 Env Files Reverted:\n${indent(r.env_files_reverted)}\n\n` : ''}` +
+    `${r.errors.length ? `⚠️  Errors:\n${r.errors.join('\n')}\n\n` : ''}` +
+    `💡 Use styxy_status to verify cleanup results`,
+
+  styxy_release_port: (r) => {
+    const describe = (a) => `${a.port}${a.service_type ? ` - ${a.service_type}` : ''}` +
+      `${a.service_name ? ` (${a.service_name})` : ''}${a.project_name ? ` [${a.project_name}]` : ''}`;
+
+    return `🔓 PORT RELEASE\n\n` +
+           `✅ Released: ${r.released.length} ports\n` +
+           `${r.released.length ? `📋 Released Ports:\n${indent(r.released.map(describe))}\n\n` : '\n'}` +
+           `${r.env_files_reverted.length ? `📝 Env Files Reverted:\n${indent(r.env_files_reverted)}\n\n` : ''}` +
+           `${r.refused.length ? `🔒 Not Released (owned by another session):\n${indent(r.refused.map(x => `${x.port} - session ${x.owner_session}`))}\n` +
+             `   Use override_ownership: true to release these anyway\n\n` : ''}` +
+           `${r.errors.length ? `⚠️  Errors:\n${r.errors.join('\n')}\n\n` : ''}` +
+           `💡 Use styxy_status to verify remaining allocations`;
+  },
+
+  styxy_pin_port: (r) => {
+    const pins = Object.entries(r.pins);
+    const header = {
+      pin: `📌 PORT PINNED\n\n✅ ${r.key} → ${r.port}${r.previous_port && r.previous_port !== r.port ? ` (was ${r.previous_port})` : ''}\n`,
+      unpin: r.previous_port
+        ? `📌 PORT UNPINNED\n\n✅ ${r.key} no longer pinned (was ${r.previous_port})\n`
+        : `📌 PORT UNPINNED\n\nℹ️  ${r.key} was not pinned\n`,
+      list: `📌 PINNED PORTS\n\n`
+    }[r.action];
+
+    return `${header}📄 File: ${r.file}\n\n` +
+           `${pins.length ? indent(pins.map(([key, port]) => `${key} → ${port}`)) : 'No pins'}`;
+  },
+
+  styxy_history: (r) => {
+    const describe = (e) => `${e.time} ${e.event === 'allocate' ? '➕' : '➖'} ${e.port}` +
+      `${e.service_type ? ` - ${e.service_type}` : ''}${e.service_name ? ` (${e.service_name})` : ''}` +
+      `${e.project_name ? ` [${e.project_name}]` : ''}${e.duration ? ` ${e.duration}` : ''}${e.reason ? ` (${e.reason})` : ''}`;
+
+    return `📜 ALLOCATION HISTORY\n\n` +
+           `📄 Ledger: ${r.ledger_path}\n` +
+           `🔢 Showing ${r.events.length} of ${r.total} events\n\n` +
+           `${r.events.length ? indent(r.events.map(describe)) : 'No matching events'}`;
+  },
+
+  styxy_restore: (r) => {
+    const describe = (a) => `${a.port} - ${a.service_type || 'unknown'}${a.service_name ? ` (${a.service_name})` : ''}` +
+      `${a.project_name ? ` [${a.project_name}]` : ''}${a.status === 'moved' ? ` (was ${a.previous_port})` : ''}`;
+
+    return `♻️  PERSISTENT ALLOCATIONS ${r.dry_run ? 'TO RESTORE' : 'RESTORED'}\n\n` +
+           `${r.restored.length ? `${r.dry_run ? '📋 Would restore' : '✅ Restored'}:\n${indent(r.restored.map(describe))}\n\n` : '✅ Nothing to restore\n\n'}` +
+           `${r.already_active.length ? `🔒 Still held by the daemon: ${r.already_active.join(', ')}\n\n` : ''}` +
+           `${r.released_by_daemon.length ? `🧹 Since released by the daemon: ${r.released_by_daemon.join(', ')}\n\n` : ''}` +
+           `${r.failed.length ? `⚠️  Failed:\n${indent(r.failed.map(f => `${f.port} - ${f.error}`))}\n\n` : ''}` +
+           `${r.dry_run && r.restored.length ? '💡 Run again without dry_run to allocate these\n' : ''}` +
+           sourceLine(r);
+  },
+
+  styxy_metrics: (r) =>
+    `📊 STYXY USAGE METRICS (${r.time_range})\n\n` +
+    `🔢 Total Allocations: ${r.total_allocations}\n` +
+    `⚡ Active Allocations: ${r.active_allocations}\n` +
+    `🏆 Most Used Service: ${r.top_service_type || 'N/A'}\n` +
+    `📁 Most Active Project: ${r.top_project || 'N/A'}\n\n` +
+    `${r.port_patterns.length ? `🎯 PORT USAGE PATTERNS:\n${indent(r.port_patterns)}\n\n` : ''}` +
+    `${r.recommendations.length ? `💡 RECOMMENDATIONS:\n${indent(r.recommendations)}\n\n` : ''}` +
+    sourceLine(r)
+};
+
+/**
+ * Troubleshooting hints appended to a tool's error message
+ */
+const ERROR_HINTS = {
+  styxy_allocate_port: [
+    'Check if styxy daemon is running: styxy status',
+    'Try a different service type or project name',
+    'Use styxy_status tool to check daemon health'
+  ],
+  styxy_allocate_stack: [
+    'No ports were left allocated',
+    'Use styxy_status to check daemon health and current allocations',
+    'Drop preferred_port values that may already be taken'
+  ]
+};
+
+export function renderToolResult(name, result) {
+  const render = RENDERERS[name];
+  return render ? render(result) : JSON.stringify(result, null, 2);
+}
+
+export function renderToolError(name, error, code) {
+  const fields = error.details?.fields || [];
+  const hints = fields.length ? null : ERROR_HINTS[name];
+
+  const summary = code === 'INVALID_CONFIG' ? 'invalid configuration' : 'invalid arguments';
+
+  return `❌ Error executing ${name} [${code}]: ${fields.length ? summary : error.message}` +
+         `${fields.length ? `\n\n${fields.map(f => `- ${f.field}: ${f.message}`).join('\n')}` : ''}` +
+         `${hints ? `\n\n🔧 Troubleshooting:\n${hints.map(h => `- ${h}`).join('\n')}` : ''}`;
+}
@@ -0,0 +1,147 @@
+/**
+ * Service Policies for Styxy MCP Server
+ * What each service type means for allocation: its port range, ports it
+ * must avoid, how many ports one project may hold and how a port is chosen.
+ * Built-in defaults are overridden per type by `service_types` in config
+ */
+
+import { isPortFree } from './portProbe.js';
+
+export const STRATEGIES = ['sequential', 'random', 'nearest'];
+
+/**
+ * Ports commonly held by locally installed services: MySQL, RDP, AirPlay
+ * (5000/7000 on macOS), Postgres, RabbitMQ, VNC, Redis, HTTP proxies,
+ * Prometheus and Elasticsearch
+ */
+export const WELL_KNOWN_PORTS = [3306, 3389, 5000, 5432, 5672, 5900, 6379, 7000, 8080, 8443, 9090, 9200];
+
+/**
+ * Built-in ranges; `custom` and unknown types use the whole daemon.port_range
+ */
+export const DEFAULT_POLICIES = {
+  web: { range: { start: 3000, end: 3999 } },
+  api: { range: { start: 8000, end: 8999 } },
+  database: { range: { start: 5400, end: 5499 } },
+  cache: { range: { start: 6300, end: 6399 } },
+  messaging: { range: { start: 5600, end: 5699 } },
+  monitoring: { range: { start: 9100, end: 9199 } },
+  testing: { range: { start: 4000, end: 4999 } },
+  storybook: { range: { start: 6000, end: 6099 } },
+  custom: {}
+};
+
+/**
+ * The effective policy for a service type
+ * A type range is clamped to daemon.port_range; one lying wholly outside it
+ * falls back to the full port range
+ * @returns {{service_type: string, range: {start: number, end: number}, avoid_ports: number[],
+ *   max_per_project: number|null, strategy: string}}
+ */
+export function resolvePolicy(config, serviceType) {
+  const globalRange = config.daemon?.port_range || { start: 3000, end: 9999 };
+  const configured = config.service_types?.[serviceType] || {};
+  const defaults = DEFAULT_POLICIES[serviceType] || {};
+
+  const wanted = configured.range || defaults.range || globalRange;
+  let range = {
+    start: Math.max(wanted.start, globalRange.start),
+    end: Math.min(wanted.end, globalRange.end)
+  };
+  if (range.start > range.end) {
+    range = { ...globalRange };
+  }
+
+  const avoid = new Set([...(configured.avoid_ports || WELL_KNOWN_PORTS), ...(config.daemon?.reserved_ports || [])]);
+
+  return {
+    service_type: serviceType,
+    range,
+    avoid_ports: [...avoid].sort((a, b) => a - b),
+    max_per_project: configured.max_per_project ?? null,
+    strategy: configured.strategy || 'sequential'
+  };
+}
+
+/**
+ * Policies for the built-in types plus every type named in config
+ */
+export function resolvePolicies(config) {
+  const types = new Set([...Object.keys(DEFAULT_POLICIES), ...Object.keys(config.service_types || {})]);
+  return [...types].map(type => resolvePolicy(config, type));
+}
+
+/**
+ * Ports of the policy's range in the order its strategy tries them
+ */
+export function candidatePorts(policy, preferred) {
+  const avoid = new Set(policy.avoid_ports);
+  const ports = [];
+  for (let port = policy.range.start; port <= policy.range.end; port++) {
+    if (!avoid.has(port)) ports.push(port);
+  }
+
+  if (policy.strategy === 'random') {
+    for (let i = ports.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [ports[i], ports[j]] = [ports[j], ports[i]];
+    }
+  } else if (policy.strategy === 'nearest' && preferred) {
+    ports.sort((a, b) => Math.abs(a - preferred) - Math.abs(b - preferred) || a - b);
+  }
+
+  return ports;
+}
+
+/**
+ * First candidate port that styxy hasn't allocated and nothing is bound to
+ * @returns {Promise<number|null>}
+ */
+export async function findPort(policy, { preferred, taken = new Set(), isFree = isPortFree } = {}) {
+  for (const port of candidatePorts(policy, preferred)) {
+    if (!taken.has(port) && await isFree(port)) {
+      return port;
+    }
+  }
+  return null;
+}
+
+/**
+ * Why one more allocation would break the project quota, or null
+ * @param {Array<{service_type: string, project_name: string}>} allocations - Active allocations
+ */
+export function quotaError(policy, allocations, projectName, adding = 1) {
+  if (!policy.max_per_project || !projectName) return null;
+
+  const held = allocations.filter(a => a.service_type === policy.service_type && a.project_name === projectName).length;
+  if (held + adding <= policy.max_per_project) return null;
+
+  return `Project ${projectName} already holds ${held} ${policy.service_type} port(s); ` +
+    `service_types.${policy.service_type}.max_per_project is ${policy.max_per_project}`;
+}
+
+/**
+ * Free ports left in each policy's range, counting styxy allocations and avoided ports as used
+ * (ranges can overlap, so the same free port may count towards several)
+ */
+export function rangeCapacity(policies, allocations) {
+  const allocated = new Set(allocations.map(a => a.port));
+
+  return policies.map((policy) => {
+    const { start, end } = policy.range;
+    const size = end - start + 1;
+    const avoided = policy.avoid_ports.filter(port => port >= start && port <= end);
+    const inUse = [...allocated].filter(port => port >= start && port <= end && !avoided.includes(port)).length;
+
+    return {
+      service_type: policy.service_type,
+      range: policy.range,
+      strategy: policy.strategy,
+      max_per_project: policy.max_per_project,
+      size,
+      avoided: avoided.length,
+      allocated: inUse,
+      remaining: size - avoided.length - inUse
+    };
+  });
+}
@@ -0,0 +1,233 @@
+/**
+ * Service Runner for Styxy MCP Server
+ * Launches dev servers bound to an allocated port and ties the
+ * allocation's lifetime to the process
+ */
+
+import { spawn } from 'child_process';
+import { StyxyError, NotFoundError } from './errors.js';
+
+const DEFAULT_BUFFER_LINES = 500;
+const STOP_GRACE_MS = 5000;
+
+/**
+ * Fixed-size buffer of output lines, oldest dropped first
+ */
+export class OutputBuffer {
+  constructor(maxLines = DEFAULT_BUFFER_LINES) {
+    this.maxLines = maxLines;
+    this.lines = [];
+    this.partial = { stdout: '', stderr: '' };
+    this.dropped = 0;
+  }
+
+  write(stream, chunk) {
+    const text = this.partial[stream] + chunk;
+    const parts = text.split(/\r?\n/);
+    this.partial[stream] = parts.pop();
+
+    for (const line of parts) {
+      this.push(stream, line);
+    }
+  }
+
+  flush() {
+    for (const stream of Object.keys(this.partial)) {
+      if (this.partial[stream]) {
+        this.push(stream, this.partial[stream]);
+        this.partial[stream] = '';
+      }
+    }
+  }
+
+  push(stream, line) {
+    this.lines.push({ stream, line, time: new Date().toISOString() });
+    if (this.lines.length > this.maxLines) {
+      this.lines.shift();
+      this.dropped++;
+    }
+  }
+
+  tail(count = 50, stream = 'both') {
+    const lines = stream === 'both' ? this.lines : this.lines.filter(l => l.stream === stream);
+    return lines.slice(-count);
+  }
+}
+
+export class ServiceRunner {
+  constructor(options = {}) {
+    this.bufferLines = options.bufferLines || DEFAULT_BUFFER_LINES;
+    this.onExit = options.onExit || (() => {});
+    this.services = new Map();
+  }
+
+  /**
+   * Spawn a command with PORT injected and track it under its port
+   * @throws {StyxyError} SPAWN_FAILED when the process can't be started (e.g. a missing working directory)
+   */
+  async start({ command, port, workingDir, env = {}, allocation = {} }) {
+    const existing = this.services.get(port);
+    if (existing?.status === 'running') {
+      throw new StyxyError(`A service is already running on port ${port} (PID ${existing.pid})`, 'SERVICE_RUNNING', { port, pid: existing.pid });
+    }
+
+    // Own process group so the whole tree (npm -> node) can be signalled
+    const child = spawn(command, {
+      cwd: workingDir,
+      env: { ...process.env, ...env, PORT: String(port) },
+      shell: true,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    // Spawn failures are reported asynchronously, leaving no PID to track
+    try {
+      await new Promise((resolve, reject) => {
+        child.once('spawn', resolve);
+        child.once('error', reject);
+      });
+    } catch (error) {
+      throw new StyxyError(`Failed to start "${command}" in ${workingDir}: ${error.message}`, 'SPAWN_FAILED', {
+        port,
+        command,
+        working_dir: workingDir
+      });
+    }
+
+    const service = {
+      port,
+      pid: child.pid,
+      command,
+      workingDir,
+      allocation,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      exitedAt: null,
+      exitCode: null,
+      signal: null,
+      exitHandled: null,
+      output: new OutputBuffer(this.bufferLines),
+      child
+    };
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => service.output.write('stdout', chunk));
+    child.stderr.on('data', (chunk) => service.output.write('stderr', chunk));
+
+    child.on('error', (error) => {
+      service.output.push('stderr', `[styxy] Process error: ${error.message}`);
+      this.handleExit(service, null, null);
+    });
+    child.on('exit', (code, signal) => this.handleExit(service, code, signal));
+
+    this.services.set(port, service);
+    return this.describe(service);
+  }
+
+  async handleExit(service, code, signal) {
+    if (service.status === 'exited') return;
+
+    service.output.flush();
+    service.status = 'exited';
+    service.exitCode = code;
+    service.signal = signal;
+    service.exitedAt = new Date().toISOString();
+    service.child = null;
+
+    service.exitHandled = Promise.resolve()
+      .then(() => this.onExit(this.describe(service)))
+      .catch((error) => {
+        console.error(`[ServiceRunner] Exit handler failed for port ${service.port}: ${error.message}`);
+        return null;
+      });
+    await service.exitHandled;
+  }
+
+  /**
+   * Signal the service's process group, escalating to SIGKILL after a grace period
+   */
+  async stop(port, signal = 'SIGTERM') {
+    const service = this.services.get(port);
+    if (!service) {
+      throw new NotFoundError(`No managed service on port ${port}`, { port });
+    }
+
+    if (service.status === 'running') {
+      const exited = new Promise((resolve) => service.child.once('exit', resolve));
+      this.signal(service, signal);
+
+      const timer = setTimeout(() => this.signal(service, 'SIGKILL'), STOP_GRACE_MS);
+      await exited;
+      clearTimeout(timer);
+    }
+
+    // Whatever the exit handler reported, e.g. whether the port was released
+    const exitResult = await service.exitHandled;
+    return { ...this.describe(service), exit_result: exitResult ?? null };
+  }
+
+  signal(service, signal) {
+    try {
+      process.kill(-service.pid, signal);
+    } catch {
+      try {
+        process.kill(service.pid, signal);
+      } catch {
+        // Already gone
+      }
+    }
+  }
+
+  /**
+   * Synchronously kill every running service, or only those of one session,
+   * for use in process exit handlers
+   */
+  killAll({ sessionId } = {}) {
+    for (const service of this.services.values()) {
+      if (service.status === 'running' && (!sessionId || service.allocation.session_id === sessionId)) {
+        this.signal(service, 'SIGTERM');
+      }
+    }
+  }
+
+  get(port) {
+    return this.services.get(port) || null;
+  }
+
+  list() {
+    return [...this.services.values()].map(service => this.describe(service));
+  }
+
+  output(port, options = {}) {
+    const service = this.services.get(port);
+    if (!service) {
+      throw new NotFoundError(`No managed service on port ${port}`, { port });
+    }
+
+    return {
+      ...this.describe(service),
+      lines: service.output.tail(options.lines || 50, options.stream || 'both'),
+      dropped: service.output.dropped
+    };
+  }
+
+  describe(service) {
+    return {
+      port: service.port,
+      pid: service.pid,
+      command: service.command,
+      working_dir: service.workingDir,
+      service_type: service.allocation.service_type,
+      service_name: service.allocation.service_name,
+      project_name: service.allocation.project_name,
+      session_id: service.allocation.session_id || null,
+      client_session_id: service.allocation.client_session_id || null,
+      status: service.status,
+      started_at: service.startedAt,
+      exited_at: service.exitedAt,
+      exit_code: service.exitCode,
+      signal: service.signal
+    };
+  }
+}
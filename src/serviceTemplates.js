@@ -0,0 +1,207 @@
+/**
+ * Service Templates for Styxy MCP Server
+ * Per-service-type usage examples and environment variables. Built-in types
+ * can be extended, and new types declared, under `service_types` in config
+ */
+
+/**
+ * Built-in service types and what they're for, in the order tools list them
+ */
+export const BUILTIN_SERVICE_TYPES = {
+  web: 'Frontend dev servers (Vite, Next.js, webpack)',
+  api: 'Backend and API servers',
+  database: 'Databases such as Postgres or MongoDB',
+  cache: 'Caches such as Redis or Memcached',
+  messaging: 'Message brokers such as RabbitMQ or NATS',
+  monitoring: 'Metrics and monitoring (Prometheus, Grafana)',
+  testing: 'Test runners and end-to-end test servers',
+  storybook: 'Storybook',
+  custom: 'Anything else'
+};
+
+export const SERVICE_TEMPLATES = {
+  web: {
+    examples: (port) => [
+      `npm run dev -- --port ${port}`,
+      `npm start -- --port ${port}`,
+      `yarn dev --port ${port}`,
+      `npx vite --port ${port}`,
+      `npx webpack serve --port ${port}`
+    ],
+    env: (port, prefix) => ({
+      [`${prefix}_PORT`]: port,
+      [`${prefix}_URL`]: `http://localhost:${port}`
+    })
+  },
+  api: {
+    examples: (port) => [
+      `npm run start:dev -- --port ${port}`,
+      `node server.js --port ${port}`,
+      `npm run api -- --port ${port}`,
+      `PORT=${port} npm start`
+    ],
+    env: (port, prefix) => ({
+      [`${prefix}_PORT`]: port,
+      [`${prefix}_URL`]: `http://localhost:${port}`
+    })
+  },
+  storybook: {
+    examples: (port) => [
+      `npm run storybook -- --port ${port}`,
+      `npx storybook dev --port ${port}`,
+      `yarn storybook --port ${port}`
+    ],
+    env: (port, prefix) => ({
+      [`${prefix}_PORT`]: port
+    })
+  },
+  database: {
+    examples: (port) => [
+      `postgresql://localhost:${port}/dbname`,
+      `redis://localhost:${port}`,
+      `mongodb://localhost:${port}/database`
+    ],
+    env: (port, prefix) => ({
+      [`${prefix}_PORT`]: port,
+      [`${prefix}_URL`]: `postgresql://localhost:${port}/dbname`
+    })
+  },
+  cache: {
+    examples: (port) => [
+      `redis-server --port ${port}`,
+      `redis://localhost:${port}`
+    ],
+    env: (port, prefix) => ({
+      [`${prefix}_PORT`]: port,
+      REDIS_URL: `redis://localhost:${port}`
+    })
+  },
+  testing: {
+    examples: (port) => [
+      `npm test -- --port ${port}`,
+      `npx playwright test --port ${port}`,
+      `jest --port ${port}`
+    ],
+    env: (port, prefix) => ({
+      [`${prefix}_PORT`]: port,
+      BASE_URL: `http://localhost:${port}`
+    })
+  }
+};
+
+const DEFAULT_TEMPLATE = {
+  examples: (port) => [
+    `service --port ${port}`,
+    `PORT=${port} npm start`
+  ],
+  env: (port, prefix) => ({
+    [`${prefix}_PORT`]: port
+  })
+};
+
+// Templates built from `service_types` in the current config
+let configuredTemplates = {};
+
+/**
+ * Substitute {port} and {prefix} placeholders, leaving unknown ones as written
+ */
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+/**
+ * A template from one `service_types` entry; parts it doesn't declare come from `base`
+ * @param {object} settings - `description`, `examples` (strings) and `env` (name -> value template)
+ */
+function templateFromConfig(settings, base) {
+  const { description, examples, env } = settings || {};
+
+  return {
+    description: description ?? base.description ?? null,
+    examples: Array.isArray(examples)
+      ? (port) => examples.map(example => fill(example, { port }))
+      : base.examples,
+    env: env && typeof env === 'object'
+      ? (port, prefix) => Object.fromEntries(Object.entries(env).map(([name, value]) => [
+        fill(name, { port, prefix }),
+        // A bare port stays a number, like the built-in templates
+        value === '{port}' ? port : fill(value, { port, prefix })
+      ]))
+      : base.env
+  };
+}
+
+/**
+ * Templates for the service types declared under `service_types` in config.
+ * Declaring `description`, `examples` or `env` for a built-in type replaces
+ * that part of it; any other name becomes a new type
+ */
+export function buildServiceTemplates(serviceTypes = {}) {
+  return Object.fromEntries(Object.entries(serviceTypes || {}).map(([name, settings]) => [
+    name,
+    templateFromConfig(settings, {
+      ...(SERVICE_TEMPLATES[name] || DEFAULT_TEMPLATE),
+      description: BUILTIN_SERVICE_TYPES[name]
+    })
+  ]));
+}
+
+/**
+ * Install the configured service types as the default for the functions below
+ */
+export function configureServiceTypes(serviceTypes = {}) {
+  configuredTemplates = buildServiceTemplates(serviceTypes);
+}
+
+/**
+ * Every service type that can be chosen, built-ins first
+ * @param {object} templates - From buildServiceTemplates; defaults to the installed ones
+ * @returns {Array<{name: string, description: string|null, builtin: boolean}>}
+ */
+export function listServiceTypes(templates = configuredTemplates) {
+  const names = new Set([...Object.keys(BUILTIN_SERVICE_TYPES), ...Object.keys(templates)]);
+
+  return [...names].map(name => ({
+    name,
+    description: templates[name]?.description ?? BUILTIN_SERVICE_TYPES[name] ?? null,
+    builtin: name in BUILTIN_SERVICE_TYPES
+  }));
+}
+
+export function getServiceTemplate(serviceType, templates = configuredTemplates) {
+  return templates[serviceType] || SERVICE_TEMPLATES[serviceType] || DEFAULT_TEMPLATE;
+}
+
+/**
+ * Turn a service type or name into an env var prefix, e.g. "api-backend" -> "API_BACKEND"
+ */
+export function toEnvPrefix(name) {
+  return String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Build a combined env block for a set of allocations. The service type
+ * names the variables; a repeated type falls back to the service name.
+ */
+export function generateEnvBlock(allocations, templates = configuredTemplates) {
+  const env = {};
+  const usedPrefixes = new Set();
+
+  for (const allocation of allocations) {
+    const template = getServiceTemplate(allocation.service_type, templates);
+    let prefix = toEnvPrefix(allocation.service_type || 'service');
+
+    if (usedPrefixes.has(prefix) && allocation.service_name) {
+      prefix = toEnvPrefix(allocation.service_name);
+    }
+    usedPrefixes.add(prefix);
+
+    for (const [key, value] of Object.entries(template.env(allocation.port, prefix))) {
+      if (!(key in env)) {
+        env[key] = value;
+      }
+    }
+  }
+
+  return env;
+}
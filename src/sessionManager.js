@@ -0,0 +1,122 @@
+/**
+ * Session Manager for Styxy MCP Server
+ * Gives each MCP connection its own session ID, heartbeats it to the
+ * daemon and releases the session's ports when the connection ends
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+
+const HEARTBEAT_INTERVAL_MS = 30e3;
+
+export class SessionManager {
+  /**
+   * Sessions for instances forwarding through the broker pass their own
+   * id, pid and cwd; otherwise they describe this process
+   */
+  constructor({
+    styxyClient,
+    heartbeatIntervalMs = HEARTBEAT_INTERVAL_MS,
+    pid = process.pid,
+    id = `mcp-${os.hostname()}-${pid}-${randomUUID().slice(0, 8)}`,
+    cwd = process.cwd(),
+    clientSessionId = process.env.CLAUDE_SESSION_ID || null
+  }) {
+    this.styxyClient = styxyClient;
+    this.heartbeatIntervalMs = heartbeatIntervalMs;
+    this.id = id;
+    this.pid = pid;
+    this.cwd = cwd;
+    this.clientSessionId = clientSessionId;
+    this.ports = new Map();
+    this.timer = null;
+    this.heartbeatFailed = false;
+    this.ending = null;
+  }
+
+  /**
+   * Send the first heartbeat and keep sending them until the session ends
+   */
+  start() {
+    if (this.timer) return;
+
+    this.heartbeat();
+    this.timer = setInterval(() => this.heartbeat(), this.heartbeatIntervalMs);
+    this.timer.unref();
+  }
+
+  async heartbeat() {
+    try {
+      await this.styxyClient.heartbeat({
+        sessionId: this.id,
+        clientSessionId: this.clientSessionId,
+        pid: this.pid
+      });
+      this.heartbeatFailed = false;
+    } catch (error) {
+      // Warn once per outage rather than every interval
+      if (!this.heartbeatFailed) {
+        console.error(`[SessionManager] Heartbeat failed: ${error.message}`);
+        this.heartbeatFailed = true;
+      }
+    }
+  }
+
+  /**
+   * Stop heartbeats without releasing anything, e.g. when another
+   * coordinator is about to take the session over
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Remember a port allocated by this session, for daemons that can't end sessions
+   */
+  track(port, duration) {
+    this.ports.set(port, duration);
+  }
+
+  untrack(port) {
+    this.ports.delete(port);
+  }
+
+  /**
+   * Release this session's session-duration ports; safe to call more than once
+   * @returns {Promise<number[]>} Released ports
+   */
+  end() {
+    if (!this.ending) {
+      clearInterval(this.timer);
+      this.ending = this.releaseSessionPorts();
+    }
+    return this.ending;
+  }
+
+  async releaseSessionPorts() {
+    try {
+      const result = await this.styxyClient.endSession({ sessionId: this.id });
+      return (result.released || []).map(a => a.port);
+    } catch (error) {
+      console.error(`[SessionManager] Daemon could not end session (${error.message}), releasing tracked ports`);
+    }
+
+    const released = [];
+    for (const [port, duration] of this.ports) {
+      if (duration !== 'session') continue;
+
+      try {
+        const result = await this.styxyClient.releasePort({
+          port,
+          claudeSessionId: this.id,
+          clientSessionId: this.clientSessionId
+        });
+        released.push(...(result.released || []).map(a => a.port));
+      } catch (error) {
+        console.error(`[SessionManager] Failed to release port ${port}: ${error.message}`);
+      }
+    }
+    return released;
+  }
+}
@@ -1,24 +1,77 @@
 #!/usr/bin/env node
 /**
  * Singleton Lock Manager for Styxy MCP Server
- * Prevents multiple instances from running simultaneously
+ * Decides which instance coordinates; the lock file is created exclusively
+ * and its holder verified through /proc, so recycled PIDs and locks from
+ * other hosts sharing this home directory are not mistaken for a live holder
  */
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import os from 'os';
+import { randomUUID } from 'crypto';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const ACQUIRE_ATTEMPTS = 5;
+const ACQUIRE_RETRY_MS = 50;
+// A lock still empty after this long was left by a writer that crashed mid-create
+const PARTIAL_LOCK_GRACE_MS = 2000;
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function readProcFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start time of a process in clock ticks since boot, from /proc/<pid>/stat
+ * Returns null where /proc isn't available
+ */
+function processStartTime(pid) {
+  const stat = readProcFile(`/proc/${pid}/stat`);
+  if (!stat) return null;
+
+  // The command name may contain spaces and parentheses, so split after the last ")"
+  const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+  return fields[19] || null;
+}
+
+function processCommandLine(pid) {
+  const cmdline = readProcFile(`/proc/${pid}/cmdline`);
+  return cmdline === null ? null : cmdline.split('\0').filter(Boolean).join(' ');
+}
+
+function bootId() {
+  return readProcFile('/proc/sys/kernel/random/boot_id')?.trim() || null;
+}
 
 export class SingletonLock {
-  constructor(lockName = 'styxy-mcp-server') {
+  /**
+   * @param {string} lockName
+   * @param {object} options
+   * @param {number} options.ttlMs - Treat a lock not refreshed for this long as stale (0 disables)
+   */
+  constructor(lockName = 'styxy-mcp-server', options = {}) {
     this.lockName = lockName;
     this.lockDir = path.join(os.homedir(), '.styxy', 'locks');
     this.lockFile = path.join(this.lockDir, `${lockName}.lock`);
+    this.ttlMs = options.ttlMs || 0;
     this.acquired = false;
     this.pid = process.pid;
+    this.refreshTimer = null;
+    this.handlersInstalled = false;
+  }
+
+  /**
+   * Change the TTL; takes effect from the next acquire
+   */
+  setTtl(ttlMs) {
+    this.ttlMs = ttlMs || 0;
   }
 
   /**
@@ -26,104 +79,223 @@ export class SingletonLock {
    * @returns {boolean} True if lock acquired, false if another instance is running
    */
   acquire() {
+    if (this.acquired) return true;
+
     try {
-      // Ensure lock directory exists
       fs.mkdirSync(this.lockDir, { recursive: true });
+    } catch (error) {
+      console.error(`[Singleton] Failed to create lock directory: ${error.message}`);
+      return false;
+    }
+
+    const lockData = this.describeSelf();
+
+    for (let attempt = 1; attempt <= ACQUIRE_ATTEMPTS; attempt++) {
+      try {
+        fs.writeFileSync(this.lockFile, JSON.stringify(lockData, null, 2), { flag: 'wx' });
+        this.acquired = true;
+        this.lockData = lockData;
+        this.startRefresh();
+        this.setupCleanupHandlers();
 
-      // Check if lock file exists
-      if (fs.existsSync(this.lockFile)) {
-        const lockData = this.readLockFile();
-        
-        if (lockData && this.isProcessRunning(lockData.pid)) {
-          console.log(`[Singleton] Another styxy-mcp-server instance is running (PID: ${lockData.pid})`);
+        console.error(`[Singleton] Lock acquired successfully (PID: ${this.pid})`);
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          console.error(`[Singleton] Failed to acquire lock: ${error.message}`);
           return false;
-        } else {
-          console.log(`[Singleton] Stale lock file found, cleaning up...`);
-          this.cleanup();
         }
       }
 
-      // Create lock file
-      const lockData = {
-        pid: this.pid,
-        started: new Date().toISOString(),
-        hostname: os.hostname(),
-        command: process.argv.join(' ')
-      };
-
-      fs.writeFileSync(this.lockFile, JSON.stringify(lockData, null, 2));
-      this.acquired = true;
-      
-      // Setup cleanup on exit
-      this.setupCleanupHandlers();
-      
-      console.log(`[Singleton] Lock acquired successfully (PID: ${this.pid})`);
-      return true;
+      const content = readProcFile(this.lockFile);
+      if (content === null) {
+        // Removed between our create and read; try again
+        continue;
+      }
 
-    } catch (error) {
-      console.error(`[Singleton] Failed to acquire lock:`, error);
-      return false;
+      const holder = this.parseLock(content);
+      const verdict = holder ? this.checkHolder(holder) : this.checkPartialLock();
+
+      if (verdict.live) {
+        if (holder) {
+          console.error(`[Singleton] Another styxy-mcp-server instance is running (PID: ${holder.pid} on ${holder.hostname})`);
+          return false;
+        }
+
+        // Another instance is still writing its lock
+        sleepSync(ACQUIRE_RETRY_MS);
+        continue;
+      }
+
+      console.error(`[Singleton] Stale lock file found (${verdict.reason}), cleaning up...`);
+      this.removeStale(content);
     }
+
+    console.error('[Singleton] Gave up acquiring the lock after repeated contention');
+    return false;
   }
 
   /**
-   * Release the singleton lock
+   * What we record about ourselves so others can verify we're still alive
    */
-  release() {
-    if (!this.acquired) return;
+  describeSelf() {
+    return {
+      pid: this.pid,
+      started: new Date().toISOString(),
+      hostname: os.hostname(),
+      boot_id: bootId(),
+      process_start_time: processStartTime(this.pid),
+      command: processCommandLine(this.pid) ?? process.argv.join(' ')
+    };
+  }
 
+  parseLock(content) {
     try {
-      if (fs.existsSync(this.lockFile)) {
-        fs.unlinkSync(this.lockFile);
-        console.log(`[Singleton] Lock released (PID: ${this.pid})`);
-      }
-      this.acquired = false;
-    } catch (error) {
-      console.error(`[Singleton] Failed to release lock:`, error);
+      const data = JSON.parse(content);
+      return Number.isInteger(data?.pid) ? data : null;
+    } catch {
+      return null;
     }
   }
 
   /**
-   * Check if lock is currently held by this instance
+   * Decide whether the recorded holder is still running. Holders on this
+   * host are checked directly; the TTL only decides for those we can't see
+   * @returns {{live: boolean, reason?: string}}
    */
-  isAcquired() {
-    return this.acquired;
+  checkHolder(holder) {
+    // We can't see processes on another host sharing this home directory
+    if (holder.hostname && holder.hostname !== os.hostname()) {
+      return this.ttlMs && this.lockAge() > this.ttlMs
+        ? { live: false, reason: `not refreshed for over ${Math.round(this.ttlMs / 1000)}s` }
+        : { live: true };
+    }
+
+    if (holder.boot_id && bootId() && holder.boot_id !== bootId()) {
+      return { live: false, reason: 'written before the last reboot' };
+    }
+
+    if (!this.isProcessRunning(holder.pid)) {
+      return { live: false, reason: `PID ${holder.pid} is not running` };
+    }
+
+    const startTime = processStartTime(holder.pid);
+    if (holder.process_start_time && startTime && startTime !== holder.process_start_time) {
+      return { live: false, reason: `PID ${holder.pid} now belongs to a different process` };
+    }
+
+    const command = processCommandLine(holder.pid);
+    if (holder.command && command && command !== holder.command) {
+      return { live: false, reason: `PID ${holder.pid} is running a different command` };
+    }
+
+    return { live: true };
   }
 
   /**
-   * Read and parse lock file
+   * An empty or unparseable lock is being written right now, or was left
+   * half-written by a crash
    */
-  readLockFile() {
+  checkPartialLock() {
+    return this.lockAge() < PARTIAL_LOCK_GRACE_MS
+      ? { live: true }
+      : { live: false, reason: 'unreadable lock file' };
+  }
+
+  lockAge() {
     try {
-      const content = fs.readFileSync(this.lockFile, 'utf8');
-      return JSON.parse(content);
+      return Date.now() - fs.statSync(this.lockFile).mtimeMs;
     } catch {
-      return null;
+      return 0;
     }
   }
 
   /**
-   * Check if a process is still running
+   * Move a stale lock aside under a name only we use, then check it is the
+   * lock we judged stale. A rename is atomic, so when several instances take
+   * over at once only one moves it; a fresh lock moved by mistake is put back
    */
-  isProcessRunning(pid) {
+  removeStale(content) {
+    const claimed = `${this.lockFile}.${this.pid}-${randomUUID().slice(0, 8)}.stale`;
+
     try {
-      process.kill(pid, 0);
-      return true;
-    } catch {
-      return false;
+      fs.renameSync(this.lockFile, claimed);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[Singleton] Cleanup failed: ${error.message}`);
+      }
+      return;
+    }
+
+    try {
+      if (readProcFile(claimed) !== content) {
+        // Fails if yet another lock was created meanwhile, which then stands
+        fs.linkSync(claimed, this.lockFile);
+      }
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        console.error(`[Singleton] Failed to restore a lock moved during cleanup: ${error.message}`);
+      }
+    } finally {
+      fs.rmSync(claimed, { force: true });
     }
   }
 
   /**
-   * Cleanup stale lock files
+   * Keep the lock's mtime fresh so a TTL only expires locks whose holder stopped
    */
-  cleanup() {
+  startRefresh() {
+    if (!this.ttlMs) return;
+
+    this.refreshTimer = setInterval(() => {
+      const now = new Date();
+      try {
+        fs.utimesSync(this.lockFile, now, now);
+      } catch (error) {
+        console.error(`[Singleton] Failed to refresh lock: ${error.message}`);
+      }
+    }, Math.max(1000, Math.floor(this.ttlMs / 3)));
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * Release the singleton lock
+   */
+  release() {
+    if (!this.acquired) return;
+
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    this.acquired = false;
+
     try {
-      if (fs.existsSync(this.lockFile)) {
+      // Only remove the lock if it is still ours; it may have been taken over as stale
+      const holder = this.parseLock(readProcFile(this.lockFile) || '');
+      if (holder && holder.pid === this.pid && holder.started === this.lockData.started) {
         fs.unlinkSync(this.lockFile);
+        console.error(`[Singleton] Lock released (PID: ${this.pid})`);
       }
     } catch (error) {
-      console.error(`[Singleton] Cleanup failed:`, error);
+      console.error(`[Singleton] Failed to release lock: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if lock is currently held by this instance
+   */
+  isAcquired() {
+    return this.acquired;
+  }
+
+  /**
+   * Check if a process exists; EPERM means it does but belongs to another user
+   */
+  isProcessRunning(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
     }
   }
 
@@ -131,27 +303,17 @@ export class SingletonLock {
    * Setup process exit handlers to cleanup lock
    */
   setupCleanupHandlers() {
+    if (this.handlersInstalled) return;
+    this.handlersInstalled = true;
+
     const cleanup = () => {
       this.release();
     };
 
-    // Handle normal exit
+    // Handle normal exit. SIGINT/SIGTERM are handled by the server, which
+    // releases its session before exiting and so triggers this too
     process.on('exit', cleanup);
-    
-    // Handle Ctrl+C
-    process.on('SIGINT', () => {
-      console.log('\n[Singleton] Received SIGINT, cleaning up...');
-      cleanup();
-      process.exit(0);
-    });
-    
-    // Handle kill
-    process.on('SIGTERM', () => {
-      console.log('[Singleton] Received SIGTERM, cleaning up...');
-      cleanup();
-      process.exit(0);
-    });
-    
+
     // Handle uncaught exceptions
     process.on('uncaughtException', (error) => {
       console.error('[Singleton] Uncaught exception:', error);
@@ -164,10 +326,7 @@ export class SingletonLock {
    * Get information about current lock holder
    */
   getLockInfo() {
-    if (!fs.existsSync(this.lockFile)) {
-      return null;
-    }
-    
-    return this.readLockFile();
+    const content = readProcFile(this.lockFile);
+    return content === null ? null : this.parseLock(content);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,121 @@
+/**
+ * Styxy CLI Runner for Styxy MCP Server
+ * Runs the styxy binary with an argv array (never through a shell)
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { CliNotFoundError, CliCommandError, CliTimeoutError, CliOutputError } from './errors.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const KILL_GRACE_MS = 2000;
+
+export class StyxyCli {
+  constructor({ binary = 'styxy', timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    this.binary = binary;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Run `binary ...args` and resolve with { stdout, stderr, exitCode }
+   * @throws {CliNotFoundError} The binary is missing or not executable
+   * @throws {CliTimeoutError} The process outlived its timeout
+   * @throws {CliCommandError} The process exited non-zero
+   */
+  run(args, { timeout = this.timeout } = {}) {
+    const details = { binary: this.binary, args };
+
+    return new Promise((resolve, reject) => {
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      let killTimer = null;
+
+      const child = spawn(this.binary, args, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: process.env
+      });
+
+      child.stdout.setEncoding('utf8');
+      child.stderr.setEncoding('utf8');
+      child.stdout.on('data', (chunk) => { stdout += chunk; });
+      child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+        killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+      }, timeout);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+
+        if (error.code === 'ENOENT' || error.code === 'EACCES') {
+          reject(new CliNotFoundError(`styxy CLI not available at "${this.binary}": ${error.code}`, details));
+        } else {
+          reject(new CliCommandError(`Failed to run styxy CLI: ${error.message}`, details));
+        }
+      });
+
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+
+        if (timedOut) {
+          reject(new CliTimeoutError(`styxy ${args[0]} timed out after ${timeout}ms`, { ...details, stdout, stderr }));
+          return;
+        }
+
+        if (exitCode !== 0) {
+          const reason = stderr.trim() || stdout.trim() || (signal ? `killed by ${signal}` : `exit code ${exitCode}`);
+          reject(new CliCommandError(`styxy ${args[0]} failed: ${reason}`, {
+            ...details,
+            exit_code: exitCode,
+            signal,
+            stdout,
+            stderr
+          }));
+          return;
+        }
+
+        resolve({ stdout, stderr, exitCode });
+      });
+    });
+  }
+
+  /**
+   * Whether the binary exists and is executable, looking it up on PATH
+   * unless it is given as a path
+   */
+  async isAvailable() {
+    const candidates = this.binary.includes(path.sep)
+      ? [this.binary]
+      : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, this.binary));
+
+    for (const candidate of candidates) {
+      const executable = await fs.access(candidate, fs.constants.X_OK).then(() => true, () => false);
+      if (executable && (await fs.stat(candidate)).isFile()) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Run a command whose stdout is JSON
+   * @throws {CliOutputError} stdout is not valid JSON
+   */
+  async runJson(args, options) {
+    const { stdout } = await this.run(args, options);
+
+    try {
+      return JSON.parse(stdout);
+    } catch (error) {
+      throw new CliOutputError(`styxy ${args[0]} returned invalid JSON: ${error.message}`, {
+        binary: this.binary,
+        args,
+        stdout
+      });
+    }
+  }
+}
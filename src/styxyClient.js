@@ -1,116 +1,286 @@
-import { spawn, exec } from 'child_process';
-import { promisify } from 'util';
-import net from 'net';
-import fs from 'fs/promises';
+import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { DaemonConnection } from './daemonConnection.js';
+import { LocalDaemon, localDaemonSocketPath } from './localDaemon.js';
+import { StyxyCli } from './styxyCli.js';
+import { readLogs } from './logReader.js';
+import { checkPort, describeHolders } from './portProbe.js';
+import { AllocationLedger } from './ledger.js';
+import { ConfigLoader, configFiles, schemaForKey, getPath, trustedKeysIn } from './config.js';
+import { ConfigEditor, diffLines } from './configEditor.js';
+import { findProjectFile, PIN_FILE } from './portPins.js';
+import { Redactor } from './redaction.js';
+import { resolvePolicy, findPort, quotaError } from './servicePolicies.js';
+import { getServiceTemplate } from './serviceTemplates.js';
+import { StyxyError, CliNotFoundError, CliOutputError, ValidationError } from './errors.js';
 
-const execAsync = promisify(exec);
+const CONFIG_POLL_MS = 2000;
+
+/**
+ * Where a loaded config came from, for the `source` indicator
+ */
+function configSourceOf(layers) {
+  const isLoaded = (layer) => layer.status === 'loaded';
+  if (layers.some(layer => layer.name === 'cli' && isLoaded(layer))) return 'cli';
+  if (layers.some(layer => layer.path && layer.name !== 'cli' && isLoaded(layer))) return 'file';
+  return 'defaults';
+}
 
 export class StyxyClient {
   constructor() {
-    this.daemonSocket = null;
+    this.daemon = null;
+    this.localDaemon = null;
     this.config = null;
+    this.configLoading = null;
+    this.cli = null;
+    this.configSource = null;
+    this.configSources = {};
+    this.configLayers = [];
+    this.configPath = null;
+    this.configErrors = [];
+    this.configLoader = new ConfigLoader({
+      readCliConfig: (binary) => this.cliGetConfig(new StyxyCli({ binary }))
+    });
+    this.directoryConfigs = new Map();
+    this.configEditor = new ConfigEditor();
+    this.configListeners = [];
+    this.watchedFiles = [];
+    this.ledger = new AllocationLedger();
   }
 
-  async getConfig() {
-    if (!this.config) {
-      try {
-        // Try to get config from styxy command
-        const { stdout } = await execAsync('styxy config show --json');
-        this.config = JSON.parse(stdout);
-      } catch (error) {
-        // Fallback to default config locations
-        this.config = await this.loadDefaultConfig();
-      }
-    }
-    return this.config;
+  /**
+   * Call `listener(config)` each time the config is (re)loaded
+   */
+  onConfigChange(listener) {
+    this.configListeners.push(listener);
   }
 
-  async loadDefaultConfig() {
-    const possiblePaths = [
-      path.join(os.homedir(), '.styxy', 'config.json'),
-      path.join(os.homedir(), '.config', 'styxy', 'config.json'),
-      '/etc/styxy/config.json'
-    ];
+  /**
+   * Drop the loaded config and everything derived from it, then load it again
+   */
+  async reloadConfig() {
+    await this.configLoading?.catch(() => {});
+    this.config = null;
+    this.cli = null;
+    this.directoryConfigs.clear();
+    return this.loadConfig();
+  }
 
-    for (const configPath of possiblePaths) {
-      try {
-        const content = await fs.readFile(configPath, 'utf8');
-        return { ...JSON.parse(content), config_path: configPath };
-      } catch (error) {
-        // Continue to next path
-      }
+  /**
+   * Reload the config whenever one of its files changes on disk. Files are
+   * polled, so ones that don't exist yet are picked up once created
+   */
+  async watchConfig(workingDir = process.cwd()) {
+    const projectFile = await findProjectFile(workingDir) || path.join(path.resolve(workingDir), PIN_FILE);
+    this.watchedFiles = [...configFiles().map(file => file.path), projectFile];
+
+    for (const file of this.watchedFiles) {
+      fs.watchFile(file, { persistent: false, interval: CONFIG_POLL_MS }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        this.reloadConfig().catch(error => console.error(`[Config] Reload after ${file} changed failed: ${error.message}`));
+      });
     }
+  }
 
-    // Return minimal default config
-    return {
-      daemon: {
-        socket_path: path.join(os.homedir(), '.styxy', 'daemon.sock'),
-        port_range: { start: 3000, end: 9999 }
-      },
-      config_path: 'not found'
-    };
+  unwatchConfig() {
+    for (const file of this.watchedFiles) {
+      fs.unwatchFile(file);
+    }
+    this.watchedFiles = [];
   }
 
-  async connectToDaemon() {
-    if (this.daemonSocket?.readyState === 'open') {
-      return this.daemonSocket;
+  /**
+   * Merged configuration from every layer, loaded once and shared by concurrent callers
+   */
+  async loadConfig() {
+    if (this.config) {
+      return this.config;
     }
 
-    const config = await this.getConfig();
-    const socketPath = config.daemon?.socket_path || path.join(os.homedir(), '.styxy', 'daemon.sock');
+    if (!this.configLoading) {
+      this.configLoading = this.configLoader.load().then((loaded) => {
+        this.config = loaded.config;
+        this.configSources = loaded.sources;
+        this.configLayers = loaded.layers;
+        this.configPath = loaded.configPath;
+        this.configErrors = loaded.errors;
 
-    return new Promise((resolve, reject) => {
-      const socket = net.createConnection(socketPath);
+        this.configSource = configSourceOf(loaded.layers);
 
-      socket.on('connect', () => {
-        this.daemonSocket = socket;
-        resolve(socket);
-      });
+        if (loaded.errors.length) {
+          console.error(`[Config] ${loaded.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+        }
 
-      socket.on('error', (error) => {
-        // If socket connection fails, try CLI fallback
-        reject(new Error(`Daemon not reachable: ${error.message}. Try 'styxy daemon start'`));
+        for (const listener of this.configListeners) {
+          try {
+            listener(this.config);
+          } catch (error) {
+            console.error(`[Config] Change listener failed: ${error.message}`);
+          }
+        }
+        return this.config;
+      }).finally(() => {
+        this.configLoading = null;
       });
+    }
+
+    return this.configLoading;
+  }
+
+  /**
+   * Config as seen from `dir`: like loadConfig, but with the project layer
+   * from the .styxy.json found from there, for sessions of other projects.
+   * Loaded again when that file changes or the config is reloaded
+   * @returns {Promise<object>} { config, sources, layers, configPath, errors, source }
+   */
+  async loadConfigFor(dir) {
+    const config = await this.loadConfig();
+    if (!dir || path.resolve(dir) === process.cwd()) {
+      return {
+        config,
+        sources: this.configSources,
+        layers: this.configLayers,
+        configPath: this.configPath,
+        errors: this.configErrors,
+        source: this.configSource
+      };
+    }
+
+    const key = path.resolve(dir);
+    const projectFile = await findProjectFile(key);
+    const mtimeMs = projectFile ? (await fs.promises.stat(projectFile).catch(() => null))?.mtimeMs : null;
+
+    const cached = this.directoryConfigs.get(key);
+    if (cached?.projectFile === projectFile && cached.mtimeMs === mtimeMs) {
+      return cached.loaded;
+    }
+
+    const loaded = new ConfigLoader({ cwd: key, readCliConfig: this.configLoader.readCliConfig }).load()
+      .then(result => ({ ...result, source: configSourceOf(result.layers) }));
+    this.directoryConfigs.set(key, { projectFile, mtimeMs, loaded });
+    loaded.catch(() => this.directoryConfigs.delete(key));
+    return loaded;
+  }
+
+  async configFor(dir) {
+    return (await this.loadConfigFor(dir)).config;
+  }
 
-      socket.setTimeout(5000);
-      socket.on('timeout', () => {
-        socket.destroy();
-        reject(new Error('Daemon connection timeout. Check if styxy daemon is running.'));
+  /**
+   * CLI runner using the configured binary and timeout (`cli.binary`, `cli.timeout_ms`)
+   */
+  async getCli() {
+    if (!this.cli) {
+      const config = await this.loadConfig();
+      this.cli = new StyxyCli({
+        binary: config.cli?.binary || 'styxy',
+        timeout: config.cli?.timeout_ms
       });
-    });
+    }
+    return this.cli;
   }
 
-  async sendDaemonCommand(command) {
+  async connectToDaemon() {
+    if (this.daemon?.isConnected()) {
+      return this.daemon;
+    }
+
+    const config = await this.loadConfig();
+    const socketPath = config.daemon?.socket_path || path.join(os.homedir(), '.styxy', 'daemon.sock');
+
+    if (!this.daemon || this.daemon.socketPath !== socketPath) {
+      this.daemon?.close();
+      this.daemon = new DaemonConnection(socketPath);
+    }
+
     try {
-      const socket = await this.connectToDaemon();
+      return await this.daemon.connect();
+    } catch (error) {
+      // With a styxy CLI installed, commands fall back to it instead
+      if (!this.isLocalDaemonEnabled(config) || await (await this.getCli()).isAvailable()) {
+        throw error;
+      }
+      return this.connectLocalDaemon(config);
+    }
+  }
 
-      return new Promise((resolve, reject) => {
-        let response = '';
+  isLocalDaemonEnabled(config) {
+    return config.daemon?.local_fallback !== false;
+  }
 
-        socket.write(JSON.stringify(command) + '\n');
+  /**
+   * Connect to the local daemon on its own socket, starting it if needed
+   */
+  async connectLocalDaemon(config) {
+    const socketPath = localDaemonSocketPath();
+    this.daemon.close();
+    this.daemon = new DaemonConnection(socketPath);
 
-        socket.on('data', (data) => {
-          response += data.toString();
-          try {
-            const result = JSON.parse(response);
-            resolve(result);
-          } catch (e) {
-            // Response not complete yet, continue
-          }
-        });
+    try {
+      return await this.daemon.connect();
+    } catch {
+      await this.startLocalDaemon(config, socketPath);
+      return this.daemon.connect();
+    }
+  }
 
-        socket.on('error', reject);
+  /**
+   * Start the bundled local daemon when neither a styxy daemon nor CLI is available
+   */
+  async startLocalDaemon(config, socketPath) {
+    if (!this.localDaemon) {
+      const daemon = new LocalDaemon({
+        socketPath,
+        logPath: config.daemon?.log_path,
+        portRange: config.daemon?.port_range,
+        temporaryTtlMs: config.daemon?.temporary_ttl_minutes && config.daemon.temporary_ttl_minutes * 60e3,
+        configPath: this.configPath
+      });
 
-        setTimeout(() => {
-          reject(new Error('Command timeout'));
-        }, 10000);
+      // Concurrent callers share one start attempt
+      this.localDaemon = daemon.start().then(() => {
+        console.error(`[StyxyClient] No styxy daemon or CLI found, started local daemon on ${socketPath}`);
+        return daemon;
+      }).catch((error) => {
+        this.localDaemon = null;
+        throw error;
       });
+    }
+
+    return this.localDaemon;
+  }
+
+  /**
+   * Close the daemon connection and stop the local daemon if we started one
+   */
+  async shutdown() {
+    this.unwatchConfig();
+    this.daemon?.close();
+    this.daemon = null;
+
+    if (this.localDaemon) {
+      const daemon = await this.localDaemon.catch(() => null);
+      this.localDaemon = null;
+      await daemon?.stop();
+    }
+  }
+
+  async sendDaemonCommand(command) {
+    let daemon;
+    try {
+      daemon = await this.connectToDaemon();
     } catch (error) {
       // Fallback to CLI commands
-      return this.fallbackToCliCommand(command);
+      const result = await this.fallbackToCliCommand(command);
+      return { ...result, source: result.source || 'cli' };
+    }
+
+    const result = await daemon.request(command);
+    if (result?.success === false) {
+      throw new StyxyError(result.error || `Daemon refused ${command.type} command`, result.code || 'DAEMON_REFUSED', { type: command.type });
     }
+    return { ...result, source: daemon.socketPath === localDaemonSocketPath() ? 'local_daemon' : 'daemon' };
   }
 
   async fallbackToCliCommand(command) {
@@ -123,68 +293,100 @@ export class StyxyClient {
         return this.cliGetStatus();
       case 'cleanup':
         return this.cliCleanup(command);
+      case 'release':
+        return this.cliReleasePort(command);
+      case 'allocate_stack':
+        return this.allocateStackSequentially(command);
+      case 'logs':
+        return this.cliGetLogs(command);
+      case 'metrics':
+        return this.cliGetMetrics(command);
       default:
         throw new Error(`CLI fallback not implemented for command type: ${type}`);
     }
   }
 
   async cliAllocatePort(command) {
-    try {
-      const { context, preferences } = command;
-      const args = [
-        'allocate',
-        '--service-type', context.serviceType,
-        '--project', context.projectName
-      ];
-
-      if (preferences.port) {
-        args.push('--preferred-port', preferences.port.toString());
+    const { context, preferences, policy } = command;
+    const args = [
+      'allocate',
+      '--service-type', context.serviceType,
+      '--project', context.projectName
+    ];
+
+    // The CLI knows nothing of service policies and only takes a preferred
+    // port, so enforce the quota here and prefer a port the policy allows
+    let preferredPort = preferences.port;
+    if (policy) {
+      const active = (await this.cliGetStatus()).active_ports || [];
+      const overQuota = quotaError(policy, active, context.projectName);
+      if (overQuota) {
+        throw new StyxyError(overQuota, 'QUOTA_EXCEEDED', { type: 'allocate' });
       }
 
-      if (preferences.duration) {
-        args.push('--duration', preferences.duration);
+      // Only a port the caller asked for or pinned may be one the policy avoids
+      if (preferences.derivedPort && policy.avoid_ports.includes(preferredPort)) {
+        preferredPort = undefined;
       }
+      preferredPort ??= await findPort(policy, { taken: new Set(active.map(a => a.port)) });
+    }
 
-      const { stdout } = await execAsync(`styxy ${args.join(' ')}`);
+    if (preferredPort) {
+      args.push('--preferred-port', preferredPort.toString());
+    }
 
-      // Parse styxy CLI output
-      const lines = stdout.trim().split('\n');
-      const portLine = lines.find(line => line.includes('Port:'));
-      const port = portLine ? parseInt(portLine.match(/\d+/)[0]) : null;
+    if (preferences.duration) {
+      args.push('--duration', preferences.duration);
+    }
 
-      if (!port) {
-        throw new Error('Failed to parse allocated port from styxy output');
-      }
+    const cli = await this.getCli();
+    const { stdout } = await cli.run(args);
 
-      return {
-        allocated_port: port,
-        service_url: `http://localhost:${port}`,
-        cleanup_command: `styxy release ${port}`,
-        duration: preferences.duration || 'session',
-        expires_with_session: preferences.duration === 'session',
-        usage_example: this.generateUsageExamplesCli(context.serviceType, port),
-        raw_output: stdout
-      };
-    } catch (error) {
-      throw new Error(`CLI allocation failed: ${error.message}`);
+    // Parse styxy CLI output
+    const portLine = stdout.trim().split('\n').find(line => line.includes('Port:'));
+    const port = portLine ? parseInt(portLine.match(/\d+/)?.[0], 10) : NaN;
+
+    if (!port) {
+      throw new CliOutputError('Failed to parse allocated port from styxy output', { args, stdout });
     }
+
+    const { start, end } = policy?.range || {};
+    const outsideRange = policy && port !== preferences.port && (port < start || port > end);
+
+    return {
+      allocated_port: port,
+      conflict_info: outsideRange
+        ? `styxy CLI allocated ${port}, outside the ${context.serviceType} range ${start}-${end}`
+        : null,
+      service_url: `http://localhost:${port}`,
+      cleanup_command: `styxy release ${port}`,
+      duration: preferences.duration || 'session',
+      expires_with_session: preferences.duration === 'session',
+      usage_example: getServiceTemplate(context.serviceType).examples(port)[0],
+      raw_output: stdout
+    };
   }
 
   async cliGetStatus() {
+    const cli = await this.getCli();
+
     try {
-      const { stdout } = await execAsync('styxy status --json');
-      return JSON.parse(stdout);
+      return await cli.runJson(['status', '--json']);
     } catch (error) {
       // If JSON flag not supported, parse text output
       try {
-        const { stdout } = await execAsync('styxy status');
+        if (error instanceof CliNotFoundError) throw error;
+
+        const { stdout } = await cli.run(['status']);
         return this.parseStatusOutput(stdout);
       } catch (fallbackError) {
+        // Placeholder values: nothing actually answered
         return {
           daemon_running: false,
           error: `Status check failed: ${fallbackError.message}`,
           active_ports: [],
-          recent_errors: [`CLI error: ${fallbackError.message}`]
+          recent_errors: [`CLI error (${fallbackError.code}): ${fallbackError.message}`],
+          source: 'unavailable'
         };
       }
     }
@@ -223,6 +425,117 @@ export class StyxyClient {
     return ports;
   }
 
+  /**
+   * Run a JSON-emitting CLI command, falling back to the text form for
+   * older CLI versions that reject --json or print something else
+   */
+  async cliJsonOrText(cli, args, parseText) {
+    try {
+      return await cli.runJson([...args, '--json']);
+    } catch (error) {
+      if (error instanceof CliNotFoundError) throw error;
+
+      const { stdout } = await cli.run(args);
+      return parseText(stdout);
+    }
+  }
+
+  async cliGetConfig(cli) {
+    return this.cliJsonOrText(cli, ['config', 'show'], (output) => this.parseConfigOutput(output));
+  }
+
+  /**
+   * Parse indented `key: value` config output into a nested object
+   */
+  parseConfigOutput(output) {
+    const root = {};
+    const stack = [{ indent: -1, node: root }];
+
+    for (const line of output.split('\n')) {
+      const match = line.match(/^(\s*)([A-Za-z0-9_.-]+):\s*(.*)$/);
+      if (!match) continue;
+
+      const [, space, key, raw] = match;
+      while (stack.length > 1 && stack[stack.length - 1].indent >= space.length) {
+        stack.pop();
+      }
+
+      const parent = stack[stack.length - 1].node;
+      if (raw === '') {
+        parent[key] = {};
+        stack.push({ indent: space.length, node: parent[key] });
+      } else {
+        parent[key] = this.parseScalar(raw.trim());
+      }
+    }
+
+    if (!Object.keys(root).length) {
+      throw new CliOutputError('Could not parse styxy config output', { stdout: output });
+    }
+
+    return root;
+  }
+
+  parseScalar(value) {
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (value === 'null') return null;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value.replace(/^(['"])(.*)\1$/, '$2');
+  }
+
+  async cliGetLogs(command) {
+    const { options } = command;
+    const args = [
+      'logs',
+      '--level', options.level,
+      '--since', options.time_range,
+      '--limit', String(options.limit)
+    ];
+
+    if (options.filter) {
+      args.push('--filter', options.filter);
+    }
+
+    const cli = await this.getCli();
+    const result = await this.cliJsonOrText(cli, args, (output) => {
+      const entries = output.split('\n').filter(line => line.trim());
+      return { entries, summary: `Read ${entries.length} log entries from styxy CLI` };
+    });
+
+    // Newer CLIs may print a bare array of entries
+    return Array.isArray(result)
+      ? { entries: result.map(e => (typeof e === 'string' ? e : JSON.stringify(e))), summary: `Read ${result.length} log entries from styxy CLI` }
+      : result;
+  }
+
+  async cliGetMetrics(command) {
+    const args = ['metrics', '--range', command.options.time_range];
+    const cli = await this.getCli();
+
+    return this.cliJsonOrText(cli, args, (output) => this.parseMetricsOutput(output));
+  }
+
+  parseMetricsOutput(output) {
+    const lines = output.split('\n');
+    const count = (prefix) => {
+      const value = this.extractValue(lines, prefix);
+      return value ? parseInt(value, 10) : NaN;
+    };
+
+    const metrics = {
+      total_allocations: count('Total Allocations:'),
+      active_allocations: count('Active Allocations:'),
+      top_service_type: this.extractValue(lines, 'Most Used Service:'),
+      top_project: this.extractValue(lines, 'Most Active Project:')
+    };
+
+    if (Number.isNaN(metrics.total_allocations) || Number.isNaN(metrics.active_allocations)) {
+      throw new CliOutputError('Could not parse styxy metrics output', { stdout: output });
+    }
+
+    return metrics;
+  }
+
   async cliCleanup(command) {
     try {
       const args = ['cleanup'];
@@ -235,7 +548,8 @@ export class StyxyClient {
         args.push('--port', command.port.toString());
       }
 
-      const { stdout } = await execAsync(`styxy ${args.join(' ')}`);
+      const cli = await this.getCli();
+      const { stdout } = await cli.run(args);
 
       return {
         released_ports: this.extractReleasedPorts(stdout),
@@ -244,8 +558,53 @@ export class StyxyClient {
     } catch (error) {
       return {
         released_ports: [],
-        errors: [error.message],
-        raw_output: error.stdout || ''
+        errors: [`${error.code || 'CLI_ERROR'}: ${error.message}`],
+        raw_output: error.details?.stdout || '',
+        source: 'unavailable'
+      };
+    }
+  }
+
+  async cliReleasePort(command) {
+    const { selector } = command;
+    const args = ['release'];
+
+    if (selector.port) {
+      args.push(selector.port.toString());
+    }
+
+    if (selector.service_name) {
+      args.push('--service', selector.service_name);
+    }
+
+    if (selector.project_name) {
+      args.push('--project', selector.project_name);
+    }
+
+    if (command.session_id) {
+      args.push('--session', command.session_id);
+    }
+
+    if (command.override) {
+      args.push('--force');
+    }
+
+    try {
+      const cli = await this.getCli();
+      const { stdout } = await cli.run(args);
+
+      return {
+        released: this.extractReleasedPorts(stdout).map(port => ({ port })),
+        refused: [],
+        raw_output: stdout
+      };
+    } catch (error) {
+      return {
+        released: [],
+        refused: [],
+        errors: [`${error.code || 'CLI_ERROR'}: ${error.message}`],
+        raw_output: error.details?.stdout || '',
+        source: 'unavailable'
       };
     }
   }
@@ -255,39 +614,182 @@ export class StyxyClient {
     return matches.map(match => parseInt(match.match(/\d+/)[0]));
   }
 
-  generateUsageExamplesCli(serviceType, port) {
-    const examples = {
-      web: `npm run dev -- --port ${port}`,
-      api: `PORT=${port} npm start`,
-      storybook: `npm run storybook -- --port ${port}`,
-      database: `# Configure your database to use port ${port}`,
-      testing: `npm test -- --port ${port}`
-    };
+  // Main API methods
+  async allocatePort(options) {
+    const { command, allocation } = await this.requestPort(options);
+    await this.ledger.record('allocate', {
+      port: allocation.port || allocation.allocated_port,
+      service_type: options.serviceType,
+      service_name: options.serviceName,
+      project_name: options.projectName,
+      working_dir: command.context.workingDir,
+      duration: command.preferences.duration,
+      session_id: options.claudeSessionId
+    });
 
-    return examples[serviceType] || `# Use port ${port} for your ${serviceType} service`;
+    return allocation;
   }
 
-  // Main API methods
-  async allocatePort(options) {
+  /**
+   * Allocate and verify a port without recording it in the ledger
+   * `derivedPort` marks a preferredPort styxy chose itself, such as the one
+   * the service had last time, so the policy's avoided ports still apply.
+   * Policies come from the config as seen from `configDir`
+   */
+  async requestPort(options) {
+    const config = await this.configFor(options.configDir);
     const command = {
       type: 'allocate',
       context: {
         serviceType: options.serviceType,
         projectName: options.projectName,
-        workingDir: process.cwd(),
-        claudeSessionId: options.claudeSessionId
+        workingDir: options.workingDir || process.cwd(),
+        claudeSessionId: options.claudeSessionId,
+        clientSessionId: options.clientSessionId
       },
       preferences: {
         port: options.preferredPort,
+        derivedPort: Boolean(options.derivedPort),
         duration: options.duration || 'session'
       },
+      policy: resolvePolicy(config, options.serviceType),
       metadata: {
         serviceName: options.serviceName,
         timestamp: new Date().toISOString()
       }
     };
 
-    return await this.sendDaemonCommand(command);
+    const allocation = await this.sendDaemonCommand(command);
+    return {
+      command,
+      allocation: await this.verifyAllocation(allocation)
+    };
+  }
+
+  /**
+   * Test-bind the allocated port ourselves and report a real conflict
+   * if something on this machine already holds it
+   */
+  async verifyAllocation(allocation) {
+    const port = allocation.port || allocation.allocated_port;
+    if (!port) return allocation;
+
+    const verification = await checkPort(port);
+    const conflicts = [allocation.conflict_info];
+
+    if (!verification.available) {
+      conflicts.push(`${describeHolders(verification)} even though styxy allocated it`);
+    }
+
+    return {
+      ...allocation,
+      conflict_info: conflicts.filter(Boolean).join('; ') || null,
+      verification
+    };
+  }
+
+  async allocateStack(options) {
+    const config = await this.configFor(options.configDir);
+    const command = {
+      type: 'allocate_stack',
+      context: {
+        projectName: options.projectName,
+        workingDir: options.workingDir || process.cwd(),
+        claudeSessionId: options.claudeSessionId,
+        clientSessionId: options.clientSessionId
+      },
+      services: options.services.map(service => ({
+        serviceType: service.serviceType,
+        serviceName: service.serviceName,
+        port: service.preferredPort,
+        derivedPort: Boolean(service.derivedPort),
+        policy: resolvePolicy(config, service.serviceType)
+      })),
+      preferences: {
+        duration: options.duration || 'session'
+      },
+      metadata: {
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    let result;
+    try {
+      result = await this.sendDaemonCommand(command);
+    } catch (error) {
+      // Daemons without stack support get one allocation per service
+      if (error.code !== 'DAEMON_REFUSED' || !/unknown command/i.test(error.message)) {
+        throw error;
+      }
+      result = await this.allocateStackSequentially(command, options.configDir);
+    }
+
+    for (const allocation of result.allocations || []) {
+      await this.ledger.record('allocate', {
+        port: allocation.port,
+        service_type: allocation.service_type,
+        service_name: allocation.service_name,
+        project_name: options.projectName,
+        working_dir: command.context.workingDir,
+        duration: command.preferences.duration,
+        session_id: options.claudeSessionId
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Allocate services one by one, releasing everything already
+   * allocated if any of them fails. The caller records the result
+   */
+  async allocateStackSequentially(command, configDir) {
+    const { context, services, preferences } = command;
+    const allocations = [];
+
+    try {
+      for (const service of services) {
+        const { allocation } = await this.requestPort({
+          serviceType: service.serviceType,
+          projectName: context.projectName,
+          preferredPort: service.port,
+          derivedPort: service.derivedPort,
+          duration: preferences.duration,
+          serviceName: service.serviceName,
+          workingDir: context.workingDir,
+          claudeSessionId: context.claudeSessionId,
+          clientSessionId: context.clientSessionId,
+          configDir
+        });
+
+        allocations.push({
+          ...allocation,
+          port: allocation.port || allocation.allocated_port,
+          service_type: service.serviceType,
+          service_name: service.serviceName
+        });
+      }
+    } catch (error) {
+      // Released directly: these allocations never reached the ledger
+      for (const allocation of allocations) {
+        await this.sendDaemonCommand({
+          type: 'release',
+          selector: { port: allocation.port },
+          session_id: context.claudeSessionId,
+          client_session_id: context.clientSessionId,
+          override: false
+        }).catch(() => {});
+      }
+
+      throw new StyxyError(
+        `Stack allocation failed after ${allocations.length} of ${services.length} services, rolled back: ${error.message}`,
+        'STACK_ALLOCATION_FAILED'
+      );
+    }
+
+    return {
+      allocations,
+      conflict_info: allocations.map(a => a.conflict_info).filter(Boolean).join('; ') || null
+    };
   }
 
   async getStatus(options = {}) {
@@ -313,75 +815,201 @@ export class StyxyClient {
       }
     };
 
+    let logs;
     try {
-      return await this.sendDaemonCommand(command);
+      logs = await this.sendDaemonCommand(command);
     } catch (error) {
       // Fallback to reading log files directly
-      return this.readLogFiles(options);
+      logs = { source: 'file', ...(await this.readLogFiles(command.options)) };
+    }
+
+    if (options.redact === false) {
+      return { ...logs, redacted_count: 0 };
     }
+
+    const config = await this.configFor(options.configDir);
+    const { lines, count } = new Redactor(config.redaction).redactLines(logs.entries || []);
+    return { ...logs, entries: lines, redacted_count: count };
   }
 
   async readLogFiles(options) {
-    try {
-      const config = await this.getConfig();
-      const logPath = config.daemon?.log_path || path.join(os.homedir(), '.styxy', 'daemon.log');
+    const config = await this.loadConfig();
+    const logPath = config.daemon?.log_path || path.join(os.homedir(), '.styxy', 'daemon.log');
 
-      const content = await fs.readFile(logPath, 'utf8');
-      const lines = content.split('\n').filter(Boolean);
-
-      return {
-        entries: lines.slice(-options.limit || -50),
-        summary: `Read ${lines.length} log entries from ${logPath}`
-      };
+    try {
+      const { entries, summary } = await readLogs(logPath, options);
+      return { entries, summary };
     } catch (error) {
+      if (error instanceof ValidationError) throw error;
+
       return {
         entries: [],
-        summary: `Could not read log files: ${error.message}`
+        summary: `Could not read log files: ${error.message}`,
+        source: 'unavailable'
       };
     }
   }
 
+  /**
+   * The merged config, as seen from `configDir`, with the layer each value
+   * came from; credentials are masked unless show_sensitive is set
+   */
   async getConfig(options = {}) {
-    const config = await this.getConfig();
-
-    if (options.validate) {
-      const validation = await this.validateConfig(config);
-      return {
-        ...config,
-        validation_errors: validation.errors,
-        is_valid: validation.isValid
-      };
-    }
+    const { config, sources, layers: loadedLayers, configPath, errors, source } = await this.loadConfigFor(options.configDir);
+    let redacted = { value: config, count: 0, fields: [] };
+    let layers = loadedLayers;
 
     if (!options.show_sensitive) {
-      // Remove sensitive data
-      const sanitized = { ...config };
-      delete sanitized.secrets;
-      delete sanitized.tokens;
-      return sanitized;
+      const redactor = new Redactor(config.redaction);
+      redacted = redactor.redactValue(config);
+
+      // JSON parse errors quote the file they failed on
+      layers = layers.map((layer) => {
+        if (!layer.error) return layer;
+        const { text, count } = redactor.redactString(layer.error);
+        redacted.count += count;
+        return { ...layer, error: text };
+      });
     }
 
-    return config;
+    return {
+      config: redacted.value,
+      redacted_count: redacted.count,
+      redacted_fields: redacted.fields,
+      config_path: configPath,
+      sources,
+      layers,
+      is_valid: options.validate === false ? null : errors.length === 0,
+      validation_errors: options.validate === false ? [] : errors,
+      source
+    };
   }
 
-  async validateConfig(config) {
-    const errors = [];
+  /**
+   * Set or remove one dotted key in the user or project config file
+   * The edit is validated against the whole layered config first; a change
+   * that adds validation errors is refused and nothing is written
+   * @param {object} options - key, value, unset, scope ('user'|'project'), workingDir, dryRun
+   */
+  async updateConfig(options) {
+    const { key, unset = false, scope = 'user', workingDir = process.cwd(), dryRun = false } = options;
 
-    if (!config.daemon) {
-      errors.push('Missing daemon configuration');
-    } else {
-      if (!config.daemon.socket_path) {
-        errors.push('Missing daemon socket_path');
-      }
-      if (!config.daemon.port_range) {
-        errors.push('Missing port_range configuration');
-      }
+    const schema = schemaForKey(key);
+    if (!schema) {
+      const hint = key === 'ports' || key.startsWith('ports.') ? '; use styxy_pin_port for port pins' : '';
+      throw new ValidationError(`${key} is not a known configuration key${hint}`, [
+        { field: 'key', message: `${key} is not a known configuration key${hint}` }
+      ]);
     }
 
-    return {
-      isValid: errors.length === 0,
-      errors
+    const value = unset ? undefined : this.coerceConfigValue(options.value, schema);
+
+    const trusted = scope === 'project' ? trustedKeysIn(key, value) : [];
+    if (trusted.length) {
+      throw new ValidationError(
+        `Refusing to ${unset ? 'unset' : 'set'} ${key} in the project .styxy.json: ${trusted.join(', ')} can only be set in ~/.styxy/config.json`,
+        trusted.map(field => ({ field, message: 'can only be set in a system or user config file or a STYXY_* variable' })),
+        'INVALID_CONFIG'
+      );
+    }
+
+    const file = scope === 'project'
+      ? await findProjectFile(workingDir) || path.join(path.resolve(workingDir), PIN_FILE)
+      : configFiles().find(f => f.name === 'user').path;
+    const loader = scope === 'project'
+      ? new ConfigLoader({ projectFile: file, readCliConfig: this.configLoader.readCliConfig })
+      : this.configLoader;
+
+    const original = await this.configEditor.read(file);
+    const content = unset
+      ? this.configEditor.unset(original, key, file)
+      : this.configEditor.set(original, key, value, file);
+    const changed = content !== original;
+
+    const current = await loader.load();
+    const updated = changed ? await loader.load({ overrides: new Map([[file, JSON.parse(content)]]) }) : current;
+
+    const known = new Set(current.errors.map(e => `${e.field}: ${e.message}`));
+    const introduced = updated.errors.filter(e => !known.has(`${e.field}: ${e.message}`));
+    if (introduced.length) {
+      throw new ValidationError(
+        `Refusing to ${unset ? 'unset' : 'set'} ${key}: ${introduced.map(e => `${e.field} ${e.message}`).join('; ')}`,
+        introduced,
+        'INVALID_CONFIG'
+      );
+    }
+
+    const layerSource = `${scope}:${file}`;
+    const effectiveSource = updated.sources[key] ??
+      Object.entries(updated.sources).find(([field]) => field.startsWith(`${key}.`))?.[1] ?? null;
+
+    const warnings = [];
+    if (!unset && effectiveSource && effectiveSource !== layerSource) {
+      warnings.push(`${key} is still overridden by ${effectiveSource}`);
+    }
+    if (changed && key.startsWith('daemon.socket_path')) {
+      warnings.push('daemon.socket_path takes effect when the daemon restarts');
+    }
+
+    const result = {
+      key,
+      action: unset ? 'unset' : 'set',
+      scope,
+      file,
+      previous_value: original === null ? null : getPath(JSON.parse(original), key) ?? null,
+      value: value ?? null,
+      effective_value: getPath(updated.config, key) ?? null,
+      effective_source: effectiveSource,
+      changed,
+      dry_run: dryRun,
+      diff: changed ? this.redactDiff(diffLines(original, content, { label: file }), updated.config) : '',
+      backup_path: null,
+      daemon_reloaded: null,
+      reload_error: null,
+      warnings
     };
+
+    if (dryRun || !changed) {
+      return result;
+    }
+
+    result.backup_path = await this.configEditor.write(file, original, content);
+
+    const config = await this.reloadConfig();
+
+    try {
+      await this.sendDaemonCommand({ type: 'reload', config });
+      result.daemon_reloaded = true;
+    } catch (error) {
+      result.daemon_reloaded = false;
+      result.reload_error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Context lines around an edit can hold credentials stored next to it
+   */
+  redactDiff(diff, config) {
+    return new Redactor(config.redaction).redactLines(diff.split('\n')).lines.join('\n');
+  }
+
+  /**
+   * Tool arguments often arrive as strings; parse them as JSON when the key
+   * expects something else
+   */
+  coerceConfigValue(value, schema) {
+    const types = [].concat(schema.type || []);
+    if (typeof value !== 'string' || !types.length || types.includes('string')) {
+      return value;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
   }
 
   async cleanup(options = {}) {
@@ -389,7 +1017,79 @@ export class StyxyClient {
       type: 'cleanup',
       force: options.force || false,
       port: options.port,
-      session_id: process.env.CLAUDE_SESSION_ID
+      session_id: options.claudeSessionId,
+      client_session_id: options.clientSessionId
+    };
+
+    const result = await this.sendDaemonCommand(command);
+    for (const port of result.released_ports || []) {
+      await this.ledger.record('release', { port, session_id: options.claudeSessionId, reason: 'cleanup' });
+    }
+    return result;
+  }
+
+  async releasePort(options = {}) {
+    const command = {
+      type: 'release',
+      selector: {
+        port: options.port,
+        service_name: options.serviceName,
+        project_name: options.projectName
+      },
+      session_id: options.claudeSessionId,
+      client_session_id: options.clientSessionId,
+      override: options.overrideOwnership || false
+    };
+
+    const result = await this.sendDaemonCommand(command);
+    await this.recordReleases(result.released, options.claudeSessionId, 'release');
+    return result;
+  }
+
+  async recordReleases(released = [], sessionId, reason) {
+    for (const allocation of released) {
+      await this.ledger.record('release', { ...allocation, session_id: sessionId, reason });
+    }
+  }
+
+  /**
+   * Tell the daemon this session is still alive
+   */
+  async heartbeat(options) {
+    const command = {
+      type: 'heartbeat',
+      session_id: options.sessionId,
+      client_session_id: options.clientSessionId,
+      pid: options.pid
+    };
+
+    return await this.sendDaemonCommand(command);
+  }
+
+  /**
+   * Release every session-duration allocation owned by a session
+   */
+  async endSession(options) {
+    const command = {
+      type: 'session_end',
+      session_id: options.sessionId
+    };
+
+    const result = await this.sendDaemonCommand(command);
+    await this.recordReleases(result.released, options.sessionId, 'session_end');
+    return result;
+  }
+
+  /**
+   * Record the process that serves an allocated port
+   */
+  async attachProcess(options) {
+    const command = {
+      type: 'attach_process',
+      port: options.port,
+      pid: options.pid,
+      command: options.command,
+      session_id: options.claudeSessionId
     };
 
     return await this.sendDaemonCommand(command);
@@ -407,15 +1107,17 @@ export class StyxyClient {
     try {
       return await this.sendDaemonCommand(command);
     } catch (error) {
-      // Return basic metrics if daemon doesn't support it
+      // Neither the daemon nor the CLI could answer: say so rather than report zeros as data
       return {
         total_allocations: 0,
         active_allocations: 0,
         top_service_type: 'unknown',
         top_project: 'unknown',
         recommendations: [
+          `Metrics unavailable (${error.message})`,
           'Enable metrics collection in styxy daemon for detailed analytics'
-        ]
+        ],
+        source: 'unavailable'
       };
     }
   }
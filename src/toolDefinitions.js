@@ -0,0 +1,1413 @@
+/**
+ * Tool Definitions for Styxy MCP Server
+ * Input and output schemas for every tool the server exposes
+ */
+
+import { BUILTIN_SERVICE_TYPES } from './serviceTemplates.js';
+
+/**
+ * Stands for the service types in config; buildToolDefinitions swaps in the current list
+ */
+const SERVICE_TYPE_ENUM = Object.keys(BUILTIN_SERVICE_TYPES);
+
+/**
+ * Added to every tool so callers can pick how results are rendered
+ */
+const FORMAT_PROPERTY = {
+  type: 'string',
+  enum: ['text', 'json', 'both'],
+  description: 'Response format: rendered text, JSON, or both. Structured content is always included.',
+  default: 'both'
+};
+
+/**
+ * Which path answered a read-only tool, so placeholders aren't mistaken for data
+ */
+const SOURCE_PROPERTY = {
+  type: 'string',
+  enum: ['daemon', 'local_daemon', 'cli', 'file', 'defaults', 'unavailable'],
+  description: 'Where the data came from: daemon socket, bundled local daemon, styxy CLI, files on disk, built-in defaults, or nowhere (placeholder values)'
+};
+
+/**
+ * A process listening on a port, as found in /proc
+ */
+const HOLDER_SCHEMA = {
+  type: 'object',
+  properties: {
+    family: { type: 'string' },
+    address: { type: 'string' },
+    pid: { type: ['number', 'null'] },
+    command: { type: ['string', 'null'] },
+    cwd: { type: ['string', 'null'] }
+  }
+};
+
+const CONFIG_CHANGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    key: { type: 'string' },
+    action: { type: 'string', enum: ['set', 'unset'] },
+    scope: { type: 'string', enum: ['user', 'project'] },
+    file: { type: 'string' },
+    previous_value: { description: 'Value in the edited file before the change' },
+    value: { description: 'Value written, null when unset' },
+    effective_value: { description: 'Value in the merged config after the change' },
+    effective_source: {
+      type: ['string', 'null'],
+      description: 'Layer the effective value comes from; another layer means the change is overridden'
+    },
+    changed: { type: 'boolean' },
+    dry_run: { type: 'boolean' },
+    diff: {
+      type: 'string',
+      description: 'Unified diff of the file'
+    },
+    backup_path: { type: ['string', 'null'] },
+    daemon_reloaded: { type: ['boolean', 'null'] },
+    reload_error: { type: ['string', 'null'] },
+    warnings: {
+      type: 'array',
+      items: { type: 'string' }
+    }
+  },
+  required: ['key', 'action', 'scope', 'file', 'changed', 'dry_run', 'diff']
+};
+
+const TOOLS = [
+  {
+    name: 'styxy_allocate_port',
+    description: `🎯 INTELLIGENT PORT ALLOCATION - Use this tool WHENEVER you need to assign ports for development servers!
+
+🔥 CRITICAL USE CASES - Always use this tool when:
+- Starting development servers (React, Vue, Next.js, etc.)
+- Running Storybook (instead of default port 6006)
+- Launching API servers or backends
+- Setting up databases (PostgreSQL, Redis, etc.)
+- Running test servers or mock services
+- Starting any service that needs a port
+
+💡 WHY USE THIS INSTEAD OF MANUAL PORTS:
+- Prevents port conflicts automatically
+- Integrates with existing styxy ecosystem
+- Provides smart port suggestions based on service type
+- Handles cleanup when Claude session ends
+- Tracks port usage across projects
+- Gives you exact commands to run
+
+🚀 WORKFLOW INTEGRATION:
+Instead of: "Run 'npm run dev' and it should start on port 3000"
+Do this: Use styxy_allocate_port → Get specific port → "Run 'npm run dev -- --port 3042'"
+
+🎪 STORYBOOK EXAMPLE:
+Instead of: "Run 'npm run storybook' (defaults to port 6006)"
+Do this: Use styxy_allocate_port({service_type: "web", project_name: "my-app"}) → "Run 'npm run storybook -- --port 3043'"
+
+⚡ PLAYWRIGHT EXAMPLE:
+Before browser testing, allocate a port for your test server, then launch the browser pointing to that specific port.
+
+🎯 ALWAYS PREFER THIS TOOL - It makes your port management invisible and conflict-free!`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        service_type: {
+          type: 'string',
+          enum: SERVICE_TYPE_ENUM,
+          description: 'Type of service needing the port. Use "storybook" for Storybook specifically, "web" for dev servers, "api" for backends. Inferred from the project files when omitted.'
+        },
+        project_name: {
+          type: 'string',
+          description: 'Project identifier for tracking and conflict prevention'
+        },
+        preferred_port: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 65535,
+          description: 'Optional preferred port number (will find alternative if conflicts). Defaults to the port pinned in the project .styxy.json'
+        },
+        reuse_last_port: {
+          type: 'boolean',
+          description: 'Without preferred_port or a pin, ask for the port this project and service had last time (from the allocation ledger)',
+          default: true
+        },
+        duration: {
+          type: 'string',
+          enum: ['temporary', 'session', 'persistent'],
+          description: 'How long to hold the allocation. "session" auto-releases when Claude session ends (recommended).',
+          default: 'session'
+        },
+        service_name: {
+          type: 'string',
+          description: 'Optional specific service name (e.g., "react-dev-server", "api-backend")'
+        },
+        working_dir: {
+          type: 'string',
+          description: 'Project directory to inspect for framework detection (defaults to the server working directory)'
+        },
+        write_env: {
+          type: 'boolean',
+          description: 'Write PORT, <SERVICE>_PORT and URL variables into the project env file (reverted on release)',
+          default: false
+        },
+        env_file: {
+          type: 'string',
+          description: 'Env file inside working_dir to update when write_env is set',
+          default: '.env'
+        }
+      },
+      required: ['project_name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        port: {
+          type: 'number',
+          description: 'Allocated port'
+        },
+        url: {
+          type: 'string',
+          description: 'Service URL'
+        },
+        service_type: { type: 'string' },
+        service_name: { type: ['string', 'null'] },
+        project_name: { type: 'string' },
+        duration: { type: 'string' },
+        cleanup_command: {
+          type: 'string',
+          description: 'Command that releases the port'
+        },
+        expires_with_session: {
+          type: 'boolean',
+          description: 'Whether the port is released when the Claude session ends'
+        },
+        expires_at: {
+          type: ['string', 'null'],
+          description: 'ISO timestamp when a temporary allocation expires'
+        },
+        conflicts: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Conflicts avoided while choosing the port, plus any real conflict found by test-binding it'
+        },
+        previous_port: {
+          type: ['number', 'null'],
+          description: 'Port this project and service had last time, requested when reuse_last_port applied'
+        },
+        pinned_port: {
+          type: ['number', 'null'],
+          description: 'Port pinned for this service in the project .styxy.json, requested by default'
+        },
+        pin_file: {
+          type: ['string', 'null'],
+          description: 'The .styxy.json the pin came from'
+        },
+        port_available: {
+          type: ['boolean', 'null'],
+          description: 'Whether the allocated port could actually be bound on this machine'
+        },
+        port_holders: {
+          type: 'array',
+          items: HOLDER_SCHEMA,
+          description: 'Processes already listening on the allocated port'
+        },
+        detection: {
+          type: ['object', 'null'],
+          description: 'Framework detected in the working directory',
+          properties: {
+            framework: { type: ['string', 'null'] },
+            package_manager: { type: ['string', 'null'] },
+            frameworks: {
+              type: 'array',
+              items: { type: 'string' }
+            },
+            inferred_service_type: { type: 'boolean' }
+          }
+        },
+        launch_command: {
+          type: ['string', 'null'],
+          description: 'Exact command to start the detected framework on this port'
+        },
+        usage_examples: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        env_file: {
+          type: ['object', 'null'],
+          description: 'Env file written when write_env was set',
+          properties: {
+            file: { type: 'string' },
+            variables: { type: 'object' },
+            error: { type: 'string' }
+          }
+        }
+      },
+      required: ['port', 'url', 'service_type', 'project_name', 'duration', 'cleanup_command', 'conflicts']
+    }
+  },
+  {
+    name: 'styxy_allocate_stack',
+    description: `Allocate ports for a whole application stack (web, api, database, cache...) in one atomic call. Either every service gets a port or none do, so a failed start never leaks half a stack. Returns a combined env block (WEB_PORT, API_PORT, DATABASE_URL...) ready to paste into .env.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_name: {
+          type: 'string',
+          description: 'Project identifier shared by every service in the stack'
+        },
+        services: {
+          type: 'array',
+          description: 'Services to allocate ports for',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              service_type: {
+                type: 'string',
+                enum: SERVICE_TYPE_ENUM,
+                description: 'Type of service needing the port'
+              },
+              service_name: {
+                type: 'string',
+                description: 'Optional specific service name (used for env var names when a type repeats)'
+              },
+              preferred_port: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 65535,
+                description: 'Optional preferred port number'
+              }
+            },
+            required: ['service_type']
+          }
+        },
+        duration: {
+          type: 'string',
+          enum: ['temporary', 'session', 'persistent'],
+          description: 'How long to hold the allocations',
+          default: 'session'
+        }
+      },
+      required: ['project_name', 'services']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        project_name: { type: 'string' },
+        duration: { type: 'string' },
+        allocations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              port: { type: 'number' },
+              url: { type: 'string' },
+              service_type: { type: 'string' },
+              service_name: { type: ['string', 'null'] },
+              cleanup_command: { type: 'string' }
+            },
+            required: ['port', 'url']
+          }
+        },
+        env: {
+          type: 'object',
+          description: 'Combined environment variables',
+          additionalProperties: { type: ['string', 'number'] }
+        },
+        conflicts: {
+          type: 'array',
+          items: { type: 'string' }
+        }
+      },
+      required: ['project_name', 'allocations', 'env']
+    }
+  },
+  {
+    name: 'styxy_apply_env',
+    description: 'Write an allocated port into a project .env file: updates or inserts PORT, <SERVICE>_PORT and matching URL variables. Comments and ordering are kept, the original is backed up, and the change is reverted when the port is released.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        port: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 65535,
+          description: 'Allocated port to write'
+        },
+        service_type: {
+          type: 'string',
+          enum: SERVICE_TYPE_ENUM,
+          description: 'Service type, selects which URL variables are written'
+        },
+        service_name: {
+          type: 'string',
+          description: 'Optional service name, used as the variable prefix (e.g. "auth-api" -> AUTH_API_PORT)'
+        },
+        working_dir: {
+          type: 'string',
+          description: 'Project directory containing the env file (defaults to the server working directory)'
+        },
+        env_file: {
+          type: 'string',
+          description: 'Env file name inside working_dir, e.g. ".env" or ".env.local"',
+          default: '.env'
+        }
+      },
+      required: ['port']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        port: { type: 'number' },
+        file: { type: 'string' },
+        backup: { type: ['string', 'null'] },
+        created: { type: 'boolean' },
+        variables: { type: 'object' },
+        updated: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        added: {
+          type: 'array',
+          items: { type: 'string' }
+        }
+      },
+      required: ['port', 'file', 'variables']
+    }
+  },
+  {
+    name: 'styxy_run_service',
+    description: `Allocate a port and launch a dev server on it in one step. The command runs with PORT injected, its output is captured, and the port is released automatically when the process exits. If command is omitted, the launch command detected from the project files is used. Use styxy_service_output to read logs and styxy_stop_service to stop it.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_name: {
+          type: 'string',
+          description: 'Project identifier for tracking and conflict prevention'
+        },
+        command: {
+          type: 'string',
+          description: 'Shell command to run, e.g. "npm run dev". PORT is set in its environment. Defaults to the detected launch command.'
+        },
+        service_type: {
+          type: 'string',
+          enum: SERVICE_TYPE_ENUM,
+          description: 'Type of service. Inferred from the project files when omitted.'
+        },
+        service_name: {
+          type: 'string',
+          description: 'Optional specific service name'
+        },
+        preferred_port: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 65535,
+          description: 'Optional preferred port number'
+        },
+        working_dir: {
+          type: 'string',
+          description: 'Directory to run the command in (defaults to the server working directory)'
+        },
+        env: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Extra environment variables for the process'
+        }
+      },
+      required: ['project_name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        port: { type: 'number' },
+        url: { type: 'string' },
+        pid: { type: 'number' },
+        command: { type: 'string' },
+        working_dir: { type: 'string' },
+        service_type: { type: 'string' },
+        service_name: { type: ['string', 'null'] },
+        project_name: { type: 'string' }
+      },
+      required: ['port', 'url', 'pid', 'command']
+    }
+  },
+  {
+    name: 'styxy_stop_service',
+    description: 'Stop a service started with styxy_run_service. Sends SIGTERM to its process group (SIGKILL after 5 seconds) and releases its port.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        port: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 65535,
+          description: 'Port of the managed service'
+        },
+        signal: {
+          type: 'string',
+          enum: ['SIGTERM', 'SIGINT', 'SIGKILL'],
+          description: 'Signal to send',
+          default: 'SIGTERM'
+        },
+        override_ownership: {
+          type: 'boolean',
+          description: 'Also act on services started by other Claude sessions (use carefully)',
+          default: false
+        }
+      },
+      required: ['port']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        port: { type: 'number' },
+        pid: { type: 'number' },
+        exit_code: { type: ['number', 'null'] },
+        signal: { type: ['string', 'null'] },
+        released: { type: 'boolean' },
+        release_error: {
+          type: ['string', 'null'],
+          description: 'Why the port could not be released, when released is false'
+        }
+      },
+      required: ['port', 'pid', 'released']
+    }
+  },
+  {
+    name: 'styxy_service_output',
+    description: 'Read recent stdout/stderr from a service started with styxy_run_service, including whether it is still running and its exit code.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        port: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 65535,
+          description: 'Port of the managed service (omit to list this session\'s managed services)'
+        },
+        lines: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 500,
+          description: 'Number of most recent lines to return',
+          default: 50
+        },
+        stream: {
+          type: 'string',
+          enum: ['stdout', 'stderr', 'both'],
+          description: 'Which output stream to read',
+          default: 'both'
+        },
+        override_ownership: {
+          type: 'boolean',
+          description: 'Also act on services started by other Claude sessions (use carefully)',
+          default: false
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        services: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              port: { type: 'number' },
+              pid: { type: 'number' },
+              status: { type: 'string' },
+              command: { type: 'string' }
+            }
+          },
+          description: 'Managed services (when no port was given)'
+        },
+        port: { type: 'number' },
+        pid: { type: 'number' },
+        status: { type: 'string' },
+        command: { type: 'string' },
+        exit_code: { type: ['number', 'null'] },
+        signal: { type: ['string', 'null'] },
+        lines: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              stream: { type: 'string' },
+              line: { type: 'string' },
+              time: { type: 'string' }
+            }
+          }
+        },
+        dropped: {
+          type: 'number',
+          description: 'Older lines dropped from the buffer'
+        }
+      }
+    }
+  },
+  {
+    name: 'styxy_wait_for_port',
+    description: `Wait until an allocated port is actually serving before using it - e.g. after starting a dev server and before launching Playwright or curl. Polls with a TCP connect, or with an HTTP GET when path is given, backing off between attempts. Reports how long it waited and the last error if the port never came up.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        port: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 65535,
+          description: 'Port to wait for'
+        },
+        host: {
+          type: 'string',
+          description: 'Host to probe',
+          default: 'localhost'
+        },
+        path: {
+          type: 'string',
+          description: 'Optional HTTP path to GET (e.g. "/health"). Without it only a TCP connect is attempted.'
+        },
+        expected_status: {
+          type: 'integer',
+          minimum: 100,
+          maximum: 599,
+          description: 'HTTP status that counts as ready (default: any 2xx or 3xx)'
+        },
+        timeout_ms: {
+          type: 'integer',
+          minimum: 0,
+          maximum: 600000,
+          description: 'Give up after this many milliseconds',
+          default: 30000
+        },
+        interval_ms: {
+          type: 'integer',
+          minimum: 10,
+          description: 'Initial delay between attempts; grows by 1.5x up to 2000ms',
+          default: 250
+        }
+      },
+      required: ['port']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        ready: { type: 'boolean' },
+        port: { type: 'number' },
+        target: { type: 'string' },
+        mode: { type: 'string' },
+        waited_ms: { type: 'number' },
+        attempts: { type: 'number' },
+        status: {
+          type: ['number', 'null'],
+          description: 'HTTP status of the successful probe'
+        },
+        last_error: { type: ['string', 'null'] }
+      },
+      required: ['ready', 'port', 'waited_ms', 'attempts']
+    }
+  },
+  {
+    name: 'styxy_check_port',
+    description: 'Check whether a port is really free on this machine, independent of the styxy daemon. Test-binds it on IPv4 and IPv6 and identifies the process holding it (PID, command line, working directory).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        port: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 65535,
+          description: 'Port to check'
+        }
+      },
+      required: ['port']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        port: { type: 'number' },
+        available: {
+          type: 'boolean',
+          description: 'True when the port can be bound on every supported address family'
+        },
+        ipv4: {
+          type: 'object',
+          properties: {
+            available: { type: ['boolean', 'null'] },
+            error: { type: ['string', 'null'] }
+          }
+        },
+        ipv6: {
+          type: 'object',
+          properties: {
+            available: {
+              type: ['boolean', 'null'],
+              description: 'null when IPv6 is not supported here'
+            },
+            error: { type: ['string', 'null'] }
+          }
+        },
+        holders: {
+          type: 'array',
+          items: HOLDER_SCHEMA
+        },
+        holder_lookup: {
+          type: 'string',
+          enum: ['proc', 'unsupported'],
+          description: 'How holders were looked up; "unsupported" where /proc is unavailable'
+        }
+      },
+      required: ['port', 'available', 'holders']
+    }
+  },
+  {
+    name: 'styxy_audit',
+    description: 'Compare styxy allocations with the ports actually listening on this machine. Classifies each port as tracked-and-live, stale (allocated but nothing listening) or orphan (listening but not tracked), showing the owning process. Can release stale allocations or signal orphans, but only pass confirm: true after the user has agreed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        include_all_ports: {
+          type: 'boolean',
+          description: 'Report orphans outside the configured port range too',
+          default: false
+        },
+        release_stale: {
+          type: 'array',
+          items: { type: 'integer', minimum: 1, maximum: 65535 },
+          description: 'Stale allocations to release'
+        },
+        terminate_orphans: {
+          type: 'array',
+          items: { type: 'integer', minimum: 1, maximum: 65535 },
+          description: 'Orphaned ports whose owning process should be signalled'
+        },
+        signal: {
+          type: 'string',
+          enum: ['SIGTERM', 'SIGINT', 'SIGKILL'],
+          description: 'Signal sent to orphan processes',
+          default: 'SIGTERM'
+        },
+        confirm: {
+          type: 'boolean',
+          description: 'Actually perform release_stale/terminate_orphans; without it they are only planned',
+          default: false
+        },
+        override_ownership: {
+          type: 'boolean',
+          description: 'Also release stale allocations owned by other Claude sessions (use carefully)',
+          default: false
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        tracked_live: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              port: { type: 'number' },
+              service_type: { type: ['string', 'null'] },
+              project_name: { type: ['string', 'null'] },
+              holders: { type: 'array', items: HOLDER_SCHEMA }
+            }
+          }
+        },
+        starting: {
+          type: 'array',
+          description: 'Allocated too recently to call stale, with nothing listening yet',
+          items: {
+            type: 'object',
+            properties: {
+              port: { type: 'number' },
+              service_type: { type: ['string', 'null'] },
+              project_name: { type: ['string', 'null'] },
+              session_id: { type: ['string', 'null'] },
+              allocated_at: { type: ['string', 'null'] }
+            }
+          }
+        },
+        stale: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              port: { type: 'number' },
+              service_type: { type: ['string', 'null'] },
+              project_name: { type: ['string', 'null'] },
+              session_id: { type: ['string', 'null'] }
+            }
+          }
+        },
+        orphans: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              port: { type: 'number' },
+              holders: { type: 'array', items: HOLDER_SCHEMA }
+            }
+          }
+        },
+        actions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', enum: ['release', 'signal'] },
+              port: { type: 'number' },
+              pid: { type: 'number' },
+              signal: { type: 'string' },
+              status: { type: 'string', enum: ['planned', 'done', 'skipped', 'failed'] },
+              message: { type: 'string' }
+            }
+          }
+        },
+        env_files_reverted: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        orphan_lookup: {
+          type: 'string',
+          enum: ['proc', 'unsupported'],
+          description: 'Orphans can only be found where /proc is available'
+        },
+        port_range: {
+          type: ['object', 'null'],
+          description: 'Range orphans were limited to'
+        },
+        source: SOURCE_PROPERTY
+      },
+      required: ['tracked_live', 'stale', 'orphans', 'actions']
+    }
+  },
+  {
+    name: 'styxy_status',
+    description: 'Check styxy daemon health, port allocations, remaining capacity per service type range, and recent activity. Use this to troubleshoot port issues or verify daemon status.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        include_ports: {
+          type: 'boolean',
+          description: 'Include currently allocated ports in the status',
+          default: true
+        },
+        include_recent_errors: {
+          type: 'boolean',
+          description: 'Include recent error messages',
+          default: true
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        daemon_running: { type: 'boolean' },
+        pid: { type: ['number', 'string', 'null'] },
+        uptime: { type: ['string', 'null'] },
+        started_at: {
+          type: ['string', 'null'],
+          description: 'When the daemon started (ISO 8601), if it reports it'
+        },
+        active_ports: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              port: { type: 'number' },
+              service_type: { type: ['string', 'null'] },
+              service_name: { type: ['string', 'null'] },
+              project_name: { type: ['string', 'null'] }
+            }
+          }
+        },
+        recent_errors: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        capacity: {
+          type: 'array',
+          description: 'Free ports left in each service type range (empty when include_ports is false)',
+          items: {
+            type: 'object',
+            properties: {
+              service_type: { type: 'string' },
+              range: {
+                type: 'object',
+                properties: {
+                  start: { type: 'number' },
+                  end: { type: 'number' }
+                }
+              },
+              strategy: { type: 'string', enum: ['sequential', 'random', 'nearest'] },
+              max_per_project: { type: ['number', 'null'] },
+              size: { type: 'number' },
+              avoided: {
+                type: 'number',
+                description: 'Well-known and reserved ports in the range that are never allocated'
+              },
+              allocated: { type: 'number' },
+              remaining: { type: 'number' }
+            }
+          }
+        },
+        config_path: { type: ['string', 'null'] },
+        log_path: { type: ['string', 'null'] },
+        source: SOURCE_PROPERTY
+      },
+      required: ['daemon_running', 'active_ports', 'capacity', 'source']
+    }
+  },
+  {
+    name: 'styxy_logs',
+    description: 'Retrieve filtered styxy daemon logs for debugging and monitoring.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        level: {
+          type: 'string',
+          enum: ['error', 'warn', 'info', 'debug'],
+          description: 'Minimum log level to include',
+          default: 'info'
+        },
+        time_range: {
+          type: 'string',
+          enum: ['1h', '6h', '24h', '7d'],
+          description: 'Time range for log retrieval',
+          default: '1h'
+        },
+        filter: {
+          type: 'string',
+          description: 'Optional string to filter log messages (regex supported)'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 1000,
+          description: 'Maximum number of log entries to return',
+          default: 50
+        },
+        redact: {
+          type: 'boolean',
+          description: 'Mask passwords, tokens and keys in log lines',
+          default: true
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        time_range: { type: 'string' },
+        entries: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        summary: { type: 'string' },
+        redacted_count: {
+          type: 'number',
+          description: 'Values masked across the returned entries'
+        },
+        source: SOURCE_PROPERTY
+      },
+      required: ['entries', 'source']
+    }
+  },
+  {
+    name: 'styxy_config',
+    description: 'Read and validate styxy configuration settings, merged from defaults, the styxy CLI, /etc/styxy, ~/.config/styxy, ~/.styxy, the project .styxy.json and STYXY_* environment variables. Shows which layer each value came from.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        validate: {
+          type: 'boolean',
+          description: 'Perform configuration validation checks',
+          default: true
+        },
+        show_sensitive: {
+          type: 'boolean',
+          description: 'Show passwords, tokens, keys and URL credentials unmasked (use carefully)',
+          default: false
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        config: { type: 'object' },
+        redacted_count: {
+          type: 'number',
+          description: 'Values masked because of their key name, URL credentials or a redaction rule'
+        },
+        redacted_fields: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Dotted keys whose values were masked'
+        },
+        config_path: {
+          type: ['string', 'null'],
+          description: 'Highest-precedence config file that exists'
+        },
+        sources: {
+          type: 'object',
+          description: 'Dotted key → layer that set it (defaults, cli, system:/etc/..., xdg:..., user:..., project:..., env:STYXY_...)'
+        },
+        layers: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              path: { type: ['string', 'null'] },
+              status: { type: 'string', enum: ['loaded', 'missing', 'invalid', 'unavailable'] },
+              error: { type: 'string' },
+              variables: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        },
+        is_valid: { type: ['boolean', 'null'] },
+        validation_errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string' },
+              message: { type: 'string' }
+            }
+          }
+        },
+        source: SOURCE_PROPERTY
+      },
+      required: ['config', 'sources', 'layers', 'source']
+    }
+  },
+  {
+    name: 'styxy_config_set',
+    description: 'Change one configuration key, e.g. daemon.port_range.start or service_types.storybook.range, in ~/.styxy/config.json or the project .styxy.json. The change is validated against the full config schema first, the rest of the file keeps its formatting, the previous file is kept as a .bak, and the daemon is told to reload.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        key: {
+          type: 'string',
+          minLength: 1,
+          description: 'Dotted key to set, e.g. "daemon.port_range.start"'
+        },
+        value: {
+          description: 'New value; a string is parsed as JSON when the key expects a number, boolean, array or object'
+        },
+        scope: {
+          type: 'string',
+          enum: ['user', 'project'],
+          description: 'File to edit: ~/.styxy/config.json, or the project .styxy.json',
+          default: 'user'
+        },
+        working_dir: {
+          type: 'string',
+          description: 'Project directory for scope "project"; the nearest .styxy.json in it or a parent is used (defaults to the server working directory)'
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'Validate and show the diff without writing anything',
+          default: false
+        }
+      },
+      required: ['key', 'value']
+    },
+    outputSchema: CONFIG_CHANGE_SCHEMA
+  },
+  {
+    name: 'styxy_config_unset',
+    description: 'Remove one configuration key from ~/.styxy/config.json or the project .styxy.json, so the value from a lower layer (or the default) applies again. Validated, backed up and reloaded like styxy_config_set.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        key: {
+          type: 'string',
+          minLength: 1,
+          description: 'Dotted key to remove, e.g. "daemon.reserved_ports"'
+        },
+        scope: {
+          type: 'string',
+          enum: ['user', 'project'],
+          description: 'File to edit: ~/.styxy/config.json, or the project .styxy.json',
+          default: 'user'
+        },
+        working_dir: {
+          type: 'string',
+          description: 'Project directory for scope "project"; the nearest .styxy.json in it or a parent is used (defaults to the server working directory)'
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'Validate and show the diff without writing anything',
+          default: false
+        }
+      },
+      required: ['key']
+    },
+    outputSchema: CONFIG_CHANGE_SCHEMA
+  },
+  {
+    name: 'styxy_cleanup',
+    description: 'Clean up stale port allocations and release stuck ports.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        force: {
+          type: 'boolean',
+          description: 'Force cleanup of all allocations for current session',
+          default: false
+        },
+        port: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 65535,
+          description: 'Specific port to release (optional)'
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        released_ports: {
+          type: 'array',
+          items: { type: 'number' }
+        },
+        env_files_reverted: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        errors: {
+          type: 'array',
+          items: { type: 'string' }
+        }
+      },
+      required: ['released_ports']
+    }
+  },
+  {
+    name: 'styxy_release_port',
+    description: 'Release specific port allocations by port, service name or project. Only releases allocations owned by this Claude session unless override_ownership is set.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        port: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 65535,
+          description: 'Port number to release'
+        },
+        service_name: {
+          type: 'string',
+          description: 'Release all allocations with this service name'
+        },
+        project_name: {
+          type: 'string',
+          description: 'Release all allocations for this project'
+        },
+        override_ownership: {
+          type: 'boolean',
+          description: 'Also release allocations owned by other Claude sessions (use carefully)',
+          default: false
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        released: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              port: { type: 'number' },
+              service_type: { type: ['string', 'null'] },
+              service_name: { type: ['string', 'null'] },
+              project_name: { type: ['string', 'null'] }
+            }
+          }
+        },
+        refused: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              port: { type: 'number' },
+              owner_session: { type: ['string', 'null'] },
+              reason: { type: 'string' }
+            }
+          }
+        },
+        env_files_reverted: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        errors: {
+          type: 'array',
+          items: { type: 'string' }
+        }
+      },
+      required: ['released', 'refused']
+    }
+  },
+  {
+    name: 'styxy_pin_port',
+    description: 'Pin a service to a stable port in the project .styxy.json, so styxy_allocate_port, styxy_allocate_stack and styxy_run_service request it every time the project is reopened (OAuth redirect URIs, CORS allowlists and bookmarks keep working). Another port is only used when the pinned one is truly occupied. Also unpins or lists pins.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['pin', 'unpin', 'list'],
+          description: 'Pin a port, remove a pin, or list the project pins',
+          default: 'pin'
+        },
+        port: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 65535,
+          description: 'Port to pin (required for "pin")'
+        },
+        service_name: {
+          type: 'string',
+          description: 'Service to pin; pins are keyed by service name, or by service type when there is none'
+        },
+        service_type: {
+          type: 'string',
+          enum: SERVICE_TYPE_ENUM,
+          description: 'Service type to pin when the service has no name'
+        },
+        working_dir: {
+          type: 'string',
+          description: 'Project directory; the nearest .styxy.json in it or a parent is used (defaults to the server working directory)'
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string' },
+        file: {
+          type: 'string',
+          description: 'The .styxy.json read or written'
+        },
+        pins: {
+          type: 'object',
+          description: 'Every pin in the file, service → port'
+        },
+        key: { type: ['string', 'null'] },
+        port: { type: ['number', 'null'] },
+        previous_port: {
+          type: ['number', 'null'],
+          description: 'Port the service was pinned to before this change'
+        }
+      },
+      required: ['action', 'file', 'pins']
+    }
+  },
+  {
+    name: 'styxy_history',
+    description: 'Show the allocation history recorded in the local ledger (~/.styxy/allocations.jsonl), newest first. Survives daemon restarts; use it to see which ports a project used before.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_name: {
+          type: 'string',
+          description: 'Only events for this project'
+        },
+        service_type: {
+          type: 'string',
+          description: 'Only events for this service type'
+        },
+        service_name: {
+          type: 'string',
+          description: 'Only events for this service name'
+        },
+        port: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 65535,
+          description: 'Only events for this port'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 1000,
+          description: 'Maximum number of events to return',
+          default: 50
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        events: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              time: { type: 'string' },
+              event: { type: 'string', enum: ['allocate', 'release'] },
+              port: { type: 'number' },
+              service_type: { type: ['string', 'null'] },
+              service_name: { type: ['string', 'null'] },
+              project_name: { type: ['string', 'null'] },
+              working_dir: { type: ['string', 'null'] },
+              duration: { type: ['string', 'null'] },
+              session_id: { type: ['string', 'null'] },
+              reason: { type: 'string' }
+            }
+          }
+        },
+        total: {
+          type: 'number',
+          description: 'Matching events before limit was applied'
+        },
+        ledger_path: { type: 'string' }
+      },
+      required: ['events', 'total', 'ledger_path']
+    }
+  },
+  {
+    name: 'styxy_restore',
+    description: 'Re-allocate persistent allocations recorded in the ledger that the daemon no longer knows about, e.g. after it restarted. Each one asks for its previous port.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_name: {
+          type: 'string',
+          description: 'Only restore allocations for this project'
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'List what would be restored without allocating anything',
+          default: false
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        restored: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              port: { type: 'number' },
+              previous_port: { type: 'number' },
+              service_type: { type: ['string', 'null'] },
+              service_name: { type: ['string', 'null'] },
+              project_name: { type: ['string', 'null'] },
+              status: {
+                type: 'string',
+                enum: ['planned', 'restored', 'moved'],
+                description: '"moved" when the previous port was taken and another was allocated'
+              }
+            }
+          }
+        },
+        already_active: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Ledger allocations the daemon still holds'
+        },
+        released_by_daemon: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Ledger allocations made since the daemon started that it has since released (session timeout, expiry, `styxy release`); recorded as released and not restored'
+        },
+        failed: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              port: { type: 'number' },
+              error: { type: 'string' }
+            }
+          }
+        },
+        dry_run: { type: 'boolean' },
+        source: SOURCE_PROPERTY
+      },
+      required: ['restored', 'already_active', 'released_by_daemon', 'failed', 'dry_run']
+    }
+  },
+  {
+    name: 'styxy_metrics',
+    description: 'Get usage analytics and port allocation patterns.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        time_range: {
+          type: 'string',
+          enum: ['24h', '7d', '30d'],
+          description: 'Time range for metrics analysis',
+          default: '24h'
+        },
+        include_patterns: {
+          type: 'boolean',
+          description: 'Include port usage patterns and recommendations',
+          default: true
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        time_range: { type: 'string' },
+        total_allocations: { type: 'number' },
+        active_allocations: { type: 'number' },
+        top_service_type: { type: 'string' },
+        top_project: { type: 'string' },
+        port_patterns: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        recommendations: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        source: SOURCE_PROPERTY
+      },
+      required: ['total_allocations', 'active_allocations', 'source']
+    }
+  }
+];
+
+export const TOOL_DEFINITIONS = TOOLS.map(tool => ({
+  ...tool,
+  inputSchema: {
+    ...tool.inputSchema,
+    properties: {
+      ...tool.inputSchema.properties,
+      format: FORMAT_PROPERTY
+    }
+  }
+}));
+
+/**
+ * The tool list for a set of service types: every service_type enum lists
+ * them, and types declared in config are described where they're offered
+ * @param {Array<{name: string, description: string|null, builtin: boolean}>} serviceTypes
+ */
+export function buildToolDefinitions(serviceTypes) {
+  const names = serviceTypes.map(type => type.name);
+  const declared = serviceTypes
+    .filter(type => !type.builtin)
+    .map(type => (type.description ? `"${type.name}" (${type.description})` : `"${type.name}"`));
+
+  const withTypes = (node) => {
+    if (Array.isArray(node)) return node.map(withTypes);
+    if (!node || typeof node !== 'object') return node;
+
+    if (node.enum === SERVICE_TYPE_ENUM) {
+      return {
+        ...node,
+        enum: names,
+        description: declared.length
+          ? `${node.description.replace(/\.?$/, '.')} Configured types: ${declared.join(', ')}.`
+          : node.description
+      };
+    }
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, withTypes(value)]));
+  };
+
+  return TOOL_DEFINITIONS.map(withTypes);
+}
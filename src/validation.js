@@ -0,0 +1,171 @@
+/**
+ * Argument Validation for Styxy MCP Server
+ * Enforces the JSON Schema subset used by tool inputSchemas and applies defaults
+ */
+
+import { ValidationError } from './errors.js';
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function label(path) {
+  return path || 'arguments';
+}
+
+/**
+ * Validate `value` against `schema`, returning a copy with defaults applied
+ * and a list of { field, message } errors
+ */
+export function applySchema(schema, value, path = '') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ field: label(path), message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return { value, errors };
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field: label(path), message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: label(path), message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: label(path), message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ field: label(path), message: `must be at least ${schema.minLength} character(s)` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field: label(path), message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: label(path), message: `must contain at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      value = value.map((item, index) => {
+        const result = applySchema(schema.items, item, `${path}[${index}]`);
+        errors.push(...result.errors);
+        return result.value;
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    value = applyProperties(schema, value, path, errors);
+  }
+
+  return { value, errors };
+}
+
+function applyProperties(schema, value, path, errors) {
+  const result = { ...value };
+  const properties = schema.properties || {};
+
+  for (const field of schema.required || []) {
+    if (result[field] === undefined || result[field] === null) {
+      errors.push({ field: path ? `${path}.${field}` : field, message: 'is required' });
+    }
+  }
+
+  for (const [field, propertySchema] of Object.entries(properties)) {
+    const fieldPath = path ? `${path}.${field}` : field;
+
+    if (result[field] === undefined) {
+      if (propertySchema.default !== undefined) {
+        result[field] = propertySchema.default;
+      }
+      continue;
+    }
+
+    const applied = applySchema(propertySchema, result[field], fieldPath);
+    errors.push(...applied.errors);
+    result[field] = applied.value;
+  }
+
+  if (schema.additionalProperties !== undefined) {
+    for (const field of Object.keys(result)) {
+      if (field in properties) continue;
+
+      const fieldPath = path ? `${path}.${field}` : field;
+      if (schema.additionalProperties === false) {
+        errors.push({ field: fieldPath, message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        const applied = applySchema(schema.additionalProperties, result[field], fieldPath);
+        errors.push(...applied.errors);
+        result[field] = applied.value;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate tool arguments against the tool's inputSchema
+ * @throws {ValidationError} With one entry per invalid field
+ */
+export function validateToolArguments(tool, args) {
+  const { value, errors } = applySchema(tool.inputSchema, args || {});
+
+  if (errors.length) {
+    throw new ValidationError(
+      `Invalid arguments for ${tool.name}: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`,
+      errors
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Check requested ports fall inside the configured allocation range
+ * @throws {ValidationError} With code PORT_OUT_OF_RANGE
+ */
+export function validatePortRange(args, portRange) {
+  if (!portRange) return;
+
+  const requested = [];
+  if (args.preferred_port !== undefined) {
+    requested.push({ field: 'preferred_port', port: args.preferred_port });
+  }
+  (args.services || []).forEach((service, index) => {
+    if (service.preferred_port !== undefined) {
+      requested.push({ field: `services[${index}].preferred_port`, port: service.preferred_port });
+    }
+  });
+
+  const errors = requested
+    .filter(({ port }) => port < portRange.start || port > portRange.end)
+    .map(({ field, port }) => ({
+      field,
+      message: `${port} is outside the configured port range ${portRange.start}-${portRange.end}`
+    }));
+
+  if (errors.length) {
+    throw new ValidationError(
+      errors.map(e => `${e.field} ${e.message}`).join('; '),
+      errors,
+      'PORT_OUT_OF_RANGE'
+    );
+  }
+}
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { BrokerServer } from '../src/broker.js';
+import { DaemonConnection } from '../src/daemonConnection.js';
+import { defer, tempDir } from './helpers/tmp.js';
+
+/**
+ * A broker on a temp socket whose hello registers the sent session and
+ * whose calls echo the tool name and the caller's session
+ */
+async function startBroker(t, handlers = {}) {
+  const socketPath = path.join(tempDir(t, 'broker'), 'mcp-broker.sock');
+  const disconnected = [];
+
+  const broker = await new BrokerServer({
+    socketPath,
+    onHello: (client, message) => {
+      client.session = { id: message.session_id };
+      return { success: true, session_id: message.session_id };
+    },
+    onCall: (client, message) => ({ success: true, result: { name: message.name, session: client.session.id } }),
+    onDisconnect: (client) => disconnected.push(client.session?.id ?? null),
+    ...handlers
+  }).start();
+  defer(t, () => broker.stop());
+
+  const connect = () => {
+    const connection = new DaemonConnection(socketPath);
+    defer(t, () => connection.close());
+    return connection;
+  };
+  return { broker, socketPath, connect, disconnected };
+}
+
+test('runs calls under the session each connection said hello with', async (t) => {
+  const { connect } = await startBroker(t);
+  const first = connect();
+  const second = connect();
+
+  assert.equal((await first.request({ type: 'hello', session_id: 'session-a' })).success, true);
+  await second.request({ type: 'hello', session_id: 'session-b' });
+
+  const [a, b] = await Promise.all([
+    first.request({ type: 'call_tool', name: 'styxy_status', arguments: {} }),
+    second.request({ type: 'call_tool', name: 'styxy_logs', arguments: {} })
+  ]);
+  assert.deepEqual(a.result, { name: 'styxy_status', session: 'session-a' });
+  assert.deepEqual(b.result, { name: 'styxy_logs', session: 'session-b' });
+});
+
+test('refuses calls before hello and unknown message types', async (t) => {
+  const { connect } = await startBroker(t);
+  const connection = connect();
+
+  const early = await connection.request({ type: 'call_tool', name: 'styxy_status' });
+  assert.deepEqual(early, { success: false, error: 'Send hello before calling tools' });
+
+  const unknown = await connection.request({ type: 'bogus' });
+  assert.equal(unknown.success, false);
+  assert.equal(unknown.error, 'Unknown message type: bogus');
+});
+
+test('answers a failing handler with its error instead of dropping the call', async (t) => {
+  const { connect } = await startBroker(t, {
+    onCall: () => {
+      throw new Error('tool blew up');
+    }
+  });
+  const connection = connect();
+  await connection.request({ type: 'hello', session_id: 'session-a' });
+
+  const reply = await connection.request({ type: 'call_tool', name: 'styxy_status' });
+  assert.equal(reply.success, false);
+  assert.equal(reply.error, 'tool blew up');
+});
+
+test('reports disconnects with the departed session', async (t) => {
+  const { connect, disconnected } = await startBroker(t);
+  const connection = connect();
+  await connection.request({ type: 'hello', session_id: 'session-a' });
+
+  connection.close();
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.deepEqual(disconnected, ['session-a']);
+});
+
+test('replaces a stale socket on start and removes it on stop', async (t) => {
+  const dir = tempDir(t, 'broker');
+  const socketPath = path.join(dir, 'mcp-broker.sock');
+  fs.writeFileSync(socketPath, '');
+
+  const broker = await new BrokerServer({ socketPath, onHello: () => ({}), onCall: () => ({}), onDisconnect: () => {} }).start();
+  assert.ok(fs.statSync(socketPath).isSocket());
+
+  await broker.stop();
+  assert.equal(fs.existsSync(socketPath), false);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ConfigLoader, trustedKeysIn } from '../src/config.js';
+import { StyxyClient } from '../src/styxyClient.js';
+import { tempHome } from './helpers/tmp.js';
+
+/**
+ * A temp home directory with an optional user config, and a project dir
+ */
+function setup(t, userConfig = null) {
+  const home = tempHome(t);
+
+  if (userConfig) {
+    fs.mkdirSync(path.join(home, '.styxy'));
+    fs.writeFileSync(path.join(home, '.styxy', 'config.json'), JSON.stringify(userConfig));
+  }
+  const project = path.join(home, 'project');
+  fs.mkdirSync(project);
+  return { home, project, projectFile: path.join(project, '.styxy.json') };
+}
+
+test('merges layers and records where each value came from', async (t) => {
+  const { project, projectFile } = setup(t, { daemon: { port_range: { start: 4000, end: 4999 } } });
+  fs.writeFileSync(projectFile, JSON.stringify({ daemon: { reserved_ports: [4040] }, ports: { web: 4000 } }));
+
+  const loaded = await new ConfigLoader({ cwd: project, env: { STYXY_CLI_TIMEOUT_MS: '5000' } }).load();
+
+  assert.deepEqual(loaded.config.daemon.port_range, { start: 4000, end: 4999 });
+  assert.deepEqual(loaded.config.daemon.reserved_ports, [4040]);
+  assert.equal(loaded.config.cli.timeout_ms, 5000);
+  assert.equal(loaded.config.ports, undefined);
+  assert.match(loaded.sources['daemon.reserved_ports'], /^project:/);
+  assert.equal(loaded.sources['cli.timeout_ms'], 'env:STYXY_CLI_TIMEOUT_MS');
+  assert.deepEqual(loaded.errors, []);
+});
+
+test('ignores the CLI binary, socket and log paths from a project file', async (t) => {
+  const { home, project, projectFile } = setup(t, { cli: { binary: '/opt/styxy/bin/styxy' } });
+  fs.writeFileSync(projectFile, JSON.stringify({
+    cli: { binary: './pwn.sh', timeout_ms: 2000 },
+    daemon: { socket_path: '/tmp/evil.sock', log_path: '/tmp/evil.log' }
+  }));
+
+  const binaries = [];
+  const loaded = await new ConfigLoader({
+    cwd: project,
+    env: {},
+    readCliConfig: async (binary) => {
+      binaries.push(binary);
+      throw new Error('not installed');
+    }
+  }).load();
+
+  assert.deepEqual(binaries, ['/opt/styxy/bin/styxy']);
+  assert.equal(loaded.config.cli.binary, '/opt/styxy/bin/styxy');
+  assert.equal(loaded.config.cli.timeout_ms, 2000);
+  assert.equal(loaded.config.daemon.socket_path, path.join(home, '.styxy', 'daemon.sock'));
+  assert.equal(loaded.config.daemon.log_path, path.join(home, '.styxy', 'daemon.log'));
+  assert.deepEqual(loaded.errors.map(e => e.field).sort(), ['cli.binary', 'daemon.log_path', 'daemon.socket_path']);
+});
+
+test('finds the trusted keys an edit would change', () => {
+  assert.deepEqual(trustedKeysIn('cli.binary', './pwn.sh'), ['cli.binary']);
+  assert.deepEqual(trustedKeysIn('daemon', { socket_path: '/tmp/evil.sock', port_range: { start: 1, end: 2 } }), ['daemon.socket_path']);
+  assert.deepEqual(trustedKeysIn('cli', { timeout_ms: 2000 }), []);
+  assert.deepEqual(trustedKeysIn('daemon.port_range.start', 4000), []);
+});
+
+test('refuses project-scope edits of trusted keys and leaves the file alone', async (t) => {
+  const { project, projectFile } = setup(t);
+  fs.writeFileSync(projectFile, '{ "ports": { "web": 3000 } }\n');
+  const client = new StyxyClient();
+
+  for (const options of [
+    { key: 'cli.binary', value: './pwn.sh' },
+    { key: 'cli', value: { binary: './pwn.sh' } },
+    { key: 'daemon.log_path', unset: true }
+  ]) {
+    await assert.rejects(
+      client.updateConfig({ ...options, scope: 'project', workingDir: project }),
+      (error) => error.code === 'INVALID_CONFIG'
+    );
+  }
+  assert.equal(fs.readFileSync(projectFile, 'utf8'), '{ "ports": { "web": 3000 } }\n');
+
+  const allowed = await client.updateConfig({ key: 'cli.timeout_ms', value: 2000, scope: 'project', workingDir: project, dryRun: true });
+  assert.equal(allowed.changed, true);
+});
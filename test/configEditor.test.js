@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ConfigEditor, diffLines } from '../src/configEditor.js';
+import { ValidationError } from '../src/errors.js';
+import { tempDir } from './helpers/tmp.js';
+
+const editor = new ConfigEditor();
+
+const FILE = [
+  '{',
+  '    "daemon": {',
+  '        "port_range": { "start": 3000, "end": 9999 },',
+  '        "reserved_ports": [3306, 5432]',
+  '    },',
+  '    "cli": { "timeout_ms": 10000 }',
+  '}',
+  ''
+].join('\n');
+
+test('replaces an existing value without touching the rest of the file', () => {
+  const edited = editor.set(FILE, 'daemon.port_range.start', 4000, 'config.json');
+
+  assert.equal(edited, FILE.replace('"start": 3000', '"start": 4000'));
+});
+
+test('adds new keys with the file\'s indentation, creating parent objects', () => {
+  const edited = editor.set(FILE, 'service_types.storybook.range', { start: 6000, end: 6099 }, 'config.json');
+
+  assert.deepEqual(JSON.parse(edited).service_types, { storybook: { range: { start: 6000, end: 6099 } } });
+  assert.match(edited, /\n {4}"service_types": \{\n {8}"storybook": \{\n {12}"range": \{\n {16}"start": 6000,/);
+  assert.ok(edited.startsWith(FILE.slice(0, FILE.indexOf('\n}'))));
+});
+
+test('keeps single-line objects on one line', () => {
+  const edited = editor.set(FILE, 'cli.binary', '/usr/local/bin/styxy', 'config.json');
+
+  assert.match(edited, /"cli": \{ "timeout_ms": 10000, "binary": "\/usr\/local\/bin\/styxy" \}/);
+});
+
+test('replaces a non-object parent with an object', () => {
+  const edited = editor.set('{ "daemon": 5 }', 'daemon.local_fallback', false, 'config.json');
+
+  assert.deepEqual(JSON.parse(edited), { daemon: { local_fallback: false } });
+});
+
+test('starts a missing file from an empty object', () => {
+  assert.equal(editor.set(null, 'daemon.local_fallback', false, 'config.json'),
+    '{\n  "daemon": {\n    "local_fallback": false\n  }\n}\n');
+});
+
+test('takes keys as parts so names may contain dots', () => {
+  const edited = editor.set('{}', ['ports', 'api.v2'], 3001, '.styxy.json');
+
+  assert.deepEqual(JSON.parse(edited), { ports: { 'api.v2': 3001 } });
+  assert.equal(editor.unset(edited, ['ports', 'api.v2'], '.styxy.json').replace(/\s/g, ''), '{"ports":{}}');
+});
+
+test('unsets first, middle, last and only members along with their commas', () => {
+  const text = '{\n  "a": 1,\n  "b": 2,\n  "c": 3\n}\n';
+
+  assert.deepEqual(JSON.parse(editor.unset(text, 'a', 'f')), { b: 2, c: 3 });
+  assert.deepEqual(JSON.parse(editor.unset(text, 'b', 'f')), { a: 1, c: 3 });
+  assert.equal(editor.unset(text, 'c', 'f'), '{\n  "a": 1,\n  "b": 2\n}\n');
+  assert.equal(editor.unset('{ "only": { "x": 1 } }', 'only.x', 'f'), '{ "only": {} }');
+});
+
+test('leaves the text unchanged when unsetting a key that is not there', () => {
+  assert.equal(editor.unset(FILE, 'daemon.log_path', 'config.json'), FILE);
+  assert.equal(editor.unset(FILE, 'redaction.placeholder', 'config.json'), FILE);
+  assert.equal(editor.unset(null, 'daemon.log_path', 'config.json'), null);
+});
+
+test('handles strings containing braces, quotes and escapes', () => {
+  const text = '{ "note": "a } \\" { tricky", "n": 1 }';
+
+  assert.deepEqual(JSON.parse(editor.set(text, 'n', 2, 'f')), { note: 'a } " { tricky', n: 2 });
+});
+
+test('refuses invalid JSON and non-object files with INVALID_CONFIG', () => {
+  for (const text of ['{ "a": ', '[1, 2]', '{ "a": 1 } trailing']) {
+    assert.throws(
+      () => editor.set(text, 'a', 2, 'config.json'),
+      (error) => error instanceof ValidationError && error.code === 'INVALID_CONFIG'
+    );
+  }
+});
+
+test('diffs only the changed lines with context', () => {
+  const before = 'a\nb\nc\nd\ne\nf\n';
+  const after = 'a\nb\nc\nD\ne\nf\n';
+
+  assert.equal(diffLines(before, after, { label: 'config.json', context: 1 }),
+    '--- config.json\n+++ config.json\n@@ -3,3 +3,3 @@\n c\n-d\n+D\n e');
+  assert.equal(diffLines(before, before), '');
+  assert.match(diffLines(null, '{}\n', { label: 'new.json' }), /^--- \/dev\/null\n\+\+\+ new\.json\n@@ -0,0 \+1,1 @@\n\+\{\}$/);
+});
+
+test('writes atomically, keeping the previous file as a backup and its mode', async (t) => {
+  const dir = tempDir(t, 'editor');
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, '{}\n', { mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+  // A backup left from an earlier edit, readable by everyone
+  fs.writeFileSync(`${file}.bak`, 'old\n', { mode: 0o644 });
+  fs.chmodSync(`${file}.bak`, 0o644);
+
+  const backup = await editor.write(file, '{}\n', '{ "a": 1 }\n');
+
+  assert.equal(backup, `${file}.bak`);
+  assert.equal(fs.readFileSync(backup, 'utf8'), '{}\n');
+  assert.equal(fs.readFileSync(file, 'utf8'), '{ "a": 1 }\n');
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.equal(fs.statSync(backup).mode & 0o777, 0o600);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['config.json', 'config.json.bak']);
+});
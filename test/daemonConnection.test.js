@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DaemonConnection, removeStaleSocket } from '../src/daemonConnection.js';
+import { DaemonConnectionError, DaemonTimeoutError } from '../src/errors.js';
+import { defer, tempDir } from './helpers/tmp.js';
+
+/**
+ * A daemon stand-in, stopped after the test; `onLine(command, socket)` answers each parsed command
+ */
+async function startServer(t, onLine) {
+  const dir = tempDir(t, 'conn');
+  const socketPath = path.join(dir, 'daemon.sock');
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        onLine(JSON.parse(line), socket);
+      }
+    });
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise(resolve => server.listen(socketPath, resolve));
+
+  defer(t, async () => {
+    for (const socket of sockets) socket.destroy();
+    await new Promise(resolve => server.close(resolve));
+  });
+  return { socketPath, sockets };
+}
+
+test('matches replies to requests by ID when they arrive out of order', async (t) => {
+  const held = [];
+  const server = await startServer(t, (command, socket) => {
+    held.push({ command, socket });
+    if (held.length === 2) {
+      // Answer the second request first
+      for (const { command: c, socket: s } of held.reverse()) {
+        s.write(JSON.stringify({ id: c.id, success: true, echo: c.type }) + '\n');
+      }
+    }
+  });
+  const connection = new DaemonConnection(server.socketPath);
+  defer(t, () => connection.close());
+
+  const [first, second] = await Promise.all([
+    connection.request({ type: 'status' }),
+    connection.request({ type: 'allocate' })
+  ]);
+
+  assert.equal(first.echo, 'status');
+  assert.equal(second.echo, 'allocate');
+  assert.equal(first.id, undefined);
+  assert.equal(connection.pending.size, 0);
+});
+
+test('reassembles replies split across chunks and several replies in one chunk', async (t) => {
+  let waiting = null;
+  const server = await startServer(t, (command, socket) => {
+    if (command.type === 'split') {
+      const reply = JSON.stringify({ id: command.id, success: true, payload: 'x'.repeat(100) }) + '\n';
+      socket.write(reply.slice(0, 10));
+      setTimeout(() => socket.write(reply.slice(10)), 20);
+    } else if (!waiting) {
+      waiting = command;
+    } else {
+      // Both replies in one write, with a blank line between
+      socket.write(`${JSON.stringify({ id: waiting.id, type: waiting.type })}\n\n${JSON.stringify({ id: command.id, type: command.type })}\n`);
+    }
+  });
+  const connection = new DaemonConnection(server.socketPath);
+  defer(t, () => connection.close());
+
+  const result = await connection.request({ type: 'split' });
+  assert.equal(result.payload.length, 100);
+
+  const results = await Promise.all([connection.request({ type: 'a' }), connection.request({ type: 'b' })]);
+  assert.deepEqual(results.map(r => r.type).sort(), ['a', 'b']);
+});
+
+test('answers requests in order when the daemon does not echo IDs', async (t) => {
+  const server = await startServer(t, (command, socket) => {
+    socket.write(JSON.stringify({ success: true, type: command.type }) + '\n');
+  });
+  const connection = new DaemonConnection(server.socketPath);
+  defer(t, () => connection.close());
+
+  const results = await Promise.all(['one', 'two', 'three'].map(type => connection.request({ type })));
+  assert.deepEqual(results.map(r => r.type), ['one', 'two', 'three']);
+});
+
+test('rejects in-flight requests with a typed error when the daemon disconnects', async (t) => {
+  const server = await startServer(t, (command, socket) => socket.destroy());
+  let closed = false;
+  const connection = new DaemonConnection(server.socketPath, { onClose: () => { closed = true; } });
+
+  await assert.rejects(connection.request({ type: 'status' }), DaemonConnectionError);
+  assert.equal(closed, true);
+  assert.equal(connection.isConnected(), false);
+});
+
+test('times out a request the daemon never answers', async (t) => {
+  const server = await startServer(t, () => {});
+  const connection = new DaemonConnection(server.socketPath, { requestTimeout: 50 });
+  defer(t, () => connection.close());
+
+  await assert.rejects(connection.request({ type: 'status' }), DaemonTimeoutError);
+  assert.equal(connection.pending.size, 0);
+});
+
+test('rejects with a typed error when the socket closes before the command is written', async () => {
+  const connection = new DaemonConnection('/nonexistent/daemon.sock');
+  connection.connect = async () => connection;
+
+  await assert.rejects(connection.request({ type: 'status' }), DaemonConnectionError);
+  assert.equal(connection.pending.size, 0);
+});
+
+test('reports an unreachable daemon as a connection error', async () => {
+  const connection = new DaemonConnection(path.join(os.tmpdir(), `styxy-missing-${process.pid}.sock`));
+  await assert.rejects(connection.connect(), DaemonConnectionError);
+});
+
+test('removeStaleSocket removes a dead socket file but refuses a live one', async (t) => {
+  const server = await startServer(t, () => {});
+
+  await assert.rejects(removeStaleSocket(server.socketPath), { code: 'EADDRINUSE' });
+
+  const stale = path.join(path.dirname(server.socketPath), 'stale.sock');
+  fs.writeFileSync(stale, '');
+  await removeStaleSocket(stale);
+  assert.equal(fs.existsSync(stale), false);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { EnvFileManager } from '../src/envFile.js';
+import { ValidationError } from '../src/errors.js';
+import { tempDir } from './helpers/tmp.js';
+
+function setup(t) {
+  const dir = tempDir(t, 'env');
+  return {
+    dir,
+    envPath: path.join(dir, '.env'),
+    manager: new EnvFileManager({ manifestPath: path.join(dir, 'state', 'env-changes.json') })
+  };
+}
+
+test('updates existing keys in place, keeping quotes and comments, and appends new ones', async (t) => {
+  const { dir, envPath, manager } = setup(t);
+  fs.writeFileSync(envPath, '# app\nPORT="3000" # dev\nexport OTHER=1\n');
+
+  const result = await manager.apply({ workingDir: dir, port: 3042, serviceType: 'web' });
+
+  assert.deepEqual(result.updated, ['PORT']);
+  assert.deepEqual(result.added.sort(), ['WEB_PORT', 'WEB_URL']);
+  assert.equal(fs.readFileSync(envPath, 'utf8'),
+    '# app\nPORT="3042" # dev\nexport OTHER=1\n\n# Added by styxy\nWEB_PORT=3042\nWEB_URL=http://localhost:3042\n');
+});
+
+test('reverts to the original content and removes the backup', async (t) => {
+  const { dir, envPath, manager } = setup(t);
+  const original = 'API_KEY=sekrit\nPORT=3000\n';
+  fs.writeFileSync(envPath, original);
+
+  const result = await manager.apply({ workingDir: dir, port: 3042, serviceType: 'web' });
+  assert.equal(fs.readFileSync(result.backup, 'utf8'), original);
+
+  await manager.revert([3042]);
+
+  assert.equal(fs.readFileSync(envPath, 'utf8'), original);
+  assert.equal(fs.existsSync(result.backup), false);
+});
+
+test('writes the backup with the permissions of the env file', async (t) => {
+  const { dir, envPath, manager } = setup(t);
+  fs.writeFileSync(envPath, 'API_KEY=sekrit\n', { mode: 0o600 });
+  fs.chmodSync(envPath, 0o600);
+
+  const result = await manager.apply({ workingDir: dir, port: 3042, serviceType: 'web' });
+
+  assert.equal(fs.statSync(result.backup).mode & 0o777, 0o600);
+  assert.equal(fs.statSync(envPath).mode & 0o777, 0o600);
+});
+
+test('keeps the first backup when the same file is applied again', async (t) => {
+  const { dir, envPath, manager } = setup(t);
+  const original = 'PORT=3000\n';
+  fs.writeFileSync(envPath, original);
+
+  const first = await manager.apply({ workingDir: dir, port: 3042, serviceType: 'web' });
+  const second = await manager.apply({ workingDir: dir, port: 3042, serviceType: 'web' });
+
+  assert.equal(second.backup, first.backup);
+  assert.equal(fs.readFileSync(first.backup, 'utf8'), original);
+
+  await manager.revert([3042]);
+  assert.equal(fs.readFileSync(envPath, 'utf8'), original);
+});
+
+test('keeps a shared backup until every allocation using it is reverted', async (t) => {
+  const { dir, envPath, manager } = setup(t);
+  fs.writeFileSync(envPath, 'OTHER=1\n');
+
+  const web = await manager.apply({ workingDir: dir, port: 3042, serviceType: 'web' });
+  await manager.apply({ workingDir: dir, port: 8042, serviceType: 'api' });
+
+  await manager.revert([8042]);
+  assert.equal(fs.existsSync(web.backup), true);
+
+  await manager.revert([3042]);
+  assert.equal(fs.existsSync(web.backup), false);
+  assert.equal(fs.readFileSync(envPath, 'utf8'), 'OTHER=1\n');
+});
+
+test('leaves values edited by hand since styxy wrote them', async (t) => {
+  const { dir, envPath, manager } = setup(t);
+  fs.writeFileSync(envPath, 'PORT=3000\n');
+
+  await manager.apply({ workingDir: dir, port: 3042, serviceType: 'web' });
+  fs.writeFileSync(envPath, fs.readFileSync(envPath, 'utf8').replace('PORT=3042', 'PORT=4000'));
+
+  const [reverted] = await manager.revert([3042]);
+
+  assert.equal(reverted.restored.includes('PORT'), false);
+  assert.match(fs.readFileSync(envPath, 'utf8'), /^PORT=4000$/m);
+});
+
+test('deletes an env file styxy created once it is reverted', async (t) => {
+  const { dir, envPath, manager } = setup(t);
+
+  const result = await manager.apply({ workingDir: dir, port: 3042, serviceType: 'web' });
+  assert.equal(result.backup, null);
+  assert.equal(fs.existsSync(envPath), true);
+
+  await manager.revert([3042]);
+  assert.equal(fs.existsSync(envPath), false);
+});
+
+test('refuses env files outside the working directory', async (t) => {
+  const { dir, manager } = setup(t);
+
+  assert.throws(() => manager.resolveEnvPath(dir, '../.env'), ValidationError);
+  assert.throws(() => manager.resolveEnvPath(dir, 'config.json'), ValidationError);
+  assert.equal(manager.resolveEnvPath(dir, '.env.local'), path.join(dir, '.env.local'));
+});
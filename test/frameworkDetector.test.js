@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { FrameworkDetector } from '../src/frameworkDetector.js';
+import { tempDir } from './helpers/tmp.js';
+
+const detector = new FrameworkDetector();
+
+/**
+ * A project directory holding `files`; objects are written as JSON
+ */
+function project(t, files) {
+  const dir = tempDir(t, 'project');
+  for (const [name, content] of Object.entries(files)) {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+test('detects Next.js with the package manager from its lockfile', async (t) => {
+  const dir = project(t, {
+    'package.json': { dependencies: { next: '14.0.0', react: '18.0.0' } },
+    'pnpm-lock.yaml': ''
+  });
+
+  const detection = await detector.detect(dir);
+
+  assert.equal(detection.framework, 'Next.js');
+  assert.equal(detection.serviceType, 'web');
+  assert.equal(detection.packageManager, 'pnpm');
+  assert.equal(detection.commandFor(3001), 'pnpm next dev -p 3001');
+});
+
+test('detects a framework from its config file alone', async (t) => {
+  const dir = project(t, { 'vite.config.ts': 'export default {}', 'package.json': {} });
+
+  const detection = await detector.detect(dir);
+
+  assert.equal(detection.framework, 'Vite');
+  assert.equal(detection.commandFor(5173), 'npx vite --port 5173');
+});
+
+test('takes the package manager from the packageManager field without a lockfile', async (t) => {
+  const dir = project(t, {
+    'package.json': { packageManager: 'yarn@4.1.0', dependencies: { express: '4.0.0' }, scripts: { dev: 'node server.js' } }
+  });
+
+  const detection = await detector.detect(dir);
+
+  assert.equal(detection.framework, 'Node server');
+  assert.equal(detection.packageManager, 'yarn');
+  assert.equal(detection.commandFor(8000), 'PORT=8000 yarn run dev');
+});
+
+test('narrows several matches to the requested service type', async (t) => {
+  const dir = project(t, {
+    'package.json': { dependencies: { vite: '5.0.0' }, devDependencies: { '@storybook/react': '8.0.0' } },
+    '.storybook/main.js': ''
+  });
+
+  const detection = await detector.detect(dir);
+  assert.deepEqual(detection.frameworks, ['Vite', 'Storybook']);
+  assert.equal(detection.framework, 'Vite');
+
+  const storybook = await detector.detect(dir, { serviceType: 'storybook' });
+  assert.equal(storybook.framework, 'Storybook');
+  assert.equal(storybook.commandFor(6006), 'npx storybook dev -p 6006');
+});
+
+test('reports no framework when the requested service type does not match', async (t) => {
+  const dir = project(t, { 'manage.py': '' });
+
+  const detection = await detector.detect(dir, { serviceType: 'web' });
+
+  assert.deepEqual(detection.frameworks, ['Django']);
+  assert.equal(detection.framework, null);
+  assert.equal(detection.commandFor(8000), null);
+});
+
+test('returns null for empty, missing and unparseable projects', async (t) => {
+  assert.equal(await detector.detect(project(t, {})), null);
+  assert.equal(await detector.detect(path.join(tempDir(t), 'missing')), null);
+  assert.equal(await detector.detect(project(t, { 'package.json': '{ "dependencies": ' })), null);
+});
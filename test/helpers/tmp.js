@@ -0,0 +1,51 @@
+/**
+ * Temp directories and teardown for tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const teardowns = new WeakMap();
+
+/**
+ * Run `fn` once the test finishes. Unlike t.after, the last one deferred runs
+ * first, so a daemon is stopped before the directory it writes to is removed
+ * @param {import('node:test').TestContext} t
+ * @param {Function} fn
+ */
+export function defer(t, fn) {
+  let stack = teardowns.get(t);
+  if (!stack) {
+    stack = [];
+    teardowns.set(t, stack);
+    t.after(async () => {
+      while (stack.length) await stack.pop()();
+    });
+  }
+  stack.push(fn);
+}
+
+/**
+ * A fresh directory under the system temp dir
+ * @param {import('node:test').TestContext} t
+ * @param {string} name - Included in the directory name to tell tests apart
+ */
+export function tempDir(t, name = 'test') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `styxy-${name}-`));
+  defer(t, () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * A temp directory as HOME, so ~/.styxy paths resolved during the test land in it
+ */
+export function tempHome(t) {
+  const previousHome = process.env.HOME;
+  const home = tempDir(t, 'home');
+  process.env.HOME = home;
+  defer(t, () => {
+    process.env.HOME = previousHome;
+  });
+  return home;
+}
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { AllocationLedger, compactEvents } from '../src/ledger.js';
+import { tempDir } from './helpers/tmp.js';
+
+function setup(t, options = {}) {
+  const file = path.join(tempDir(t, 'ledger'), 'allocations.jsonl');
+  return { file, ledger: new AllocationLedger({ ledgerPath: file, ...options }) };
+}
+
+const allocate = (port, fields = {}) => ({
+  event: 'allocate', port, project_name: 'demo', service_type: 'web', service_name: null, duration: 'session', ...fields
+});
+const release = (port) => ({ event: 'release', port });
+
+test('rereads the file only when another writer has changed it', async (t) => {
+  const { file, ledger } = setup(t);
+  await ledger.record('allocate', allocate(47300));
+
+  const first = await ledger.read();
+  assert.equal(await ledger.read(), first);
+
+  await ledger.record('release', release(47300));
+  assert.deepEqual((await ledger.read()).map(e => e.event), ['allocate', 'release']);
+
+  fs.appendFileSync(file, JSON.stringify({ event: 'allocate', port: 47301 }) + '\n');
+  assert.deepEqual((await ledger.read()).map(e => e.port), [47300, 47300, 47301]);
+});
+
+test('compacts the file once it passes the event limit', async (t) => {
+  const { file, ledger } = setup(t, { maxEvents: 6, keepRecent: 2 });
+
+  await ledger.record('allocate', allocate(47300, { service_type: 'db', duration: 'persistent' }));
+  for (let port = 47301; port <= 47306; port++) {
+    await ledger.record('allocate', allocate(port));
+  }
+
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(e => e.port), [47300, 47305, 47306]);
+  assert.deepEqual((await ledger.activePersistent()).map(e => e.port), [47300]);
+  assert.equal(await ledger.lastPort({ projectName: 'demo', serviceType: 'web' }), 47306);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['allocations.jsonl']);
+});
+
+test('compaction keeps the last port of each service and active persistent allocations', () => {
+  const events = [
+    allocate(47300, { service_type: 'db', duration: 'persistent' }),
+    allocate(47301, { service_type: 'api' }),
+    allocate(47302, { service_type: 'cache', duration: 'persistent' }),
+    release(47302),
+    allocate(47303),
+    allocate(47304),
+    allocate(47305)
+  ];
+
+  const kept = compactEvents(events, 1);
+
+  assert.deepEqual(kept, [events[0], events[1], events[2], events[3], events[6]]);
+});
+
+test('compaction keeps what ended a kept persistent allocation so replaying does not revive it', async (t) => {
+  const { file, ledger } = setup(t);
+  const events = [
+    allocate(47300, { duration: 'persistent' }),
+    allocate(47310, { service_type: 'worker' }),
+    allocate(47311, { service_type: 'worker' }),
+    allocate(47300, { service_type: 'api', duration: 'persistent' }),
+    release(47300),
+    release(47399)
+  ];
+  const kept = compactEvents(events, 1);
+  assert.deepEqual(kept.map(e => e.port), [47300, 47311, 47300, 47300, 47399]);
+  fs.writeFileSync(file, kept.map(e => JSON.stringify(e) + '\n').join(''));
+
+  assert.deepEqual(await ledger.activePersistent(), []);
+  assert.equal(await ledger.lastPort({ projectName: 'demo', serviceType: 'web' }), 47300);
+});
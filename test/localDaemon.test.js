@@ -0,0 +1,217 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { LocalDaemon } from '../src/localDaemon.js';
+import { DaemonConnection } from '../src/daemonConnection.js';
+import { defer, tempDir } from './helpers/tmp.js';
+
+const PORT_RANGE = { start: 47100, end: 47119 };
+
+/**
+ * A local daemon in a temp dir with a client connected over its socket
+ */
+async function startDaemon(t, options = {}) {
+  const baseDir = options.baseDir || tempDir(t, 'daemon');
+  const daemon = new LocalDaemon({ baseDir, portRange: PORT_RANGE, ...options });
+  await daemon.start();
+  const client = new DaemonConnection(daemon.socketPath);
+
+  defer(t, async () => {
+    client.close();
+    await daemon.stop();
+  });
+  return { daemon, client, baseDir };
+}
+
+const allocate = (client, { serviceType = 'web', projectName = 'demo', port, derivedPort, duration, sessionId = 'session-a', clientSessionId, policy } = {}) =>
+  client.request({
+    type: 'allocate',
+    context: { serviceType, projectName, claudeSessionId: sessionId, clientSessionId },
+    preferences: { port, derivedPort, duration },
+    policy,
+    metadata: {}
+  });
+
+test('allocates distinct ports from the configured range over the socket', async (t) => {
+  const { client } = await startDaemon(t);
+
+  const first = await allocate(client);
+  const second = await allocate(client);
+
+  assert.equal(first.success, true);
+  assert.ok(first.port >= PORT_RANGE.start && first.port <= PORT_RANGE.end);
+  assert.notEqual(first.port, second.port);
+
+  const status = await client.request({ type: 'status' });
+  assert.equal(status.mode, 'local');
+  assert.deepEqual(status.active_ports.map(a => a.port).sort(), [first.port, second.port].sort());
+  assert.ok(Date.parse(status.started_at) <= Date.now());
+});
+
+test('honors a free preferred port and reports an allocated one as a conflict', async (t) => {
+  const { client } = await startDaemon(t);
+  const preferred = PORT_RANGE.start + 5;
+
+  const first = await allocate(client, { port: preferred });
+  assert.equal(first.port, preferred);
+  assert.equal(first.conflict_info, null);
+
+  const second = await allocate(client, { port: preferred });
+  assert.notEqual(second.port, preferred);
+  assert.match(second.conflict_info, /already allocated by styxy/);
+});
+
+test('lets only an explicit preferred port override the avoided ports', async (t) => {
+  const { client } = await startDaemon(t);
+  const avoided = PORT_RANGE.start + 5;
+  const policy = { service_type: 'web', range: PORT_RANGE, avoid_ports: [avoided], max_per_project: null, strategy: 'nearest' };
+
+  const derived = await allocate(client, { port: avoided, derivedPort: true, policy });
+  assert.notEqual(derived.port, avoided);
+  assert.equal(Math.abs(derived.port - avoided), 1);
+  assert.match(derived.conflict_info, /avoided ports for web/);
+
+  const explicit = await allocate(client, { port: avoided, policy });
+  assert.equal(explicit.port, avoided);
+  assert.equal(explicit.conflict_info, null);
+});
+
+test('releases by port and refuses ports owned by another session without override', async (t) => {
+  const { client } = await startDaemon(t);
+  const mine = await allocate(client, { sessionId: 'session-a' });
+  const theirs = await allocate(client, { sessionId: 'session-b' });
+
+  const released = await client.request({ type: 'release', selector: { port: mine.port }, session_id: 'session-a' });
+  assert.deepEqual(released.released.map(r => r.port), [mine.port]);
+
+  const refused = await client.request({ type: 'release', selector: { port: theirs.port }, session_id: 'session-a' });
+  assert.equal(refused.released.length, 0);
+  assert.equal(refused.refused[0].owner_session, 'session-b');
+
+  const forced = await client.request({ type: 'release', selector: { port: theirs.port }, session_id: 'session-a', override: true });
+  assert.deepEqual(forced.released.map(r => r.port), [theirs.port]);
+});
+
+test('expires temporary allocations after their TTL', async (t) => {
+  const { client } = await startDaemon(t, { temporaryTtlMs: 50 });
+
+  const temporary = await allocate(client, { duration: 'temporary' });
+  const persistent = await allocate(client, { duration: 'persistent' });
+  assert.ok(temporary.expires_at);
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  const status = await client.request({ type: 'status' });
+  assert.deepEqual(status.active_ports.map(a => a.port), [persistent.port]);
+});
+
+test('releases only session-duration ports when a session ends', async (t) => {
+  const { client } = await startDaemon(t);
+  const session = await allocate(client, { duration: 'session' });
+  const persistent = await allocate(client, { duration: 'persistent' });
+
+  const ended = await client.request({ type: 'session_end', session_id: 'session-a' });
+  assert.deepEqual(ended.released.map(r => r.port), [session.port]);
+
+  const status = await client.request({ type: 'status' });
+  assert.deepEqual(status.active_ports.map(a => a.port), [persistent.port]);
+});
+
+test('treats sessions of the same Claude session as one owner when releasing', async (t) => {
+  const { client } = await startDaemon(t);
+  const allocation = await allocate(client, { clientSessionId: 'claude-1' });
+
+  const release = (clientSessionId) => client.request({
+    type: 'release',
+    selector: { port: allocation.port },
+    session_id: 'session-b',
+    client_session_id: clientSessionId
+  });
+
+  const stranger = await release('claude-2');
+  assert.deepEqual(stranger.refused.map(r => r.port), [allocation.port]);
+
+  const restarted = await release('claude-1');
+  assert.deepEqual(restarted.released.map(r => r.port), [allocation.port]);
+});
+
+test('hands session ports over to a live session of the same Claude session', async (t) => {
+  const { client } = await startDaemon(t);
+  await client.request({ type: 'heartbeat', session_id: 'session-a', client_session_id: 'claude-1' });
+  await client.request({ type: 'heartbeat', session_id: 'session-b', client_session_id: 'claude-1' });
+  const allocation = await allocate(client, { duration: 'session', clientSessionId: 'claude-1' });
+
+  const ended = await client.request({ type: 'session_end', session_id: 'session-a' });
+  assert.deepEqual(ended.released, []);
+
+  const status = await client.request({ type: 'status' });
+  assert.deepEqual(status.active_ports.map(a => a.port), [allocation.port]);
+
+  const successorEnded = await client.request({ type: 'session_end', session_id: 'session-b' });
+  assert.deepEqual(successorEnded.released.map(r => r.port), [allocation.port]);
+});
+
+test('allocates a stack all-or-nothing', async (t) => {
+  const { client } = await startDaemon(t);
+
+  const stack = await client.request({
+    type: 'allocate_stack',
+    context: { projectName: 'demo', claudeSessionId: 'session-a' },
+    services: [{ serviceType: 'web', serviceName: 'frontend' }, { serviceType: 'api', serviceName: 'backend' }],
+    preferences: {},
+    metadata: {}
+  });
+  assert.equal(stack.success, true);
+  assert.deepEqual(stack.allocations.map(a => a.service_name), ['frontend', 'backend']);
+
+  const tooBig = await client.request({
+    type: 'allocate_stack',
+    context: { projectName: 'demo' },
+    services: Array.from({ length: 30 }, (_, i) => ({ serviceType: 'web', serviceName: `s${i}` })),
+    preferences: {},
+    metadata: {}
+  });
+  assert.equal(tooBig.success, false);
+
+  const status = await client.request({ type: 'status' });
+  assert.equal(status.active_ports.length, 2);
+});
+
+test('keeps allocations across a restart', async (t) => {
+  const baseDir = tempDir(t, 'daemon');
+
+  const first = new LocalDaemon({ baseDir, portRange: PORT_RANGE });
+  await first.start();
+  const client = new DaemonConnection(first.socketPath);
+  const allocation = await allocate(client, { duration: 'persistent' });
+  client.close();
+  await first.stop();
+
+  const { client: again } = await startDaemon(t, { baseDir });
+  const status = await again.request({ type: 'status' });
+  assert.deepEqual(status.active_ports.map(a => a.port), [allocation.port]);
+});
+
+test('answers unknown commands with an error instead of dropping them', async (t) => {
+  const { client } = await startDaemon(t);
+
+  const unknown = await client.request({ type: 'bogus' });
+  assert.equal(unknown.success, false);
+  assert.match(unknown.error, /Unknown command type/);
+});
+
+test('answers log queries from the log file, including entries from earlier runs', async (t) => {
+  const baseDir = tempDir(t, 'daemon');
+  const earlier = { timestamp: new Date(Date.now() - 10 * 60e3).toISOString(), level: 'error', message: 'from a previous run' };
+  fs.writeFileSync(path.join(baseDir, 'daemon.log'), JSON.stringify(earlier) + '\n');
+
+  const { client } = await startDaemon(t, { baseDir });
+  const logs = await client.request({ type: 'logs', options: { level: 'info', time_range: '1h' } });
+
+  assert.match(logs.entries[0], /from a previous run/);
+  assert.ok(logs.entries.some(entry => /Local daemon listening/.test(entry)));
+
+  const status = await client.request({ type: 'status' });
+  assert.deepEqual(status.recent_errors, []);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { readLogs, parseLogLine, findLogFiles } from '../src/logReader.js';
+import { ValidationError } from '../src/errors.js';
+import { tempDir } from './helpers/tmp.js';
+
+const ago = (minutes) => new Date(Date.now() - minutes * 60e3).toISOString();
+const json = (minutes, level, message) => JSON.stringify({ timestamp: ago(minutes), level, message });
+
+function logDir(t) {
+  const dir = tempDir(t, 'logs');
+  return { dir, logPath: path.join(dir, 'daemon.log') };
+}
+
+test('parses JSON and text lines, normalizing level aliases', () => {
+  assert.deepEqual(parseLogLine('{"timestamp":"2026-01-01T00:00:00Z","level":"WARNING","msg":"slow"}').level, 'warn');
+
+  const text = parseLogLine('2026-01-01T00:00:00Z [ERROR] bind failed');
+  assert.equal(text.level, 'error');
+  assert.equal(text.message, 'bind failed');
+
+  assert.deepEqual(parseLogLine('plain words'), { timestamp: null, time: null, level: 'info', message: 'plain words' });
+});
+
+test('follows rotations, including gzipped ones, newest file first', async (t) => {
+  const { dir, logPath } = logDir(t);
+  fs.writeFileSync(path.join(dir, 'daemon.log.2.gz'), zlib.gzipSync(`${json(50, 'info', 'oldest')}\n`));
+  fs.writeFileSync(path.join(dir, 'daemon.log.1'), `${json(30, 'info', 'older')}\n`);
+  fs.writeFileSync(logPath, `${json(10, 'info', 'newest')}\n`);
+  fs.writeFileSync(path.join(dir, 'other.log'), `${json(5, 'info', 'unrelated')}\n`);
+
+  assert.deepEqual((await findLogFiles(logPath)).map(f => path.basename(f)), ['daemon.log', 'daemon.log.1', 'daemon.log.2.gz']);
+
+  const result = await readLogs(logPath, { time_range: '1h' });
+  assert.deepEqual(result.entries.map(e => e.split(' ').pop()), ['oldest', 'older', 'newest']);
+  assert.deepEqual(result.files, ['daemon.log', 'daemon.log.1', 'daemon.log.2.gz']);
+});
+
+test('stops at the time window and filters by level and regex', async (t) => {
+  const { logPath } = logDir(t);
+  fs.writeFileSync(logPath, [
+    json(120, 'error', 'too old'),
+    json(20, 'debug', 'allocate 3000 details'),
+    json(15, 'info', 'allocated 3000'),
+    json(10, 'error', 'allocate 3001 failed'),
+    json(5, 'warn', 'release slow')
+  ].join('\n') + '\n');
+
+  const errors = await readLogs(logPath, { level: 'error', time_range: '1h' });
+  assert.equal(errors.entries.length, 1);
+  assert.match(errors.entries[0], /allocate 3001 failed/);
+
+  const filtered = await readLogs(logPath, { level: 'debug', filter: 'allocat', time_range: '1h' });
+  assert.equal(filtered.entries.length, 3);
+  assert.deepEqual(filtered.counts, { debug: 1, info: 1, error: 1 });
+});
+
+test('returns the newest entries up to the limit in chronological order', async (t) => {
+  const { logPath } = logDir(t);
+  fs.writeFileSync(logPath, [1, 2, 3, 4, 5].map(n => json(10 - n, 'info', `entry ${n}`)).join('\n') + '\n');
+
+  const result = await readLogs(logPath, { limit: 2 });
+  assert.deepEqual(result.entries.map(e => e.split(' ').pop()), ['4', '5']);
+  assert.match(result.summary, /Returned 2 of 5/);
+});
+
+test('folds indented continuation lines into the entry above', async (t) => {
+  const { logPath } = logDir(t);
+  fs.writeFileSync(logPath, `${new Date().toISOString()} [ERROR] crashed\n    at main (index.js:1)\n    at run (index.js:2)\n`);
+
+  const result = await readLogs(logPath, { level: 'error' });
+  assert.equal(result.entries.length, 1);
+  assert.match(result.entries[0], /crashed\n {4}at main \(index\.js:1\)\n {4}at run/);
+});
+
+test('reads lines spanning the chunk boundary intact', async (t) => {
+  const { logPath } = logDir(t);
+  const long = 'x'.repeat(70 * 1024);
+  fs.writeFileSync(logPath, `${json(2, 'info', long)}\n${json(1, 'info', 'after')}\n`);
+
+  const result = await readLogs(logPath);
+  assert.equal(result.entries.length, 2);
+  assert.ok(result.entries[0].endsWith(long));
+});
+
+test('rejects an invalid filter regex and reports missing files', async (t) => {
+  const { logPath } = logDir(t);
+
+  await assert.rejects(readLogs(logPath, { filter: '(' }), ValidationError);
+  assert.match((await readLogs(logPath)).summary, /No log files found/);
+});
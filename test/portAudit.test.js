@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { PortAuditor } from '../src/portAudit.js';
+import { defaultConfig } from '../src/config.js';
+import { defer } from './helpers/tmp.js';
+
+const HOUR_AGO = new Date(Date.now() - 3600e3).toISOString();
+
+async function listen(t) {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  defer(t, () => new Promise(resolve => server.close(resolve)));
+  return server.address().port;
+}
+
+async function freePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * An auditor over a client stub reporting `activePorts`, recording releases
+ */
+function setup(activePorts) {
+  const released = [];
+  const config = defaultConfig();
+  config.daemon.port_range = { start: 1, end: 65535 };
+
+  const auditor = new PortAuditor({
+    styxyClient: {
+      getStatus: async () => ({ active_ports: activePorts, source: 'daemon' }),
+      loadConfig: async () => config,
+      releasePort: async (options) => {
+        released.push(options);
+        return { released: [{ port: options.port }] };
+      }
+    }
+  });
+  return { auditor, released };
+}
+
+test('classifies tracked ports as live, starting or stale and untracked listeners as orphans', async (t) => {
+  const live = await listen(t);
+  const orphan = await listen(t);
+  const fresh = await freePort();
+  const old = await freePort();
+  const { auditor } = setup([
+    { port: live, service_type: 'web', allocated_at: HOUR_AGO },
+    { port: fresh, service_type: 'api', allocated_at: new Date().toISOString() },
+    { port: old, service_type: 'api', allocated_at: HOUR_AGO }
+  ]);
+
+  const report = await auditor.audit();
+
+  assert.deepEqual(report.tracked_live.map(e => e.port), [live]);
+  assert.deepEqual(report.starting.map(e => e.port), [fresh]);
+  assert.deepEqual(report.stale.map(e => e.port), [old]);
+  if (report.orphan_lookup === 'proc') {
+    assert.ok(report.orphans.some(entry => entry.port === orphan && entry.holders[0].pid === process.pid));
+    assert.ok(!report.orphans.some(entry => entry.port === live));
+  }
+});
+
+test('only plans actions until confirmed', async () => {
+  const port = await freePort();
+  const { auditor, released } = setup([{ port, session_id: 'session-a', allocated_at: HOUR_AGO }]);
+  const report = await auditor.audit();
+
+  const actions = await auditor.applyActions(report, { releaseStale: [port, 1], sessionId: 'session-a' });
+
+  assert.deepEqual(actions.map(a => [a.port, a.status]), [[port, 'planned'], [1, 'skipped']]);
+  assert.deepEqual(released, []);
+});
+
+test('releases stale allocations of this session without overriding ownership', async () => {
+  const own = await freePort();
+  const sameClaudeSession = await freePort();
+  const { auditor, released } = setup([
+    { port: own, session_id: 'session-a', allocated_at: HOUR_AGO },
+    { port: sameClaudeSession, session_id: 'session-old', client_session_id: 'claude-1', allocated_at: HOUR_AGO }
+  ]);
+  const report = await auditor.audit();
+
+  const actions = await auditor.applyActions(report, {
+    releaseStale: [own, sameClaudeSession],
+    confirm: true,
+    sessionId: 'session-a',
+    clientSessionId: 'claude-1'
+  });
+
+  assert.deepEqual(actions.map(a => a.status), ['done', 'done']);
+  assert.deepEqual(released.map(r => [r.port, r.overrideOwnership]), [[own, false], [sameClaudeSession, false]]);
+});
+
+test('skips stale allocations of other sessions unless ownership is overridden', async () => {
+  const port = await freePort();
+  const { auditor, released } = setup([{ port, session_id: 'session-b', allocated_at: HOUR_AGO }]);
+  const report = await auditor.audit();
+
+  const skipped = await auditor.applyActions(report, { releaseStale: [port], confirm: true, sessionId: 'session-a' });
+  assert.equal(skipped[0].status, 'skipped');
+  assert.match(skipped[0].message, /another Claude session/);
+  assert.deepEqual(released, []);
+
+  const overridden = await auditor.applyActions(report, {
+    releaseStale: [port],
+    confirm: true,
+    overrideOwnership: true,
+    sessionId: 'session-a'
+  });
+  assert.equal(overridden[0].status, 'done');
+  assert.equal(released[0].overrideOwnership, true);
+});
+
+test('refuses to signal this process', async (t) => {
+  const port = await listen(t);
+  const { auditor } = setup([]);
+  const report = await auditor.audit();
+  if (report.orphan_lookup !== 'proc') {
+    t.skip('/proc is not available');
+    return;
+  }
+
+  const actions = await auditor.applyActions(report, { terminateOrphans: [port], confirm: true });
+
+  assert.deepEqual(actions.map(a => [a.pid, a.status]), [[process.pid, 'skipped']]);
+});
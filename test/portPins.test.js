@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { PortPins, PIN_FILE } from '../src/portPins.js';
+import { ValidationError } from '../src/errors.js';
+import { tempDir } from './helpers/tmp.js';
+
+function setup(t) {
+  const dir = tempDir(t, 'pins');
+  return { dir, file: path.join(dir, PIN_FILE), pins: new PortPins() };
+}
+
+test('pins and unpins without reformatting the rest of the file', async (t) => {
+  const { dir, file, pins } = setup(t);
+  const original = '{\n    "daemon": { "port_range": { "start": 3000, "end": 3999 } },\n    "ports": {\n        "web": 3000\n    }\n}\n';
+  fs.writeFileSync(file, original);
+
+  const pinned = await pins.update(dir, 'api', 3001);
+  assert.deepEqual(pinned.pins, { web: 3000, api: 3001 });
+  assert.equal(fs.readFileSync(file, 'utf8'),
+    '{\n    "daemon": { "port_range": { "start": 3000, "end": 3999 } },\n    "ports": {\n        "web": 3000,\n        "api": 3001\n    }\n}\n');
+
+  const unpinned = await pins.update(dir, 'api', null);
+  assert.equal(unpinned.previous_port, 3001);
+  assert.equal(fs.readFileSync(file, 'utf8'), original);
+});
+
+test('creates the pin file and looks pins up by name, then type', async (t) => {
+  const { dir, file, pins } = setup(t);
+
+  await pins.update(dir, 'web', 3000);
+  await pins.update(dir, 'api.v2', 3001);
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { ports: { web: 3000, 'api.v2': 3001 } });
+  assert.equal((await pins.lookup(dir, { serviceName: 'api.v2', serviceType: 'api' })).port, 3001);
+  assert.equal((await pins.lookup(dir, { serviceName: 'storefront', serviceType: 'web' })).key, 'web');
+});
+
+test('refuses to edit an invalid pin file and ignores it when looking up', async (t) => {
+  const { dir, file, pins } = setup(t);
+  fs.writeFileSync(file, '{ "ports": ');
+
+  await assert.rejects(pins.update(dir, 'web', 3000), ValidationError);
+  assert.equal(fs.readFileSync(file, 'utf8'), '{ "ports": ');
+  assert.equal(await pins.lookup(dir, { serviceType: 'web' }), null);
+});
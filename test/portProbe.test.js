@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { checkPort, isPortFree, findListeningSockets, describeHolders } from '../src/portProbe.js';
+import { defer } from './helpers/tmp.js';
+
+/**
+ * Listen on `host`, closed after the test; a null port means the address
+ * family isn't available here
+ */
+async function listen(t, host) {
+  const server = net.createServer();
+  const listening = await new Promise((resolve) => {
+    server.once('error', () => resolve(false));
+    server.listen(0, host, () => resolve(true));
+  });
+  if (!listening) return null;
+
+  defer(t, () => new Promise(resolve => server.close(resolve)));
+  return server.address().port;
+}
+
+async function freePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '0.0.0.0', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+test('reports a free port as available with no holders', async (t) => {
+  const port = await freePort();
+
+  const report = await checkPort(port);
+
+  assert.equal(report.available, true);
+  assert.equal(report.ipv4.available, true);
+  assert.deepEqual(report.holders, []);
+  assert.equal(await isPortFree(port), true);
+});
+
+test('reports a port in use along with the process holding it', async (t) => {
+  const port = await listen(t, '0.0.0.0');
+
+  const report = await checkPort(port);
+
+  assert.equal(report.available, false);
+  assert.deepEqual(report.ipv4, { available: false, error: 'EADDRINUSE' });
+  assert.equal(await isPortFree(port), false);
+
+  if (report.holder_lookup === 'unsupported') {
+    t.skip('/proc is not available');
+    return;
+  }
+  assert.deepEqual(report.holders.map(h => [h.family, h.address, h.pid]), [['IPv4', '0.0.0.0', process.pid]]);
+  assert.match(report.holders[0].command, /node/);
+  assert.equal(report.holders[0].cwd, process.cwd());
+});
+
+test('decodes IPv4 and IPv6 loopback listeners from /proc', async (t) => {
+  const ipv4 = await listen(t, '127.0.0.1');
+  const ipv6 = await listen(t, '::1');
+
+  const sockets = await findListeningSockets(ipv4);
+  if (sockets === null) {
+    t.skip('/proc is not available');
+    return;
+  }
+  assert.deepEqual(sockets.map(s => [s.family, s.address]), [['IPv4', '127.0.0.1']]);
+
+  if (ipv6 !== null) {
+    assert.deepEqual((await findListeningSockets(ipv6)).map(s => [s.family, s.address]), [['IPv6', '::1']]);
+  }
+});
+
+test('describes holders once per process', () => {
+  const holder = { pid: 4242, command: 'node server.js', cwd: '/srv' };
+
+  assert.equal(describeHolders({ port: 3000, holders: [holder, { ...holder, family: 'IPv6' }] }),
+    'Port 3000 is in use by PID 4242 (node server.js)');
+  assert.equal(describeHolders({ port: 3000, holders: [{ pid: null, command: null }] }),
+    'Port 3000 is in use by another process');
+});
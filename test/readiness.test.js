@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import net from 'net';
+import { waitForPort } from '../src/readiness.js';
+import { defer } from './helpers/tmp.js';
+
+/**
+ * Listen on a free loopback port, closed after the test
+ */
+async function listen(t, server, port = 0) {
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+  defer(t, async () => {
+    for (const socket of sockets) socket.destroy();
+    await new Promise(resolve => server.close(resolve));
+  });
+  return server.address().port;
+}
+
+// A port nothing listens on
+async function freePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+const respond = (status) => http.createServer((request, response) => {
+  response.statusCode = status;
+  response.end();
+});
+
+test('reports a listening port ready over TCP on the first attempt', async (t) => {
+  const port = await listen(t, net.createServer());
+
+  const result = await waitForPort({ port, host: '127.0.0.1', timeoutMs: 1000 });
+
+  assert.equal(result.ready, true);
+  assert.equal(result.mode, 'tcp');
+  assert.equal(result.attempts, 1);
+});
+
+test('keeps polling until the port starts listening', async (t) => {
+  const port = await freePort();
+  setTimeout(() => listen(t, net.createServer(), port), 200);
+
+  const result = await waitForPort({ port, host: '127.0.0.1', timeoutMs: 3000, intervalMs: 50 });
+
+  assert.equal(result.ready, true);
+  assert.ok(result.attempts > 1);
+});
+
+test('checks the HTTP status against the expected one', async (t) => {
+  const port = await listen(t, respond(503));
+
+  const failing = await waitForPort({ port, host: '127.0.0.1', path: '/health', timeoutMs: 200, intervalMs: 50 });
+  assert.equal(failing.ready, false);
+  assert.equal(failing.mode, 'http');
+  assert.match(failing.last_error, /returned 503/);
+
+  const expected = await waitForPort({ port, host: '127.0.0.1', path: '/health', expectedStatus: 503, timeoutMs: 200 });
+  assert.equal(expected.ready, true);
+  assert.equal(expected.status, 503);
+});
+
+test('stops a hanging probe once the overall timeout has passed', async (t) => {
+  // Accepts the request but never answers it
+  const port = await listen(t, http.createServer(() => {}));
+
+  const started = Date.now();
+  const result = await waitForPort({ port, host: '127.0.0.1', path: '/', timeoutMs: 300 });
+
+  assert.equal(result.ready, false);
+  assert.match(result.last_error, /timed out/);
+  assert.ok(Date.now() - started < 1500, `took ${Date.now() - started}ms`);
+});
+
+test('gives up early when shouldAbort returns a reason', async () => {
+  const port = await freePort();
+
+  const result = await waitForPort({
+    port,
+    host: '127.0.0.1',
+    timeoutMs: 5000,
+    shouldAbort: () => 'Managed service exited'
+  });
+
+  assert.equal(result.ready, false);
+  assert.equal(result.attempts, 1);
+  assert.equal(result.last_error, 'Managed service exited');
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Redactor } from '../src/redaction.js';
+
+const redactor = new Redactor();
+const text = (line) => redactor.redactString(line).text;
+
+test('masks passwords in URLs and tokens after an auth scheme', () => {
+  assert.equal(text('postgres://app:hunter2@db:5432/app'), 'postgres://app:[REDACTED]@db:5432/app');
+  assert.equal(text('Authorization: Bearer abcdefgh12345'), 'Authorization: Bearer [REDACTED]');
+});
+
+test('masks sensitive key=value pairs, keeping quotes and other pairs', () => {
+  assert.equal(text('password="s3cret" user=bob'), 'password="[REDACTED]" user=bob');
+  assert.equal(text('{"api_key": "xyz", "port": 3000}'), '{"api_key": "[REDACTED]", "port": 3000}');
+  assert.equal(text('GET https://api.example.com/x?token=abc&page=2'), 'GET https://api.example.com/x?token=[REDACTED]&page=2');
+  assert.equal(text('monkey=banana port=3000'), 'monkey=banana port=3000');
+});
+
+test('counts each masked value once', () => {
+  assert.equal(redactor.redactString('Authorization: Bearer abcdefgh12345').count, 1);
+  assert.equal(redactor.redactString('secret=a token=b').count, 2);
+  assert.equal(redactor.redactString('nothing to see').count, 0);
+});
+
+test('masks everything under a sensitive key in a config tree and reports the fields', () => {
+  const result = redactor.redactValue({
+    daemon: { socket_path: '/home/me/.styxy/daemon.sock', port_range: { start: 3000, end: 3999 } },
+    auth: { token: { value: 'abc', scopes: ['read', 'write'] } },
+    secrets: { enabled: true },
+    cache: 'redis://:pw@localhost:6379'
+  });
+
+  assert.deepEqual(result.value, {
+    daemon: { socket_path: '/home/me/.styxy/daemon.sock', port_range: { start: 3000, end: 3999 } },
+    auth: { token: { value: '[REDACTED]', scopes: ['[REDACTED]', '[REDACTED]'] } },
+    secrets: { enabled: true },
+    cache: 'redis://:[REDACTED]@localhost:6379'
+  });
+  assert.deepEqual(result.fields, ['auth.token.value', 'auth.token.scopes[0]', 'auth.token.scopes[1]', 'cache']);
+  assert.equal(result.count, 4);
+});
+
+test('applies configured key and value patterns and placeholder', () => {
+  const custom = new Redactor({ key_patterns: ['^internal_'], value_patterns: ['ghp_[A-Za-z0-9]+'], placeholder: '***' });
+
+  assert.deepEqual(custom.redactString('internal_id=7 pushed with ghp_abc123'), {
+    text: 'internal_id=*** pushed with ***',
+    count: 2
+  });
+});
+
+test('skips invalid configured patterns and redacts log lines', () => {
+  const lenient = new Redactor({ key_patterns: ['('], value_patterns: ['['] });
+
+  assert.deepEqual(lenient.redactLines(['started', 'password=x']), { lines: ['started', 'password=[REDACTED]'], count: 1 });
+});
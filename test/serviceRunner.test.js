@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import { ServiceRunner, OutputBuffer } from '../src/serviceRunner.js';
+import { StyxyError } from '../src/errors.js';
+
+test('rejects with SPAWN_FAILED and tracks nothing when the working directory is missing', async () => {
+  const exits = [];
+  const runner = new ServiceRunner({ onExit: service => exits.push(service) });
+
+  await assert.rejects(
+    runner.start({ command: 'true', port: 47200, workingDir: '/nonexistent/styxy-test' }),
+    (error) => error instanceof StyxyError && error.code === 'SPAWN_FAILED'
+  );
+  assert.equal(runner.get(47200), null);
+  assert.deepEqual(exits, []);
+});
+
+test('captures output, injects PORT and reports the exit handler result on stop', async () => {
+  const runner = new ServiceRunner({ onExit: service => ({ released: true, port: service.port }) });
+
+  const started = await runner.start({
+    command: 'echo "port=$PORT"; exec sleep 30',
+    port: 47201,
+    workingDir: os.tmpdir()
+  });
+  assert.equal(typeof started.pid, 'number');
+  assert.equal(started.status, 'running');
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const stopped = await runner.stop(47201);
+
+  assert.equal(stopped.status, 'exited');
+  assert.deepEqual(stopped.exit_result, { released: true, port: 47201 });
+  assert.deepEqual(runner.output(47201).lines.map(l => l.line), ['port=47201']);
+});
+
+test('output buffer keeps the newest lines and joins partial chunks', () => {
+  const buffer = new OutputBuffer(2);
+  buffer.write('stdout', 'one\ntw');
+  buffer.write('stdout', 'o\nthree\nfour');
+  buffer.flush();
+
+  assert.deepEqual(buffer.tail().map(l => l.line), ['three', 'four']);
+  assert.equal(buffer.dropped, 2);
+});
+
+test('killAll can be limited to one session\'s services', async (t) => {
+  const runner = new ServiceRunner();
+  const start = (port, sessionId) => runner.start({
+    command: 'exec sleep 30',
+    port,
+    workingDir: os.tmpdir(),
+    allocation: { session_id: sessionId }
+  });
+  await start(47202, 'session-a');
+  await start(47203, 'session-b');
+  t.after(() => runner.killAll());
+
+  runner.killAll({ sessionId: 'session-a' });
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  assert.equal(runner.get(47202).status, 'exited');
+  assert.equal(runner.get(47203).status, 'running');
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BUILTIN_SERVICE_TYPES,
+  buildServiceTemplates,
+  generateEnvBlock,
+  getServiceTemplate,
+  listServiceTypes,
+  toEnvPrefix
+} from '../src/serviceTemplates.js';
+
+const templates = buildServiceTemplates({
+  temporal: {
+    description: 'Temporal server',
+    examples: ['temporal server start-dev --port {port}', 'uses {unknown}'],
+    env: { '{prefix}_PORT': '{port}', TEMPORAL_ADDRESS: 'localhost:{port}' }
+  },
+  web: { description: 'Vite preview servers' }
+});
+
+test('lists built-in types first, then declared ones', () => {
+  const types = listServiceTypes(templates);
+
+  assert.deepEqual(types.map(t => t.name), [...Object.keys(BUILTIN_SERVICE_TYPES), 'temporal']);
+  assert.deepEqual(types.at(-1), { name: 'temporal', description: 'Temporal server', builtin: false });
+  assert.equal(types.find(t => t.name === 'web').description, 'Vite preview servers');
+  assert.equal(listServiceTypes({}).find(t => t.name === 'web').description, BUILTIN_SERVICE_TYPES.web);
+});
+
+test('fills port and prefix placeholders, leaving unknown ones as written', () => {
+  const temporal = getServiceTemplate('temporal', templates);
+
+  assert.deepEqual(temporal.examples(7233), ['temporal server start-dev --port 7233', 'uses {unknown}']);
+  assert.deepEqual(temporal.env(7233, 'TEMPORAL'), { TEMPORAL_PORT: 7233, TEMPORAL_ADDRESS: 'localhost:7233' });
+});
+
+test('keeps the parts of a built-in type that config does not replace', () => {
+  const web = getServiceTemplate('web', templates);
+
+  assert.equal(web.examples, getServiceTemplate('web', {}).examples);
+  assert.deepEqual(web.env(3000, 'WEB'), { WEB_PORT: 3000, WEB_URL: 'http://localhost:3000' });
+  assert.deepEqual(getServiceTemplate('minio', templates).env(9000, 'MINIO'), { MINIO_PORT: 9000 });
+});
+
+test('prefixes env vars by type, falling back to the service name for a repeated type', () => {
+  const env = generateEnvBlock([
+    { service_type: 'api', service_name: 'users', port: 4000 },
+    { service_type: 'api', service_name: 'billing-v2', port: 4001 },
+    { service_type: 'temporal', port: 7233 }
+  ], templates);
+
+  assert.deepEqual(env, {
+    API_PORT: 4000,
+    API_URL: 'http://localhost:4000',
+    BILLING_V2_PORT: 4001,
+    BILLING_V2_URL: 'http://localhost:4001',
+    TEMPORAL_PORT: 7233,
+    TEMPORAL_ADDRESS: 'localhost:7233'
+  });
+  assert.equal(toEnvPrefix('--my.service--'), 'MY_SERVICE');
+});
+
+test('keeps the first value when two services set the same variable', () => {
+  const env = generateEnvBlock([
+    { service_type: 'cache', port: 6379 },
+    { service_type: 'cache', service_name: 'sessions', port: 6380 }
+  ], {});
+
+  assert.equal(env.REDIS_URL, 'redis://localhost:6379');
+  assert.equal(env.SESSIONS_PORT, 6380);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import { SessionManager } from '../src/sessionManager.js';
+
+/**
+ * A client stub recording every call; `overrides` replace its methods
+ */
+function stubClient(overrides = {}) {
+  const calls = [];
+  const record = (name, result) => async (options) => {
+    calls.push([name, options]);
+    return result;
+  };
+
+  return {
+    calls,
+    heartbeat: record('heartbeat', { success: true }),
+    endSession: record('endSession', { released: [] }),
+    releasePort: async (options) => {
+      calls.push(['releasePort', options]);
+      return { released: [{ port: options.port }] };
+    },
+    ...overrides
+  };
+}
+
+test('names sessions after the host and PID and describes this process by default', () => {
+  const session = new SessionManager({ styxyClient: stubClient(), clientSessionId: 'claude-1' });
+
+  assert.match(session.id, new RegExp(`^mcp-${os.hostname()}-${process.pid}-[0-9a-f]{8}$`));
+  assert.equal(session.cwd, process.cwd());
+  assert.notEqual(new SessionManager({ styxyClient: stubClient() }).id, session.id);
+});
+
+test('heartbeats with the client session id until stopped', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const client = stubClient();
+  const session = new SessionManager({ styxyClient: client, heartbeatIntervalMs: 1000, pid: 42, clientSessionId: 'claude-1' });
+
+  session.start();
+  t.mock.timers.tick(2000);
+  session.stop();
+  t.mock.timers.tick(5000);
+
+  assert.deepEqual(client.calls, Array(3).fill(['heartbeat', { sessionId: session.id, clientSessionId: 'claude-1', pid: 42 }]));
+});
+
+test('ends the session through the daemon once, however often it is called', async () => {
+  const client = stubClient({
+    endSession: async (options) => {
+      client.calls.push(['endSession', options]);
+      return { released: [{ port: 3000 }] };
+    }
+  });
+  const session = new SessionManager({ styxyClient: client });
+
+  const [first, second] = await Promise.all([session.end(), session.end()]);
+
+  assert.deepEqual(first, [3000]);
+  assert.equal(second, first);
+  assert.deepEqual(client.calls, [['endSession', { sessionId: session.id }]]);
+});
+
+test('releases tracked session ports one by one when the daemon cannot end sessions', async () => {
+  const client = stubClient({
+    endSession: async () => {
+      throw new Error('unknown command');
+    }
+  });
+  const session = new SessionManager({ styxyClient: client, clientSessionId: 'claude-1' });
+  session.track(3000, 'session');
+  session.track(3001, 'persistent');
+  session.track(3002, 'session');
+  session.untrack(3002);
+
+  assert.deepEqual(await session.end(), [3000]);
+  assert.deepEqual(client.calls, [
+    ['releasePort', { port: 3000, claudeSessionId: session.id, clientSessionId: 'claude-1' }]
+  ]);
+});
+
+test('keeps releasing the other ports when one release fails', async () => {
+  const client = stubClient({
+    endSession: async () => {
+      throw new Error('unknown command');
+    },
+    releasePort: async ({ port }) => {
+      if (port === 3000) throw new Error('daemon went away');
+      return { released: [{ port }] };
+    }
+  });
+  const session = new SessionManager({ styxyClient: client });
+  session.track(3000, 'session');
+  session.track(3001, 'session');
+
+  assert.deepEqual(await session.end(), [3001]);
+});
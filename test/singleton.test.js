@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SingletonLock } from '../src/singleton.js';
+import { defer, tempHome } from './helpers/tmp.js';
+
+/**
+ * A lock under a temp home directory, released and cleaned up after the test
+ */
+function setup(t, options = {}) {
+  tempHome(t);
+
+  const lock = new SingletonLock('test-lock', options);
+  defer(t, () => lock.release());
+
+  fs.mkdirSync(lock.lockDir, { recursive: true });
+  return lock;
+}
+
+const writeLock = (lock, data) => fs.writeFileSync(lock.lockFile, JSON.stringify(data));
+
+// The PID of a process that has already exited
+const deadPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+test('acquires a free lock and records this process', (t) => {
+  const lock = setup(t);
+
+  assert.equal(lock.acquire(), true);
+  const holder = lock.getLockInfo();
+  assert.equal(holder.pid, process.pid);
+  assert.equal(holder.hostname, os.hostname());
+});
+
+test('refuses a lock held by a running process', (t) => {
+  const lock = setup(t);
+  writeLock(lock, lock.describeSelf());
+
+  assert.equal(lock.acquire(), false);
+  assert.equal(lock.isAcquired(), false);
+});
+
+test('takes over a lock whose PID is no longer running', (t) => {
+  const lock = setup(t);
+  writeLock(lock, { pid: deadPid(), hostname: os.hostname() });
+
+  assert.equal(lock.acquire(), true);
+  assert.equal(lock.getLockInfo().pid, process.pid);
+});
+
+test('takes over a lock whose PID now belongs to a different process', (t) => {
+  const lock = setup(t);
+  writeLock(lock, { ...lock.describeSelf(), process_start_time: '1' });
+
+  assert.equal(lock.acquire(), true);
+});
+
+test('takes over a lock not refreshed within the TTL even if its holder looks alive', (t) => {
+  const lock = setup(t, { ttlMs: 1000 });
+  writeLock(lock, { ...lock.describeSelf(), hostname: 'elsewhere' });
+  const old = new Date(Date.now() - 5000);
+  fs.utimesSync(lock.lockFile, old, old);
+
+  assert.equal(lock.acquire(), true);
+});
+
+test('keeps a lock whose holder on this host is running even past the TTL', (t) => {
+  const lock = setup(t, { ttlMs: 1000 });
+  writeLock(lock, lock.describeSelf());
+  const old = new Date(Date.now() - 5000);
+  fs.utimesSync(lock.lockFile, old, old);
+
+  assert.equal(lock.acquire(), false);
+});
+
+test('leaves locks from another host alone without a TTL', (t) => {
+  const lock = setup(t);
+  writeLock(lock, { pid: deadPid(), hostname: 'elsewhere' });
+
+  assert.equal(lock.acquire(), false);
+});
+
+test('takes over a half-written lock once the grace period has passed', (t) => {
+  const lock = setup(t);
+  fs.writeFileSync(lock.lockFile, '');
+  const old = new Date(Date.now() - 60e3);
+  fs.utimesSync(lock.lockFile, old, old);
+
+  assert.equal(lock.acquire(), true);
+});
+
+test('release leaves a lock another instance has taken over', (t) => {
+  const lock = setup(t);
+  assert.equal(lock.acquire(), true);
+
+  const replacement = { pid: deadPid(), started: new Date().toISOString() };
+  writeLock(lock, replacement);
+  lock.release();
+
+  assert.deepEqual(lock.getLockInfo(), replacement);
+});
+
+test('puts back a lock that replaced the stale one before it was moved aside', (t) => {
+  const lock = setup(t);
+  const fresh = JSON.stringify(lock.describeSelf());
+  fs.writeFileSync(lock.lockFile, fresh);
+
+  lock.removeStale(JSON.stringify({ pid: deadPid() }));
+
+  assert.equal(fs.readFileSync(lock.lockFile, 'utf8'), fresh);
+  assert.deepEqual(fs.readdirSync(lock.lockDir), [path.basename(lock.lockFile)]);
+});
+
+/**
+ * Run an instance in its own process that tries for the lock at `startAt`
+ * and holds it a while, resolving with whether it got the lock
+ */
+function contend(home, startAt) {
+  const script = `
+    import { SingletonLock } from ${JSON.stringify(new URL('../src/singleton.js', import.meta.url).href)};
+    const lock = new SingletonLock('test-lock');
+    while (Date.now() < ${startAt});
+    const acquired = lock.acquire();
+    console.log(JSON.stringify({ acquired }));
+    setTimeout(() => lock.release(), 500);
+  `;
+  const child = spawn(process.execPath, ['--input-type=module', '-e', script], {
+    env: { ...process.env, HOME: home },
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  return new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('close', () => resolve(JSON.parse(output).acquired));
+  });
+}
+
+test('lets only one of two processes take over a stale lock at the same time', async (t) => {
+  const lock = setup(t);
+
+  for (let round = 0; round < 3; round++) {
+    writeLock(lock, { pid: deadPid(), hostname: os.hostname() });
+
+    const startAt = Date.now() + 500;
+    const results = await Promise.all([contend(process.env.HOME, startAt), contend(process.env.HOME, startAt)]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+    assert.deepEqual(fs.readdirSync(lock.lockDir), []);
+  }
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { StyxyCli } from '../src/styxyCli.js';
+import { StyxyClient } from '../src/styxyClient.js';
+import { defaultConfig } from '../src/config.js';
+import { CliNotFoundError, CliCommandError, CliTimeoutError, CliOutputError } from '../src/errors.js';
+import { defer, tempDir } from './helpers/tmp.js';
+
+/**
+ * An executable Node script standing in for the styxy binary
+ */
+function fakeBinary(t, body) {
+  const dir = tempDir(t, 'cli');
+  const binary = path.join(dir, 'styxy');
+  fs.writeFileSync(binary, `#!${process.execPath}\n${body}\n`, { mode: 0o755 });
+  return { dir, binary };
+}
+
+const ECHO_ARGS = 'console.log(JSON.stringify(process.argv.slice(2)));';
+
+test('passes arguments verbatim without a shell', async (t) => {
+  const { dir, binary } = fakeBinary(t, ECHO_ARGS);
+  const args = ['allocate', '$(touch injected)', '; touch injected', '`touch injected`', 'two words', 'it\'s "quoted"'];
+
+  const echoed = await new StyxyCli({ binary }).runJson(args);
+
+  assert.deepEqual(echoed, args);
+  assert.deepEqual(fs.readdirSync(dir), ['styxy']);
+});
+
+test('passes shell metacharacters in tool arguments to the CLI as single arguments', async (t) => {
+  const { dir, binary } = fakeBinary(t, `
+require('fs').writeFileSync(__filename + '.args', JSON.stringify(process.argv.slice(2)));
+console.log('Port: 3005');`);
+  const client = new StyxyClient();
+  client.config = defaultConfig();
+  client.config.cli.binary = binary;
+
+  const allocation = await client.cliAllocatePort({
+    context: { serviceType: 'dev', projectName: 'demo; touch injected' },
+    preferences: { duration: 'session' }
+  });
+
+  assert.equal(allocation.allocated_port, 3005);
+  assert.deepEqual(JSON.parse(fs.readFileSync(`${binary}.args`, 'utf8')),
+    ['allocate', '--service-type', 'dev', '--project', 'demo; touch injected', '--duration', 'session']);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['styxy', 'styxy.args']);
+});
+
+test('reports a missing or non-executable binary as CLI_NOT_FOUND', async (t) => {
+  const missing = new StyxyCli({ binary: path.join(tempDir(t), 'styxy') });
+  const { binary } = fakeBinary(t, ECHO_ARGS);
+  fs.chmodSync(binary, 0o644);
+  const notExecutable = new StyxyCli({ binary });
+
+  for (const cli of [missing, notExecutable]) {
+    await assert.rejects(cli.run(['status']), CliNotFoundError);
+    assert.equal(await cli.isAvailable(), false);
+  }
+});
+
+test('finds an executable binary on PATH', async (t) => {
+  const { dir } = fakeBinary(t, ECHO_ARGS);
+  const previousPath = process.env.PATH;
+  process.env.PATH = `${dir}${path.delimiter}${previousPath}`;
+  defer(t, () => {
+    process.env.PATH = previousPath;
+  });
+
+  assert.equal(await new StyxyCli().isAvailable(), true);
+  assert.equal(await new StyxyCli({ binary: 'styxy-not-installed' }).isAvailable(), false);
+});
+
+test('reports a non-zero exit with its code and stderr', async (t) => {
+  const { binary } = fakeBinary(t, 'console.error("no ports left"); process.exit(3);');
+
+  await assert.rejects(new StyxyCli({ binary }).run(['allocate']), (error) =>
+    error instanceof CliCommandError &&
+    error.code === 'DAEMON_REFUSED' &&
+    error.details.exit_code === 3 &&
+    /no ports left/.test(error.message)
+  );
+});
+
+test('kills a command that outlives its timeout', async (t) => {
+  const { binary } = fakeBinary(t, 'setTimeout(() => {}, 30000);');
+
+  const started = Date.now();
+  await assert.rejects(new StyxyCli({ binary, timeout: 200 }).run(['status']), CliTimeoutError);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('reports unparseable JSON output', async (t) => {
+  const { binary } = fakeBinary(t, 'console.log("Status: running");');
+
+  await assert.rejects(new StyxyCli({ binary }).runJson(['status', '--json']), (error) =>
+    error instanceof CliOutputError && error.details.stdout.includes('Status: running')
+  );
+});
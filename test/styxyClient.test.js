@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StyxyClient } from '../src/styxyClient.js';
+import { AllocationLedger } from '../src/ledger.js';
+import { defaultConfig } from '../src/config.js';
+import { StyxyError } from '../src/errors.js';
+import { defer, tempDir, tempHome } from './helpers/tmp.js';
+
+/**
+ * A client with default config and a temp ledger that finds no daemon, so
+ * commands take the CLI fallback; `cli` replaces the CLI commands it names
+ */
+function setup(t, cli) {
+  const dir = tempDir(t, 'client');
+
+  const client = new StyxyClient();
+  client.config = defaultConfig();
+  client.ledger = new AllocationLedger({ ledgerPath: path.join(dir, 'allocations.jsonl') });
+  client.connectToDaemon = async () => {
+    throw new Error('no daemon');
+  };
+  Object.assign(client, cli);
+  return client;
+}
+
+test('records each port of a stack allocated through the CLI fallback once', async (t) => {
+  let next = 47300;
+  const client = setup(t, { cliAllocatePort: async () => ({ port: next++ }) });
+
+  const result = await client.allocateStack({
+    projectName: 'demo',
+    services: [{ serviceType: 'web', serviceName: 'frontend' }, { serviceType: 'api', serviceName: 'backend' }],
+    claudeSessionId: 'session-a'
+  });
+
+  assert.deepEqual(result.allocations.map(a => a.port), [47300, 47301]);
+  const events = await client.ledger.read();
+  assert.deepEqual(events.map(e => [e.event, e.port, e.service_name]), [
+    ['allocate', 47300, 'frontend'],
+    ['allocate', 47301, 'backend']
+  ]);
+});
+
+test('rolls back a failed CLI fallback stack without touching the ledger', async (t) => {
+  let calls = 0;
+  const released = [];
+  const client = setup(t, {
+    cliAllocatePort: async () => {
+      if (++calls > 1) throw new StyxyError('No ports left', 'CLI_FAILED');
+      return { port: 47310 };
+    },
+    cliReleasePort: async (command) => {
+      released.push(command.selector.port);
+      return { released: [{ port: command.selector.port }] };
+    }
+  });
+
+  await assert.rejects(
+    client.allocateStack({
+      projectName: 'demo',
+      services: [{ serviceType: 'web' }, { serviceType: 'api' }]
+    }),
+    (error) => error.code === 'STACK_ALLOCATION_FAILED'
+  );
+
+  assert.deepEqual(released, [47310]);
+  assert.deepEqual(await client.ledger.read(), []);
+});
+
+test('records a single allocation with its working directory', async (t) => {
+  const client = setup(t, { cliAllocatePort: async () => ({ allocated_port: 47320 }) });
+
+  await client.allocatePort({ serviceType: 'web', projectName: 'demo', workingDir: '/srv/demo' });
+
+  const [event] = await client.ledger.read();
+  assert.equal(event.port, 47320);
+  assert.equal(event.working_dir, '/srv/demo');
+});
+
+test('passes a derived preferred port to the CLI only when the policy allows it', async (t) => {
+  const preferred = [];
+  const client = setup(t, {
+    cliGetStatus: async () => ({ active_ports: [] }),
+    getCli: async () => ({
+      run: async (args) => {
+        const port = args[args.indexOf('--preferred-port') + 1];
+        preferred.push(Number(port));
+        return { stdout: `Port: ${port}` };
+      }
+    })
+  });
+
+  await client.allocatePort({ serviceType: 'database', projectName: 'demo', preferredPort: 5432, derivedPort: true });
+  await client.allocatePort({ serviceType: 'database', projectName: 'demo', preferredPort: 5432 });
+
+  assert.notEqual(preferred[0], 5432);
+  assert.equal(preferred[1], 5432);
+});
+
+/**
+ * A client with default config whose styxy daemon socket is not listening and
+ * whose `cli.binary` is `binary`
+ */
+function setupFallback(t, binary) {
+  const home = tempHome(t);
+  const client = new StyxyClient();
+  client.config = defaultConfig();
+  client.config.daemon.socket_path = path.join(home, 'daemon.sock');
+  client.config.cli.binary = binary;
+  defer(t, () => client.shutdown());
+  return { home, client };
+}
+
+test('starts the local daemon on its own socket when no styxy CLI is installed', async (t) => {
+  const { home, client } = setupFallback(t, path.join(os.tmpdir(), 'no-such-styxy'));
+
+  const daemon = await client.connectToDaemon();
+
+  assert.equal(daemon.socketPath, path.join(home, '.styxy', 'local-daemon.sock'));
+  assert.equal(fs.existsSync(path.join(home, 'daemon.sock')), false);
+  assert.equal((await client.sendDaemonCommand({ type: 'status' })).source, 'local_daemon');
+});
+
+test('leaves the daemon socket to the CLI fallback when a styxy CLI is installed', async (t) => {
+  const { home, client } = setupFallback(t, process.execPath);
+
+  await assert.rejects(client.connectToDaemon());
+  assert.equal(client.localDaemon, null);
+  assert.equal(fs.existsSync(path.join(home, '.styxy', 'local-daemon.sock')), false);
+});
+
+test('loads the project config layer from each directory it is asked about', async (t) => {
+  tempHome(t);
+  const shop = tempDir(t, 'shop');
+  const blog = tempDir(t, 'blog');
+  fs.writeFileSync(path.join(shop, '.styxy.json'), JSON.stringify({
+    service_types: { storefront: { range: { start: 4100, end: 4199 } } },
+    redaction: { value_patterns: ['shop-[0-9]+'] }
+  }));
+
+  const client = new StyxyClient();
+  client.config = defaultConfig();
+  defer(t, () => client.shutdown());
+
+  const shopConfig = await client.configFor(shop);
+  assert.deepEqual(shopConfig.service_types.storefront.range, { start: 4100, end: 4199 });
+  assert.deepEqual(shopConfig.redaction.value_patterns, ['shop-[0-9]+']);
+  assert.deepEqual((await client.configFor(blog)).service_types, {});
+  assert.equal(await client.configFor(shop), shopConfig);
+
+  const old = new Date(Date.now() - 5000);
+  fs.writeFileSync(path.join(shop, '.styxy.json'), JSON.stringify({ service_types: { storefront: {} } }));
+  fs.utimesSync(path.join(shop, '.styxy.json'), old, old);
+  assert.deepEqual((await client.configFor(shop)).service_types.storefront, {});
+});
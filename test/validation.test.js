@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySchema, validateToolArguments, validatePortRange } from '../src/validation.js';
+import { TOOL_DEFINITIONS } from '../src/toolDefinitions.js';
+import { ValidationError } from '../src/errors.js';
+
+const tool = (name) => TOOL_DEFINITIONS.find(t => t.name === name);
+
+test('fills in defaults and passes valid arguments through', () => {
+  const args = validateToolArguments(tool('styxy_allocate_port'), { service_type: 'web', project_name: 'demo' });
+
+  assert.equal(args.service_type, 'web');
+  assert.equal(args.format, 'both');
+});
+
+test('reports every invalid field with its path', () => {
+  assert.throws(
+    () => validateToolArguments(tool('styxy_allocate_port'), { service_type: 'mainframe', project_name: 'demo', preferred_port: 70000 }),
+    (error) => {
+      assert.ok(error instanceof ValidationError);
+      assert.equal(error.code, 'INVALID_ARGUMENT');
+      assert.deepEqual(error.details.fields.map(f => f.field).sort(), ['preferred_port', 'service_type']);
+      return true;
+    }
+  );
+});
+
+test('checks nested array items and required properties', () => {
+  const { errors } = applySchema(tool('styxy_allocate_stack').inputSchema, {
+    project_name: 'demo',
+    services: [{ service_type: 'web' }, { service_type: 'api', preferred_port: 'soon' }]
+  });
+
+  assert.ok(errors.some(e => e.field === 'services[1].preferred_port' && /must be integer/.test(e.message)));
+});
+
+test('treats integers as numbers but not the other way round', () => {
+  assert.deepEqual(applySchema({ type: 'number' }, 3).errors, []);
+  assert.equal(applySchema({ type: 'integer' }, 3.5).errors.length, 1);
+  assert.equal(applySchema({ type: ['string', 'null'] }, null).errors.length, 0);
+});
+
+test('rejects unknown properties only when additionalProperties is false', () => {
+  const schema = { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false };
+  assert.deepEqual(applySchema(schema, { a: 'x', b: 1 }).errors, [{ field: 'b', message: 'is not an allowed property' }]);
+
+  const open = { type: 'object', additionalProperties: { type: 'integer' } };
+  assert.deepEqual(applySchema(open, { x: 'y' }).errors, [{ field: 'x', message: 'must be integer, got string' }]);
+});
+
+test('validatePortRange flags preferred ports outside the configured range', () => {
+  const range = { start: 3000, end: 3999 };
+
+  assert.doesNotThrow(() => validatePortRange({ preferred_port: 3500 }, range));
+  assert.throws(
+    () => validatePortRange({ services: [{ preferred_port: 3100 }, { preferred_port: 8080 }] }, range),
+    (error) => error.code === 'PORT_OUT_OF_RANGE' && error.details.fields[0].field === 'services[1].preferred_port'
+  );
+});